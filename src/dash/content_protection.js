@@ -327,6 +327,46 @@ class content_protection {
     return content_protection.getLaurl_(rootElement);
   }
 
+  /**
+   * Gets the key ID of a PlayReady Object, e.g. of the ProtectionHeader of a
+   * Smooth Streaming manifest.
+   *
+   * @param {!Uint8Array} data The PlayReady Object.
+   * @return {?string} The key ID in hex, or null if the header has none.
+   */
+  static getPlayReadyKeyId(data) {
+    const PLAYREADY_RECORD_TYPES = content_protection.PLAYREADY_RECORD_TYPES;
+
+    const records = content_protection.parseMsPro_(data);
+    const record = records.filter((record) => {
+      return record.type === PLAYREADY_RECORD_TYPES.RIGHTS_MANAGEMENT;
+    })[0];
+
+    if (!record) {
+      return null;
+    }
+
+    const xml = string_utils.fromUTF16(record.value, true);
+    const rootElement = xml_utils.parseXmlString(xml, 'WRMHEADER');
+    if (!rootElement) {
+      return null;
+    }
+
+    // Version 4.0 headers have the KID as content, later versions as VALUE
+    // attribute.
+    for (const elem of Array.from(rootElement.getElementsByTagName('KID'))) {
+      const value = elem.getAttribute('VALUE') || elem.textContent;
+      if (value && value.trim()) {
+        // The KID is a GUID, whose first three fields are little-endian.
+        const guid = uint8array_utils.fromBase64(value.trim());
+        const keyId = [3, 2, 1, 0, 5, 4, 7, 6, 8, 9, 10, 11, 12, 13, 14, 15]
+          .map((i) => guid[i]);
+        return uint8array_utils.toHex(new Uint8Array(keyId));
+      }
+    }
+    return null;
+  }
+
   /**
    * Gets a PlayReady initData from a content protection element
    * containing a PlayReady Pro Object
@@ -0,0 +1,251 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import logger from '../util/sp_logger.js';
+import network_engine from '../net/network_engine.js';
+import manifest_parser_utils from '../util/manifest_parser_utils.js';
+import timer from '../util/timer.js';
+import { proxyConf } from '../../proxy_conf.js';
+
+const filePath = import.meta.url;
+
+/**
+ * Implements DASH Content Steering (ETSI TS 103 998): polls the steering
+ * server announced by the ContentSteering element of the MPD, and orders
+ * segment URIs by the pathway (BaseURL@serviceLocation) priorities it returns.
+ */
+class content_steering_manager {
+  constructor() {
+    /**
+     * URI of the steering manifest; also a file:// URI or a local path, so
+     * that a JSON file can stand in for the steering server.
+     * @private {?string}
+     */
+    this.steeringUri_ = null;
+
+    /**
+     * The steering server URI of the ContentSteering element, to tell a new
+     * server from one the steering manifest moved (RELOAD-URI).
+     * @private {?string}
+     */
+    this.serverUri_ = null;
+
+    /**
+     * Pathways (service locations) in order of preference.
+     * @private {!Array.<string>}
+     */
+    this.pathwayPriority_ = [];
+
+    /**
+     * Absolute base URIs to their pathway.
+     * @private {!Map.<string, string>}
+     */
+    this.serviceLocations_ = new Map();
+
+    /** @private {number} */
+    this.ttl_ = content_steering_manager.DEFAULT_TTL_;
+
+    /** @private {timer} */
+    this.steeringTimer_ = new timer(() => {
+      this.requestSteeringManifest_();
+    });
+  }
+
+  /**
+   * Reads the ContentSteering element.  The steering server can be replaced
+   * by overrideUri.  Called again on manifest updates; the steering manifest
+   * keeps being requested from its RELOAD-URI unless the server changed.
+   *
+   * @param {!Element} elem
+   * @param {!Array.<string>} manifestBaseUris
+   * @param {string=} overrideUri
+   * @return {boolean} True if the steering server has to be queried before
+   *   segments are requested (queryBeforeStart).
+   */
+  parseContentSteering(elem, manifestBaseUris, overrideUri = '') {
+    const uri = overrideUri || (elem.textContent || '').trim();
+    if (!uri) {
+      logger.sp_warn(filePath, "ContentSteering element without server URI");
+      return false;
+    }
+    const serverUri = manifestBaseUris.length && !overrideUri ?
+      manifest_parser_utils.resolveUris(manifestBaseUris, [uri])[0] : uri;
+    if (serverUri == this.serverUri_) {
+      return elem.getAttribute('queryBeforeStart') == 'true';
+    }
+    this.serverUri_ = serverUri;
+    this.steeringUri_ = serverUri;
+
+    // Until the steering server answers, the default service locations are
+    // preferred.
+    const defaultServiceLocation = elem.getAttribute('defaultServiceLocation');
+    if (defaultServiceLocation && !this.pathwayPriority_.length) {
+      this.pathwayPriority_ = defaultServiceLocation.trim().split(/\s+/);
+    }
+
+    logger.sp_log(filePath, "Content steering with %s, default pathways: %j",
+      this.steeringUri_, this.pathwayPriority_);
+    return elem.getAttribute('queryBeforeStart') == 'true';
+  }
+
+  /**
+   * Records the pathway of a BaseURL.
+   *
+   * @param {!Array.<string>} baseUris The resolved URIs of the BaseURL.
+   * @param {string} serviceLocation
+   */
+  addServiceLocation(baseUris, serviceLocation) {
+    for (const uri of baseUris) {
+      this.serviceLocations_.set(uri, serviceLocation);
+    }
+  }
+
+  /**
+   * Requests the steering manifest, then keeps polling it at its TTL.
+   *
+   * @return {!Promise}
+   */
+  start() {
+    return this.requestSteeringManifest_();
+  }
+
+  stop() {
+    this.steeringTimer_.stop();
+    this.steeringUri_ = null;
+    this.serverUri_ = null;
+    this.serviceLocations_.clear();
+  }
+
+  /**
+   * @return {!Array.<string>} The pathways in order of preference.
+   */
+  getPathwayPriority() {
+    return this.pathwayPriority_.slice();
+  }
+
+  /**
+   * Orders alternative URIs of a segment by the priority of their pathway.
+   * URIs of unknown or unlisted pathways keep their relative order, after the
+   * listed ones.
+   *
+   * @param {!Array.<string>} uris
+   * @return {!Array.<string>}
+   */
+  orderUris(uris) {
+    const rank = (uri) => {
+      const index = this.pathwayPriority_.indexOf(this.getPathway_(uri));
+      return index < 0 ? Infinity : index;
+    };
+    return uris
+      .map((uri, index) => ({ uri: uri, rank: rank(uri), index: index }))
+      .sort((a, b) => (a.rank - b.rank) || (a.index - b.index))
+      .map((entry) => entry.uri);
+  }
+
+  /**
+   * @param {string} uri
+   * @return {?string} The pathway of the longest base URI the URI starts
+   *   with, or null.
+   * @private
+   */
+  getPathway_(uri) {
+    let pathway = null;
+    let length = -1;
+    for (const [baseUri, serviceLocation] of this.serviceLocations_) {
+      if (uri.startsWith(baseUri) && baseUri.length > length) {
+        pathway = serviceLocation;
+        length = baseUri.length;
+      }
+    }
+    return pathway;
+  }
+
+  /**
+   * @param {string} uri
+   * @return {boolean} True for file:// URIs and paths.
+   * @private
+   */
+  static isLocal_(uri) {
+    return uri.startsWith('file://') || !/^[a-z][a-z0-9+.-]*:/i.test(uri);
+  }
+
+  /**
+   * @private
+   */
+  async requestSteeringManifest_() {
+    try {
+      const steeringManifest = await this.fetchSteeringManifest_();
+      if (this.steeringUri_ == null) {
+        // Stopped in the meantime.
+        return;
+      }
+      this.processSteeringManifest_(steeringManifest);
+    } catch (e) {
+      logger.sp_warn(filePath, "Requesting steering manifest %s failed: %s",
+        this.steeringUri_, e.message);
+    }
+    if (this.steeringUri_ != null) {
+      this.steeringTimer_.tickAfter(this.ttl_);
+    }
+  }
+
+  /**
+   * @return {!Promise.<!Object>}
+   * @private
+   */
+  async fetchSteeringManifest_() {
+    const uri = this.steeringUri_;
+    if (content_steering_manager.isLocal_(uri)) {
+      const path = uri.startsWith('file://') ? fileURLToPath(uri) : uri;
+      return JSON.parse(fs.readFileSync(path, 'utf-8'));
+    }
+
+    // Tell the server which pathway is in use, see section 7.2.
+    const requestUri = new URL(uri);
+    if (this.pathwayPriority_.length) {
+      requestUri.searchParams.set('_DASH_pathway', this.pathwayPriority_[0]);
+    }
+    const data = await network_engine.socks5_http_get(
+      requestUri.toString(), proxyConf);
+    return typeof data == 'string' ? JSON.parse(data) : data;
+  }
+
+  /**
+   * @param {!Object} steeringManifest
+   * @private
+   */
+  processSteeringManifest_(steeringManifest) {
+    if (steeringManifest['VERSION'] != 1) {
+      logger.sp_warn(filePath, "Unsupported steering manifest version %s",
+        steeringManifest['VERSION']);
+      return;
+    }
+
+    const ttl = steeringManifest['TTL'];
+    if (typeof ttl == 'number' && ttl > 0) {
+      this.ttl_ = ttl;
+    }
+
+    // A local file keeps standing in for the server.
+    const reloadUri = steeringManifest['RELOAD-URI'];
+    if (reloadUri && !content_steering_manager.isLocal_(this.steeringUri_)) {
+      this.steeringUri_ =
+        manifest_parser_utils.resolveUris([this.steeringUri_], [reloadUri])[0];
+    }
+
+    const priority = steeringManifest['PATHWAY-PRIORITY'];
+    if (Array.isArray(priority) && priority.length) {
+      if (priority.join() != this.pathwayPriority_.join()) {
+        logger.sp_log(filePath, "Pathway priority changed to %j", priority);
+      }
+      this.pathwayPriority_ = priority.slice();
+    }
+  }
+}
+
+/**
+ * Polling period when the steering manifest has no TTL, in seconds.
+ * @private @const {number}
+ */
+content_steering_manager.DEFAULT_TTL_ = 300;
+
+export default content_steering_manager;
@@ -10,6 +10,8 @@ import xml_utils from '../util/xml_utils.js';
 import functional from '../util/functional.js';
 import manifest_parser_utils from '../util/manifest_parser_utils.js';
 import mime_utils from '../util/mime_utils.js';
+import audio_channel_utils from '../util/audio_channel_utils.js';
+import string_utils from '../util/string_utils.js';
 import language_utils from '../util/language_utils.js';
 import content_protection from './content_protection.js';
 import { proxyConf } from '../../proxy_conf.js';
@@ -21,6 +23,11 @@ import { segment_index } from '../media/segment_index.js';
 import presentation_timeline from '../media/presentation_timeline.js';
 import text_engine from '../text/text_engine.js';
 import ewma from '../abr/ewma.js';
+import sntp_client from '../net/sntp_client.js';
+import uri_health from '../net/uri_health.js';
+import content_steering_manager from './content_steering_manager.js';
+import xml_patch from '../util/xml_patch.js';
+import validation_report from '../util/validation_report.js';
 import manifest_parser from '../media/manifest_parser.js';
 import spEventsMgr from '../util/sp_events_manager.js';
 
@@ -30,7 +37,9 @@ class dash_parser {
   constructor(APIformat, serviceId, id) {
     /**
      * These 3 memebers are used to fetch manifest URL, it is re-
-     * fetched whenever the current manifest is expired.
+     * fetched whenever the current manifest is expired.  APIformat is null
+     * when the manifest is given directly, see startFromUri() and
+     * startFromData().
      */
     this.apiURLFormat_ = APIformat;
     this.serviceId_ = serviceId;
@@ -39,6 +48,12 @@ class dash_parser {
     this.manifestUri_ = null;
     this.manifest_ = null;
     this.globalId_ = 1;
+
+    /**
+     * The absolute URI from the latest MPD@Location element, or null if the
+     * manifest has none.  Updates are requested from it once it is known.
+     */
+    this.locationUri_ = null;
     this.expireTime_ = null;
 
     /**
@@ -88,22 +103,142 @@ class dash_parser {
      */
     this.minTotalAvailabilityTimeOffest_ = Infinity;
 
+    /**
+     * True if any representation of a dynamic manifest announces its segments
+     * before they are complete (availabilityTimeComplete=false), i.e. the
+     * stream is a low latency one.
+     */
+    this.lowLatency_ = false;
+
+    /**
+     * The order chosen for each set of alternative BaseURLs, so that manifest
+     * updates keep using the same ones.
+     * @private {!Map.<string, !Array.<number>>}
+     */
+    this.baseUrlOrder_ = new Map();
+
+    /**
+     * Orders segment URIs by pathway when the MPD uses Content Steering.
+     * @private {content_steering_manager}
+     */
+    this.contentSteering_ = null;
+
+    /**
+     * The MPD document of the last update, which MPD patches apply to.  Its
+     * xlinks are left unresolved, as the patches are made for the MPD the
+     * origin published.
+     * @private {?Element}
+     */
+    this.mpd_ = null;
+
+    /**
+     * Where MPD patches are requested from (MPD@PatchLocation), and until
+     * when that is allowed.
+     * @private {?{uri: string, expiry: number}}
+     */
+    this.patchLocation_ = null;
+
     /**
      * True if the manifest isn't expired yet, false once it does.
      * It is true by default to get decryption key from the first time.
      */
     this.manifestExpired = true;
+
+    /**
+     * Parser configuration, see dash_parser.defaultConfig().
+     * @private {dash_parser.Configuration}
+     */
+    this.config_ = dash_parser.defaultConfig();
+
+    /**
+     * The problems found in the last MPD processed.
+     * @private {validation_report}
+     */
+    this.validation_ = new validation_report(false);
+  }
+
+  /**
+   * @return {dash_parser.Configuration} The default parser configuration.
+   */
+  static defaultConfig() {
+    return {
+      xlinkFailGracefully: false,
+      clockSyncUri: '',
+      contentSteeringUri: '',
+      strict: false,
+    };
+  }
+
+  /**
+   * Overrides parts of the parser configuration.  Keys which are not given
+   * keep their current values.
+   *
+   * @param {Object} config
+   */
+  configure(config) {
+    Object.assign(this.config_, config);
   }
 
-  async start() {
+  /**
+   * @return {!Array.<validation_report.Finding>} The problems found in the
+   *   last MPD processed, including the one which failed it, if any.
+   */
+  getValidationFindings() {
+    return this.validation_.getFindings();
+  }
+
+  /**
+   * @param {?{uri: string, expiry: (number|undefined)}=} manifestApi The
+   *   answer of the manifest API, if the caller already requested it.  Without
+   *   an expiry, the manifest URI is used for as long as the parser runs.
+   */
+  async start(manifestApi = null) {
     // First, we need to get URI of manifest to be parsed.
-    await this.getManifestURI_(this.apiURLFormat_, this.serviceId_, this.id_);
+    if (manifestApi) {
+      this.setManifestURI_(manifestApi);
+    } else {
+      await this.getManifestURI_(this.apiURLFormat_, this.serviceId_, this.id_);
+    }
+
+    return await this.startParsing_(null);
+  }
 
-    const updateDelay = await this.requestManifest_();
-    // this.setUpdateTimer_(updateDelay);
+  /**
+   * Starts with the MPD at the given URI instead of asking the manifest API
+   * for it.  The URI never expires.
+   *
+   * @param {string} uri An http(s):// or file:// URI, or a local file path.
+   */
+  async startFromUri(uri) {
+    return await this.start({ uri: manifest_parser.toUri(uri) });
+  }
+
+  /**
+   * Starts with an MPD which is already in memory, e.g. an archived one.
+   * Dynamic MPDs are only updated if they can be fetched again, from the
+   * given URI or from their MPD@Location.
+   *
+   * @param {string|BufferSource} data
+   * @param {?string=} uri Where the MPD came from.  Relative URLs in it are
+   *   resolved against this URI.
+   */
+  async startFromData(data, uri = null) {
+    this.setManifestURI_({ uri: uri ? manifest_parser.toUri(uri) : null });
+    return await this.startParsing_(data);
+  }
+
+  /**
+   * @param {?(string|BufferSource)} data The MPD, or null to fetch it.
+   * @return {!Promise.<!Object>} The manifest.
+   * @private
+   */
+  async startParsing_(data) {
+    const updateDelay = await this.requestManifest_(data);
+    this.setUpdateTimer_(updateDelay);
 
     /* Manifest should be non-null! */
     assert(this.manifest_);
+    spEventsMgr.emit(spEventsMgr.event_manifest_parsed, this.manifest_);
     return this.manifest_;
   }
 
@@ -120,9 +255,18 @@ class dash_parser {
     }
 
     this.manifestUri_ = null;
+    this.locationUri_ = null;
     this.manifest_ = null;
+    this.mpd_ = null;
+    this.patchLocation_ = null;
     this.streamMap_ = {};
     this.periodCombiner_ = null;
+    this.baseUrlOrder_.clear();
+
+    if (this.contentSteering_) {
+      this.contentSteering_.stop();
+      this.contentSteering_ = null;
+    }
 
     if (this.updateTimer_ != null) {
       this.updateTimer_.stop();
@@ -142,28 +286,64 @@ class dash_parser {
    * @private
    */
   async getManifestURI_(apiFormat, service, id) {
-    let api_mpd = apiFormat.replace(/{service}/g, service).replace(/{id}/g, id);
+    const manifestApi =
+      await manifest_parser.requestManifestUri(apiFormat, service, id);
+    this.setManifestURI_(manifestApi);
+  }
 
-    const mpdAPIResponse = await network_engine.http_get(api_mpd);
-    this.manifestUri_ = mpdAPIResponse.data;
-    this.expireTime_ = mpdAPIResponse.expiry;
-    logger.sp_log(filePath, `Manifest will be expired at ${new Date(this.expireTime_ * 1000)}.`);
+  /**
+   * @param {{uri: ?string, expiry: (number|undefined)}} manifestApi
+   * @private
+   */
+  setManifestURI_(manifestApi) {
+    this.manifestUri_ = manifestApi.uri;
+    this.locationUri_ = null;
+    this.patchLocation_ = null;
+    this.expireTime_ = manifestApi.expiry != null ? manifestApi.expiry : Infinity;
+    if (isFinite(this.expireTime_)) {
+      logger.sp_log(filePath, `Manifest will be expired at ${new Date(this.expireTime_ * 1000)}.`);
+    }
   }
 
   /**
    * Make a network request for the manifest and parses the resulting data
    * 
+   * @param {?(string|BufferSource)=} data The MPD, if it doesn't need to be
+   *   requested.
    * @return {!Promise.<number>} Resolves with the time it took, in seconds, to
    *  fullfill the request and parse the data
    */
-  async requestManifest_() {
+  async requestManifest_(data = null) {
     const startTime = Date.now();
 
-    /* Get the manifest content from URL using network engine */
-    logger.sp_debug(filePath, "Fetching manifest...");
-    let mpdData = await network_engine.socks5_http_get(this.manifestUri_, proxyConf);
+    // Patch the previous MPD when the origin allows it, which is much
+    // cheaper than fetching and parsing all of it again.
+    let patched = false;
+    if (!data && this.mpd_ && this.patchLocation_ &&
+      this.patchLocation_.expiry > Date.now()) {
+      patched = await this.requestPatch_();
+    }
+
+    if (!patched) {
+      /* Get the manifest content from URL using network engine */
+      let mpdData = data;
+      if (!mpdData) {
+        logger.sp_debug(filePath, "Fetching manifest...");
+        mpdData = await manifest_parser.fetchManifest(this.manifestUri_);
+      }
+
+      await this.parseManifest_(mpdData);
+    }
+
+    // Switch to the MPD@Location for later updates, if the origin moved us.
+    if (this.locationUri_ && this.locationUri_ != this.manifestUri_) {
+      const oldUri = this.manifestUri_;
+      this.manifestUri_ = this.locationUri_;
+      logger.sp_log(filePath, `Manifest moved to ${this.manifestUri_}`);
+      spEventsMgr.emit(spEventsMgr.event_manifest_location_changed,
+        this.manifestUri_, oldUri);
+    }
 
-    await this.parseManifest_(mpdData);
     const endTime = Date.now();
     const updateDuration = (endTime - startTime) / 1000.0;
     this.averageUpdateDuration_.sample(1, updateDuration);
@@ -176,11 +356,14 @@ class dash_parser {
    * Parses the manifest XML.  This also handles updates and will update the
    * stored manifest.
    *
-   * @param {BufferSource} data
+   * @param {string|BufferSource} data
    * @return {!Promise}
    * @private
    */
   async parseManifest_(data) {
+    if (typeof data != 'string') {
+      data = string_utils.fromUTF8(data);
+    }
     const mpd = xml_utils.parseXml(data, 'MPD');
     if (!mpd) {
       throw new error(
@@ -188,7 +371,81 @@ class dash_parser {
         error.Code.DASH_INVALID_XML);
     }
 
-    return await this.processManifest_(mpd);
+    return await this.resolveAndProcess_(mpd);
+  }
+
+  /**
+   * Keeps an MPD document for later patches, resolves the xlinks of a copy of
+   * it and converts that into a manifest.
+   *
+   * @param {!Element} mpd
+   * @return {!Promise}
+   * @private
+   */
+  async resolveAndProcess_(mpd) {
+    this.mpd_ = mpd;
+
+    // Resolve xlinks before anything else looks at the document, so that
+    // remote Periods and AdaptationSets are parsed like inline ones.  They are
+    // resolved in place, hence on a copy.
+    const xlinkOperation = mpd_utils.processXlinks(
+      mpd.cloneNode(/* deep= */ true), this.config_.xlinkFailGracefully,
+      this.manifestUri_);
+    this.operationManager_.manage(xlinkOperation);
+
+    const finalMpd = await xlinkOperation.promise;
+    return await this.processManifest_(finalMpd);
+  }
+
+  /**
+   * Requests an MPD patch from the PatchLocation and applies it to the MPD
+   * of the last update.
+   *
+   * @return {!Promise.<boolean>} False if the patch could not be applied, and
+   *   the manifest has to be fetched in full.
+   * @private
+   */
+  async requestPatch_() {
+    const uri = this.patchLocation_.uri;
+    try {
+      logger.sp_debug(filePath, "Fetching MPD patch %s...", uri);
+      const data = await network_engine.socks5_http_get(uri, proxyConf);
+      const patch = xml_utils.parseXml(data, 'Patch');
+      if (!patch) {
+        throw new error(
+          error.Severity.RECOVERABLE, error.Category.MANIFEST,
+          error.Code.DASH_INVALID_PATCH, 'invalid XML');
+      }
+
+      // A patch only applies to the exact MPD it was made for.
+      const mpd = this.mpd_;
+      const originalPublishTime = xml_utils.parseAttr(
+        patch, 'originalPublishTime', xml_utils.parseDate);
+      const publishTime = xml_utils.parseAttr(
+        mpd, 'publishTime', xml_utils.parseDate);
+      if (patch.getAttribute('mpdId') != mpd.getAttribute('id') ||
+        originalPublishTime == null || originalPublishTime != publishTime) {
+        throw new error(
+          error.Severity.RECOVERABLE, error.Category.MANIFEST,
+          error.Code.DASH_INVALID_PATCH, 'patch does not match the MPD');
+      }
+
+      xml_patch.apply(mpd, patch);
+      if (patch.hasAttribute('publishTime')) {
+        mpd.setAttribute('publishTime', patch.getAttribute('publishTime'));
+      }
+
+      await this.resolveAndProcess_(mpd);
+      logger.sp_debug(filePath, "MPD patched up to %s",
+        mpd.getAttribute('publishTime'));
+      return true;
+    } catch (e) {
+      logger.sp_warn(filePath, "MPD patch %s failed, fetching the full " +
+        "manifest: %s", uri, e.message);
+      this.mpd_ = null;
+      this.patchLocation_ = null;
+      return false;
+    }
   }
 
   /**
@@ -199,17 +456,50 @@ class dash_parser {
    * @private
    */
   async processManifest_(mpd) {
+    this.validation_ = new validation_report(this.config_.strict);
+    let manifestBaseUris = this.manifestUri_ ? [this.manifestUri_] : [];
+
     const locations = xml_utils.findChildren(mpd, 'Location')
       .map(xml_utils.getContents)
       .filter(functional.isNotNull);
 
     if (locations.length > 0) {
-      logger.sp_debug(filePath, "Location information exists, need to be resolved");
+      // Relative Locations are resolved against the manifest they came from.
+      const absoluteLocations = manifestBaseUris.length ?
+        manifest_parser_utils.resolveUris(manifestBaseUris, locations) :
+        locations;
+      this.locationUri_ = absoluteLocations[0];
+      manifestBaseUris = absoluteLocations;
+      logger.sp_debug(filePath, `Location found, later updates will use ${this.locationUri_}`);
     }
     logger.sp_debug(filePath, "Parsing manifest started");
 
-    const uriObjs = xml_utils.findChildren(mpd, 'BaseURL');
-    const baseUris = uriObjs.map(xml_utils.getContents);
+    const contentSteering = xml_utils.findChild(mpd, 'ContentSteering');
+    if (contentSteering) {
+      const isNewSteering = !this.contentSteering_;
+      if (isNewSteering) {
+        this.contentSteering_ = new content_steering_manager();
+      }
+      // Updates may change the steering server.
+      const queryBeforeStart = this.contentSteering_.parseContentSteering(
+        contentSteering, manifestBaseUris, this.config_.contentSteeringUri);
+      if (isNewSteering) {
+        const steeringStarted = this.contentSteering_.start();
+        if (queryBeforeStart) {
+          await steeringStarted;
+        }
+      }
+    } else if (this.contentSteering_) {
+      logger.sp_log(filePath, "ContentSteering removed from the manifest, stopping content steering");
+      this.contentSteering_.stop();
+      this.contentSteering_ = null;
+    }
+
+    const uriObjs = this.findBaseUrls_(mpd);
+    const uris = uriObjs.map(xml_utils.getContents);
+    const baseUris = manifestBaseUris.length ?
+      manifest_parser_utils.resolveUris(manifestBaseUris, uris) : uris;
+    this.addServiceLocations_(uriObjs, manifestBaseUris);
 
     let availabilityTimeOffset = 0;
     if (uriObjs && uriObjs.length) {
@@ -235,6 +525,23 @@ class dash_parser {
 
     const mpdType = mpd.getAttribute('type') || 'static';
 
+    const serviceDescription = this.parseServiceDescription_(mpd);
+
+    // Only dynamic MPDs are updated, so only they can be patched.
+    this.patchLocation_ = null;
+    const patchLocation = xml_utils.findChild(mpd, 'PatchLocation');
+    const patchUri = patchLocation ? xml_utils.getContents(patchLocation) : null;
+    if (patchUri && mpdType == 'dynamic') {
+      const ttl = xml_utils.parseAttr(
+        patchLocation, 'ttl', xml_utils.parseFloat);
+      this.patchLocation_ = {
+        uri: manifestBaseUris.length ?
+          manifest_parser_utils.resolveUris(manifestBaseUris, [patchUri])[0] :
+          patchUri,
+        expiry: ttl != null ? Date.now() + ttl * 1000 : Infinity,
+      };
+    }
+
     let presentationTimeline;
     if (this.manifest_) {
       presentationTimeline = this.manifest_.presentationTimeline;
@@ -254,6 +561,8 @@ class dash_parser {
             presentationTimeline.getSegmentAvailabilityStart());
         }
       }
+      presentationTimeline.evictTimelineRegions(
+        presentationTimeline.getSegmentAvailabilityStart());
     } else {
       // DASH IOP v3.0 suggests using a default delay between minBufferTime
       // and timeShiftBufferDepth.  This is literally the range of all
@@ -261,11 +570,14 @@ class dash_parser {
       // timeShiftBufferDepth is still available, and anything less than
       // minBufferTime will cause buffering issues.
       //
-      // We have decided that our default will be the configured value, or
-      // 1.5 * minBufferTime if not configured. This is fairly conservative.
+      // We have decided that our default will be the target latency of the
+      // ServiceDescription, or 1.5 * minBufferTime if there is none. The
+      // latter is fairly conservative.
       // Content providers should provide a suggestedPresentationDelay whenever
       // possible to optimize the live streaming experience.
-      const defaultPresentationDelay = minBufferTime * 1.5;
+      const defaultPresentationDelay =
+        serviceDescription && serviceDescription.targetLatency != null ?
+          serviceDescription.targetLatency : minBufferTime * 1.5;
       const presentationDelay = suggestedPresentationDelay != null ?
         suggestedPresentationDelay : defaultPresentationDelay;
       presentationTimeline = new presentation_timeline(
@@ -313,10 +625,31 @@ class dash_parser {
     };
 
     /* parse periods */
+    this.minTotalAvailabilityTimeOffest_ = Infinity;
+    this.lowLatency_ = false;
     const periodsAndDuration = this.parsePeriods_(context, baseUris, mpd);
+    this.validation_.check();
     const duration = periodsAndDuration.duration;
     const periods = periodsAndDuration.periods;
 
+    // Low latency segments are listed availabilityTimeOffset earlier than
+    // their complete versions, which brings the live edge closer.  They are
+    // still downloaded and published whole: no partial references are built
+    // for their chunks.
+    const minAvailabilityTimeOffset =
+      isFinite(this.minTotalAvailabilityTimeOffest_) ?
+        this.minTotalAvailabilityTimeOffest_ : 0;
+    const isLowLatency = context.dynamic &&
+      (this.lowLatency_ || minAvailabilityTimeOffset > 0);
+    presentationTimeline.setAvailabilityTimeOffset(
+      isLowLatency ? minAvailabilityTimeOffset : 0);
+
+    if (isLowLatency) {
+      logger.sp_debug(filePath, "Low latency stream; availabilityTimeOffset: %f, " +
+        "presentation delay: %f", minAvailabilityTimeOffset,
+        presentationTimeline.getDelay());
+    }
+
     if (mpdType == 'static' ||
       !periodsAndDuration.durationDerivedFromPeriods) {
       // Ignore duration calculated from Period lengths if this is dynamic.
@@ -335,9 +668,12 @@ class dash_parser {
         variants: this.periodCombiner_.getVariants(),
         textStreams: this.periodCombiner_.getTextStreams(),
         imageStreams: this.periodCombiner_.getImageStreams(),
+        timelineRegions: presentationTimeline.getTimelineRegions(),
         offlineSessionIds: [],
         minBufferTime: minBufferTime || 0,
         sequenceMode: false,
+        isLowLatency: isLowLatency,
+        serviceDescription: serviceDescription,
       };
 
       logger.sp_debug(filePath, "Periods are re-parsed and combined to different stream and varants.");
@@ -351,16 +687,177 @@ class dash_parser {
         presentationTimeline.setClockOffset(offset);
       }
     } else {
-      // Just update the variants and text streams, which may change as periods
-      // are added or removed.
+      // Just update the variants, text streams and timeline regions, which may
+      // change as periods are added or removed.
       this.manifest_.variants = this.periodCombiner_.getVariants();
       this.manifest_.textStreams = this.periodCombiner_.getTextStreams();
       this.manifest_.imageStreams = this.periodCombiner_.getImageStreams();
+      this.manifest_.timelineRegions = presentationTimeline.getTimelineRegions();
+      this.manifest_.isLowLatency = isLowLatency;
+      this.manifest_.serviceDescription = serviceDescription;
     }
 
     var targetVariant = this.manifest_.variants[0];
   }
 
+  /**
+   * Parses the Accessibility, Viewpoint and Rating descriptors of an
+   * AdaptationSet.  Roles signalled through Accessibility descriptors are
+   * added to the given role values.
+   *
+   * @param {!Element} elem The AdaptationSet element.
+   * @param {!Array.<string>} roleValues
+   * @return {dash_parser.AccessibilityInfo}
+   * @private
+   */
+  static parseAccessibility_(elem, roleValues) {
+    /** @type {dash_parser.AccessibilityInfo} */
+    const accessibility = {
+      audioDescription: roleValues.includes('description'),
+      captions: roleValues.includes('caption'),
+      closedCaptions: null,
+      viewpoint: null,
+      ratings: [],
+    };
+
+    for (const prop of xml_utils.findChildren(elem, 'Accessibility')) {
+      const schemeId = prop.getAttribute('schemeIdUri');
+      const value = prop.getAttribute('value') || null;
+      switch (schemeId) {
+        case dash_parser.CEA608_SCHEME_ID_:
+        case dash_parser.CEA708_SCHEME_ID_:
+          accessibility.closedCaptions = accessibility.closedCaptions ||
+            new Map();
+          dash_parser.parseClosedCaptions_(
+            schemeId, value, accessibility.closedCaptions);
+          break;
+        case 'urn:mpeg:dash:role:2011':
+          // Accessibility features with Role values, see DASH-IF IOP 3.9.2.
+          if (value) {
+            roleValues.push(value);
+            accessibility.audioDescription =
+              accessibility.audioDescription || value == 'description';
+            accessibility.captions = accessibility.captions ||
+              value == 'caption' || value == 'captions';
+          }
+          break;
+        case 'urn:tva:metadata:cs:AudioPurposeCS:2007':
+          // See DVB A168, table 5.
+          if (value == '1') {
+            roleValues.push('description');
+            accessibility.audioDescription = true;
+          } else if (value == '2') {
+            roleValues.push('enhanced-audio-intelligibility');
+          }
+          break;
+        default:
+          logger.sp_debug(filePath,
+            'Ignoring Accessibility descriptor with scheme %s', schemeId);
+      }
+    }
+
+    const viewpoint = xml_utils.findChild(elem, 'Viewpoint');
+    if (viewpoint) {
+      accessibility.viewpoint = viewpoint.getAttribute('value') || null;
+    }
+
+    accessibility.ratings = xml_utils.findChildren(elem, 'Rating')
+      .map((rating) => {
+        return {
+          schemeIdUri: rating.getAttribute('schemeIdUri'),
+          value: rating.getAttribute('value') || null,
+        };
+      });
+
+    return accessibility;
+  }
+
+  /**
+   * Adds the caption channels of a CEA-608 or CEA-708 Accessibility
+   * descriptor to the map, as defined by SCTE 214-1.
+   *
+   * @param {string} schemeId
+   * @param {?string} value e.g. 'CC1=eng;CC3=swe' for CEA-608, or
+   *   '1=lang:eng;2=lang:deu,er:1' for CEA-708.  Either may also be a list
+   *   of languages only, like 'eng;swe'.
+   * @param {!Map.<string, string>} closedCaptions Channel IDs ('CC1' to
+   *   'CC4', or 'svc1' to 'svc63') to languages.
+   * @private
+   */
+  static parseClosedCaptions_(schemeId, value, closedCaptions) {
+    const is608 = schemeId == dash_parser.CEA608_SCHEME_ID_;
+    const prefix = is608 ? 'CC' : 'svc';
+    if (!value) {
+      closedCaptions.set(prefix + '1', 'und');
+      return;
+    }
+
+    const assignments = value.split(';').filter((str) => str.trim());
+    let channelNumber = 1;
+    for (const assignment of assignments) {
+      let channel;
+      let language;
+      if (assignment.includes('=')) {
+        const [id, info] = assignment.split('=');
+        // CEA-608 channels may be given as '1' or 'CC1'.
+        channel = is608 && id.startsWith('CC') ? id : prefix + id;
+        // CEA-708 languages come as 'lang:eng', possibly followed by the
+        // aspect ratio and easy reader flags.
+        language = is608 ? info : info.split(',')[0].split(':').pop();
+      } else {
+        // Only languages are given.  Two CEA-608 languages are most likely
+        // on CC1 and CC3, which are on different fields, otherwise the
+        // channels are taken in order.
+        channel = prefix + channelNumber;
+        channelNumber += is608 && assignments.length == 2 ? 2 : 1;
+        language = assignment;
+      }
+      closedCaptions.set(channel.trim(),
+        language_utils.normalize(language.trim() || 'und'));
+    }
+  }
+
+  /**
+   * Parses the latency and playback rate targets of the ServiceDescription
+   * element, if any.
+   *
+   * @param {!Element} mpd
+   * @return {?dash_parser.ServiceDescription}
+   * @private
+   */
+  parseServiceDescription_(mpd) {
+    const elem = xml_utils.findChild(mpd, 'ServiceDescription');
+    if (!elem) {
+      return null;
+    }
+
+    const latencyNode = xml_utils.findChild(elem, 'Latency');
+    // Latencies are given in milliseconds.
+    const parseLatency = (name) => {
+      const ms = latencyNode ?
+        xml_utils.parseAttr(latencyNode, name, xml_utils.parseNonNegativeInt) :
+        null;
+      return ms != null ? ms / 1000 : null;
+    };
+
+    const playbackRateNode = xml_utils.findChild(elem, 'PlaybackRate');
+    const parseRate = (name) => {
+      return playbackRateNode ?
+        xml_utils.parseAttr(playbackRateNode, name, xml_utils.parseFloat) :
+        null;
+    };
+
+    const serviceDescription = {
+      targetLatency: parseLatency('target'),
+      maxLatency: parseLatency('max'),
+      minLatency: parseLatency('min'),
+      maxPlaybackRate: parseRate('max'),
+      minPlaybackRate: parseRate('min'),
+    };
+    logger.sp_debug(filePath, "ServiceDescription: %j", serviceDescription);
+    return serviceDescription;
+  }
+
   /**
    * Reads and parses the periods from the manifest. The first does some
    * partial parsing so that start and duration is available when parsing
@@ -415,7 +912,10 @@ class dash_parser {
       const thresold = manifest_parser_utils.GAP_OVERLAP_TOLERANCE_SECONDS;
       if (periodDuration && givenDuration &&
         Math.abs(periodDuration - givenDuration) > thresold) {
-        logger.sp_warn(filePath, "There is a gap/overlap between Periods");
+        this.validation_.warn(error.Code.DASH_PERIOD_GAP, elem,
+          `There is a gap/overlap between Periods: @duration is ` +
+          `${givenDuration}s, the next Period starts ${periodDuration}s ` +
+          'later.');
       }
 
       // Only use the @duration in the MPD if we can't calculate it. We should
@@ -444,9 +944,9 @@ class dash_parser {
         if (next) {
           // If the duration is still null and we aren't at the end, then we
           // will skip any remaining periods.
-          logger.sp_warn(filePath,
-            'Skipping Period', i + 1, 'and any subsequent Periods:', 'Period',
-            i + 1, 'does not have a valid start time.', next);
+          this.validation_.warn(error.Code.DASH_PERIOD_WITHOUT_START, next,
+            `Skipping Period ${i + 1} and any subsequent Periods: Period ` +
+            `${i + 1} does not have a valid start time.`);
         }
 
         // The duration is unknown, so the end is unknown.
@@ -464,9 +964,9 @@ class dash_parser {
 
     if (presentationDuration != null) {
       if (prevEnd != presentationDuration) {
-        logger.sp_warn(filePath,
-          '@mediaPresentationDuration does not match the total duration of ',
-          'all Periods.');
+        this.validation_.warn(error.Code.DASH_DURATION_MISMATCH, mpd,
+          `@mediaPresentationDuration (${presentationDuration}s) does not ` +
+          `match the total duration of all Periods (${prevEnd}s).`);
         // Assume @mediaPresentationDuration is correct.
       }
       return {
@@ -509,9 +1009,14 @@ class dash_parser {
       context.period.id = '__sp_period_' + periodInfo.start;
     }
 
-    // ignore EventStream tags for now
-    // const eventStreamNodes =
-    //   xml_utils.findChildren(periodInfo.node, 'EventStream');
+    const eventStreamNodes =
+      xml_utils.findChildren(periodInfo.node, 'EventStream');
+
+    logger.sp_debug(filePath, "%d EventStream(s) found.", eventStreamNodes.length);
+
+    for (const node of eventStreamNodes) {
+      this.parseEventStream_(context, periodInfo, node);
+    }
 
     const adaptationSetNodes =
       xml_utils.findChildren(periodInfo.node, 'AdaptationSet');
@@ -536,10 +1041,11 @@ class dash_parser {
 
       // Representation Ids must be unique each other.
       if (ids.length != uniqueIds.size) {
-        throw new error(
-          error.Severity.CRITICAL,
-          error.Category.MANIFEST,
-          error.Code.DASH_DUPLICATE_REPRESENTATION_ID);
+        const duplicates = ids.filter((id, i) => ids.indexOf(id) != i);
+        throw this.validation_.fail(
+          error.Code.DASH_DUPLICATE_REPRESENTATION_ID, periodInfo.node,
+          'Representation ids must be unique in a dynamic MPD, ' +
+          `${[...new Set(duplicates)].join(', ')} are not.`);
       }
     }
 
@@ -549,33 +1055,40 @@ class dash_parser {
     const trickModeAdaptationSets = adaptationSets
       .filter((as) => { return as.trickModeFor; });
 
-    // Attach trick mode tracks to normal tracks.
+    // Attach trick mode tracks to normal tracks.  Every trick mode
+    // Representation with the same codec is kept, e.g. trick play ladders at
+    // several frame rates and resolutions.
     for (const trickModeSet of trickModeAdaptationSets) {
       const targetIds = trickModeSet.trickModeFor.split(' ');
       for (const normalSet of normalAdaptationSets) {
         if (targetIds.includes(normalSet.id)) {
           for (const stream of normalSet.streams) {
-            // There may be multiple trick mode streams, but we do not
-            // currently support that.  Just choose one.
-            // TODO: https://github.com/shaka-project/shaka-player/issues/1528
-            stream.trickModeVideo = trickModeSet.streams.find((trickStream) =>
+            const trickStreams = trickModeSet.streams.filter((trickStream) =>
               mime_utils.getCodecBase(stream.codecs) ==
               mime_utils.getCodecBase(trickStream.codecs));
+            stream.trickModeVideos.push(...trickStreams);
           }
         }
       }
     }
 
-    const audioSets = this.getSetsOfType_(normalAdaptationSets, ContentType.AUDIO);
-    const videoSets = this.getSetsOfType_(normalAdaptationSets, ContentType.VIDEO);
-    const textSets = this.getSetsOfType_(normalAdaptationSets, ContentType.TEXT);
-    const imageSets = this.getSetsOfType_(normalAdaptationSets, ContentType.IMAGE);
+    // Partial components are only played through a Preselection.  Main
+    // AdaptationSets stay selectable next to their Preselections, which may
+    // be in other languages.
+    const preselectionSets =
+      this.parsePreselections_(periodInfo.node, normalAdaptationSets);
+    const selectableSets = normalAdaptationSets
+      .filter((as) => !as.preselectionComponent)
+      .concat(preselectionSets);
+
+    const audioSets = this.getSetsOfType_(selectableSets, ContentType.AUDIO);
+    const videoSets = this.getSetsOfType_(selectableSets, ContentType.VIDEO);
+    const textSets = this.getSetsOfType_(selectableSets, ContentType.TEXT);
+    const imageSets = this.getSetsOfType_(selectableSets, ContentType.IMAGE);
 
     if (!videoSets.length && !audioSets.length) {
-      throw new error(
-        error.Severity.CRITICAL,
-        error.Category.MANIFEST,
-        error.Code.DASH_EMPTY_PERIOD);
+      throw this.validation_.fail(error.Code.DASH_EMPTY_PERIOD,
+        periodInfo.node, 'The Period has no audio or video AdaptationSet.');
     }
 
     const audioStreams = [];
@@ -610,6 +1123,65 @@ class dash_parser {
     };
   }
 
+  /**
+   * Parses an EventStream element and puts each of its Events on the
+   * presentation timeline as a timeline region.
+   *
+   * @param {dash_parser.Context} context
+   * @param {dash_parser.PeriodInfo} periodInfo
+   * @param {!Element} elem The EventStream element.
+   * @private
+   */
+  parseEventStream_(context, periodInfo, elem) {
+    const parseNumber = xml_utils.parseNonNegativeInt;
+
+    const schemeIdUri = elem.getAttribute('schemeIdUri') || '';
+    const value = elem.getAttribute('value') || '';
+    const timescale = xml_utils.parseAttr(elem, 'timescale', parseNumber) || 1;
+    const presentationTimeOffset =
+      xml_utils.parseAttr(elem, 'presentationTimeOffset', parseNumber) || 0;
+
+    const periodStart = periodInfo.start;
+    const periodDuration = periodInfo.duration;
+
+    for (const eventNode of xml_utils.findChildren(elem, 'Event')) {
+      const unscaledTime =
+        xml_utils.parseAttr(eventNode, 'presentationTime', parseNumber) || 0;
+      const unscaledDuration =
+        xml_utils.parseAttr(eventNode, 'duration', parseNumber) || 0;
+
+      const presentationTime = (unscaledTime - presentationTimeOffset) / timescale;
+      const duration = unscaledDuration / timescale;
+
+      let startTime = periodStart + presentationTime;
+      let endTime = startTime + duration;
+      if (periodDuration != null) {
+        // An event should not go past the Period, even if the manifest says so.
+        // See: DASH sec. 5.10.2.1
+        startTime = Math.min(startTime, periodStart + periodDuration);
+        endTime = Math.min(endTime, periodStart + periodDuration);
+      }
+
+      const region = {
+        schemeIdUri: schemeIdUri,
+        value: value,
+        id: eventNode.getAttribute('id') || '',
+        periodId: context.period.id,
+        presentationTime: presentationTime,
+        duration: duration,
+        startTime: startTime,
+        endTime: endTime,
+        messageData: eventNode.getAttribute('messageData') ||
+          eventNode.textContent.trim() || null,
+        eventElement: eventNode,
+      };
+
+      if (context.presentationTimeline.addTimelineRegion(region)) {
+        spEventsMgr.emit(spEventsMgr.event_timeline_region_added, region);
+      }
+    }
+  }
+
   /**
    * @param {!Array.<!dash_parser.AdaptationInfo>} adaptationSets
    * @param {string} type
@@ -673,6 +1245,11 @@ class dash_parser {
       }
     }
 
+    const accessibility = dash_parser.parseAccessibility_(elem, roleValues);
+    if (isText && accessibility.captions) {
+      kind = manifest_parser_utils.TextStreamKind.CLOSED_CAPTION;
+    }
+
     // Parallel for HLS VIDEO-RANGE as defined in DASH-IF IOP v4.3 6.2.5.1.
     let videoRange;
     const videoRangeScheme = 'urn:mpeg:mpegB:cicp:TransferCharacteristics';
@@ -696,6 +1273,8 @@ class dash_parser {
       xml_utils.findChildren(elem, 'EssentialProperty');
     // ID of real AdaptationSet if this is a trick mode set:
     let trickModeFor = null;
+    // True if this set is only played as a part of a Preselection.
+    let preselectionComponent = false;
     let unrecognizedEssentialProperty = false;
 
     logger.sp_debug(filePath, `${essentialProperties.length} EssentialProperty(s) Found`);
@@ -704,6 +1283,8 @@ class dash_parser {
       const schemeId = prop.getAttribute('schemeIdUri');
       if (schemeId == 'http://dashif.org/guidelines/trickmode') {
         trickModeFor = prop.getAttribute('value');
+      } else if (schemeId == dash_parser.PRESELECTION_SCHEME_ID_) {
+        preselectionComponent = true;
       } else if (schemeId == videoRangeScheme) {
         videoRange = getVideoRangeFromTransferCharacteristicCICP(
           parseInt(prop.getAttribute('value'), 10),
@@ -774,7 +1355,8 @@ class dash_parser {
 
     const streams = representations.map((representation) => {
       const parsedRepresentation = this.parseRepresentation_(context,
-        contentProtection, kind, language, label, main, roleValues, representation);
+        contentProtection, kind, language, label, main, roleValues,
+        accessibility, representation);
       if (parsedRepresentation) {
         parsedRepresentation.hdr = parsedRepresentation.hdr || videoRange;
       }
@@ -789,10 +1371,8 @@ class dash_parser {
       if (isText || isImage) {
         return null;
       }
-      throw new error(
-        error.Severity.CRITICAL,
-        error.Category.MANIFEST,
-        error.Code.DASH_EMPTY_ADAPTATION_SET);
+      throw this.validation_.fail(error.Code.DASH_EMPTY_ADAPTATION_SET, elem,
+        'The AdaptationSet has no usable Representation.');
     }
 
     // If AdaptationSet's type is unknown or is ambiguously "application",
@@ -839,10 +1419,141 @@ class dash_parser {
       streams: streams,
       drmInfos: contentProtection.drmInfos,
       trickModeFor: trickModeFor,
+      preselectionComponent: preselectionComponent,
       representationIds: repIds,
     };
   }
 
+  /**
+   * Parses the Preselection elements of a Period.  Each one becomes an audio
+   * AdaptationInfo of its own, with streams derived from the Representations
+   * of its main AdaptationSet, so that it can be chosen like any other audio.
+   *
+   * @param {!Element} periodNode
+   * @param {!Array.<dash_parser.AdaptationInfo>} adaptationSets
+   * @return {!Array.<dash_parser.AdaptationInfo>}
+   * @private
+   */
+  parsePreselections_(periodNode, adaptationSets) {
+    const ContentType = manifest_parser_utils.ContentType;
+    const preselectionSets = [];
+    const preselectionElems = xml_utils.findChildren(periodNode, 'Preselection');
+    // Streams of main AdaptationSets, to the function sharing their segment
+    // index with a Preselection stream.
+    const sharedStreams = new Map();
+
+    logger.sp_debug(filePath, "%d Preselection(s) found.", preselectionElems.length);
+
+    for (const elem of preselectionElems) {
+      // The first component is the main AdaptationSet, which carries the
+      // bitstream the preselection is decoded from.
+      const components = (elem.getAttribute('preselectionComponents') || '')
+        .trim().split(/\s+/).filter((id) => id);
+      const mainSet = adaptationSets.find((as) => as.id == components[0]);
+      if (!mainSet || mainSet.contentType != ContentType.AUDIO) {
+        this.validation_.warn(error.Code.DASH_INVALID_PRESELECTION, elem,
+          'Ignoring Preselection without a main audio AdaptationSet.');
+        continue;
+      }
+
+      const roleValues = xml_utils.findChildren(elem, 'Role')
+        .map((role) => role.getAttribute('value'))
+        .filter((value) => value);
+      const accessibility = dash_parser.parseAccessibility_(elem, roleValues);
+      const labelElem = xml_utils.findChild(elem, 'Label');
+      const preselection = {
+        // Preselection@id defaults to 1.
+        id: elem.getAttribute('id') || '1',
+        tag: elem.getAttribute('tag') || null,
+        components: components,
+      };
+      const language = elem.hasAttribute('lang') ?
+        language_utils.normalize(elem.getAttribute('lang')) :
+        mainSet.language;
+      const main = roleValues.includes('main');
+      const audioChannels = this.parseAudioChannels_(
+        xml_utils.findChildren(elem, 'AudioChannelConfiguration'));
+
+      const streams = mainSet.streams.map((stream) => {
+        const preselectionStream = Object.assign({}, stream, {
+          id: this.globalId_++,
+          codecs: elem.getAttribute('codecs') || stream.codecs,
+          language: language,
+          label: labelElem ? labelElem.textContent : stream.label,
+          primary: main,
+          roles: roleValues,
+          audioDescription: accessibility.audioDescription,
+          channelsCount:
+            audioChannels ? audioChannels.count : stream.channelsCount,
+          channelLayout:
+            audioChannels ? audioChannels.layout : stream.channelLayout,
+          audioSamplingRate: xml_utils.parseAttr(elem, 'audioSamplingRate',
+            xml_utils.parseInt) || stream.audioSamplingRate,
+          preselection: preselection,
+          segmentIndex: null,
+          matchedStreams: [],
+        });
+        // The segments are the ones of the main AdaptationSet.
+        if (!sharedStreams.has(stream)) {
+          sharedStreams.set(stream, dash_parser.shareSegmentIndex_(stream));
+        }
+        sharedStreams.get(stream)(preselectionStream);
+        return preselectionStream;
+      });
+
+      logger.sp_debug(filePath,
+        'Preselection %s (tag %s, %s) combines AdaptationSet(s) %s.',
+        preselection.id, preselection.tag, language, components.join(', '));
+
+      preselectionSets.push({
+        id: '__preselection__' + preselection.id,
+        contentType: ContentType.AUDIO,
+        language: language,
+        main: main,
+        streams: streams,
+        drmInfos: mainSet.drmInfos,
+        trickModeFor: null,
+        preselectionComponent: false,
+        representationIds: [],
+      });
+    }
+
+    return preselectionSets;
+  }
+
+  /**
+   * Lets other streams use the segment index of a stream.  The index is only
+   * closed once the stream and every other stream using it closed it.
+   *
+   * @param {Stream} stream
+   * @return {function(Stream)} Makes a stream use the segment index.
+   * @private
+   */
+  static shareSegmentIndex_(stream) {
+    const createSegmentIndex = stream.createSegmentIndex;
+    const closeSegmentIndex = stream.closeSegmentIndex;
+    const users = new Set();
+
+    const share = (user) => {
+      user.createSegmentIndex = async () => {
+        users.add(user);
+        await createSegmentIndex();
+        user.segmentIndex = stream.segmentIndex;
+      };
+      user.closeSegmentIndex = () => {
+        users.delete(user);
+        if (!users.size) {
+          closeSegmentIndex();
+        }
+        if (user != stream) {
+          user.segmentIndex = null;
+        }
+      };
+    };
+    share(stream);
+    return share;
+  }
+
   /**
    * Parses a Representation XML element.
    * 
@@ -853,24 +1564,30 @@ class dash_parser {
    * @param {string} label
    * @param {boolean} isPrimary
    * @param {!Array.<string>} roles
+   * @param {dash_parser.AccessibilityInfo} accessibility
    * @param {!Element} node
    * @return {stream} The Stream, or null when there is a 
    *  non-critical parsing error.
    * @private
    */
   parseRepresentation_(context, contentProtection, kind, language, label,
-    isPrimary, roles, node) {
+    isPrimary, roles, accessibility, node) {
     logger.sp_debug(filePath, "Parsing Representation...");
 
     const ContentType = manifest_parser_utils.ContentType;
 
     context.representation = this.createFrame_(node, context.adaptationSet, null);
 
+    // The offset of the MPD level BaseURL applies to every representation.
     this.minTotalAvailabilityTimeOffest_ =
       Math.min(this.minTotalAvailabilityTimeOffest_,
+        context.availabilityTimeOffset +
         context.representation.availabilityTimeOffset);
+    if (context.dynamic && !context.representation.availabilityTimeComplete) {
+      this.lowLatency_ = true;
+    }
 
-    if (!this.verifyRepresentation_(context.representation)) {
+    if (!this.verifyRepresentation_(context.representation, node)) {
       logger.sp_warn(filePath, 'Skipping representation %j', context.representation);
       return null;
     }
@@ -1039,12 +1756,18 @@ class dash_parser {
       label,
       type: context.adaptationSet.contentType,
       primary: isPrimary,
-      trickModeVideo: null,
+      trickModeVideos: [],
       emsgSchemeIdUris:
         context.representation.emsgSchemeIdUris,
       roles,
+      audioDescription: accessibility.audioDescription,
+      closedCaptions: accessibility.closedCaptions,
+      viewpoint: accessibility.viewpoint,
+      ratings: accessibility.ratings,
+      preselection: null,
       forced: forced,
       channelsCount: context.representation.numChannels,
+      channelLayout: context.representation.channelLayout,
       audioSamplingRate: context.representation.audioSamplingRate,
       spatialAudio: spatialAudio,
       hdr,
@@ -1062,15 +1785,16 @@ class dash_parser {
   }
 
   /**
-   * Verifies that a Representation has exactly one Segment* element.  Prints
+   * Verifies that a Representation has exactly one Segment* element.  Reports
    * warnings if there is a problem.
    *
    * @param frame
+   * @param {!Element} node The Representation element.
    * @return {boolean} True if the Representation is usable; otherwise return
    *   false.
    * @private
    */
-  verifyRepresentation_(frame) {
+  verifyRepresentation_(frame, node) {
     const ContentType = manifest_parser_utils.ContentType;
 
     let n = 0;
@@ -1084,21 +1808,19 @@ class dash_parser {
         frame.contentType == ContentType.APPLICATION) {
         return true;
       } else {
-        logger.sp_warn(filePath,
-          'Representation does not contain a segment information source:' +
-          'the Representation must contain one of SegmentBase, SegmentList,' +
-          'SegmentTemplate, or explicitly indicate that it is "text".',
-          frame);
+        this.validation_.warn(error.Code.DASH_NO_SEGMENT_INFO, node,
+          'Representation does not contain a segment information source: ' +
+          'the Representation must contain one of SegmentBase, SegmentList, ' +
+          'SegmentTemplate, or explicitly indicate that it is "text".');
         return false;
       }
     }
 
     if (n != 1) {
-      logger.sp_warn(filePath,
-        'Representation contains multiple segment information sources:' +
-        'the Representation should only contain one of SegmentBase,' +
-        'SegmentList, or SegmentTemplate.',
-        frame);
+      this.validation_.warn(error.Code.DASH_MULTIPLE_SEGMENT_INFO, node,
+        'Representation contains multiple segment information sources: ' +
+        'the Representation should only contain one of SegmentBase, ' +
+        'SegmentList, or SegmentTemplate.');
       if (frame.segmentBase) {
         logger.sp_log(filePath, 'Using SegmentBase by default.');
         frame.segmentList = null;
@@ -1129,6 +1851,11 @@ class dash_parser {
     if (this.updatePeriod_ < 0) {
       return;
     }
+    if (!this.manifestUri_) {
+      logger.sp_warn(filePath,
+        'The manifest has no URI to be updated from, it will not be updated.');
+      return;
+    }
 
     const finalDelay = Math.max(
       dash_parser.MIN_UPDATE_PERIOD_,
@@ -1145,7 +1872,8 @@ class dash_parser {
    * 
    * @param element
    * @param {?dash_parser.InheritanceFrame} parent
-   * @param {Array.<string>} baseUris // This will be removed, not used anymore
+   * @param {Array.<string>} baseUris The manifest-level base URIs, only used
+   *   when there is no parent frame.
    * @return {dash_parser.InheritanceFrame}
    * @private
    */
@@ -1158,18 +1886,27 @@ class dash_parser {
       frameRate: undefined,
       pixelAspectRatio: undefined,
       numChannels: null,
+      channelLayout: null,
       audioSamplingRate: null,
       availabilityTimeOffset: 0,
+      availabilityTimeComplete: true,
     });
 
     const parseNumber = xml_utils.parseNonNegativeInt;
     const evalDivision = xml_utils.evalDivision;
 
-    const uriObjs = xml_utils.findChildren(elem, 'BaseURL');
+    const uriObjs = this.findBaseUrls_(elem);
     const uris = uriObjs.map(xml_utils.getContents);
 
-    let elemBaseUris = parent === null ? uris :
-      manifest_parser_utils.resolveUris(parent.baseUris, uris);
+    let elemBaseUris;
+    const parentBaseUris = parent ? parent.baseUris : (baseUris || []);
+    if (parent) {
+      elemBaseUris = manifest_parser_utils.resolveUris(parent.baseUris, uris);
+    } else {
+      elemBaseUris = baseUris && baseUris.length ?
+        manifest_parser_utils.resolveUris(baseUris, uris) : uris;
+    }
+    this.addServiceLocations_(uriObjs, parentBaseUris);
 
     let contentType = elem.getAttribute('contentType') || elemParent.contentType;
     const mimeType = elem.getAttribute('mimeType') || elemParent.mimeType;
@@ -1183,8 +1920,11 @@ class dash_parser {
       elemParent.emsgSchemeIdUris);
     const audioChannelConfigs =
       xml_utils.findChildren(elem, 'AudioChannelConfiguration');
+    const audioChannels = this.parseAudioChannels_(audioChannelConfigs);
     const numChannels =
-      this.parseAudioChannels_(audioChannelConfigs) || elemParent.numChannels;
+      audioChannels ? audioChannels.count : elemParent.numChannels;
+    const channelLayout =
+      audioChannels ? audioChannels.layout : elemParent.channelLayout;
     const audioSamplingRate =
       xml_utils.parseAttr(elem, 'audioSamplingRate', parseNumber) ||
       elemParent.audioSamplingRate;
@@ -1211,7 +1951,19 @@ class dash_parser {
 
     const availabilityTimeOffset = elemParent.availabilityTimeOffset + baseUriAto +
       segmentBaseAto + segmentTemplateAto;
-    
+
+    // availabilityTimeComplete=false on any of these elements means segments
+    // are announced while they are still being produced and must be fetched
+    // with chunked transfer.  The innermost element which sets it wins.
+    let availabilityTimeComplete = elemParent.availabilityTimeComplete;
+    for (const node of [uriObjs[0], segmentBase, segmentTemplate]) {
+      const complete = node ? xml_utils.parseAttr(node,
+        'availabilityTimeComplete', xml_utils.parseBoolean) : null;
+      if (complete != null) {
+        availabilityTimeComplete = complete;
+      }
+    }
+
     return {
       baseUris: elemBaseUris,
       segmentBase: segmentBase || elemParent.segmentBase,
@@ -1228,11 +1980,70 @@ class dash_parser {
       emsgSchemeIdUris: emsgSchemeIdUris,
       id: elem.getAttribute('id'),
       numChannels: numChannels,
+      channelLayout: channelLayout,
       audioSamplingRate: audioSamplingRate,
       availabilityTimeOffset: availabilityTimeOffset,
+      availabilityTimeComplete: availabilityTimeComplete,
     };
   }
 
+  /**
+   * Finds the BaseURL children of an element, in the order they should be
+   * tried.  Alternatives are ordered by their DVB priority and weight once,
+   * later manifest updates reuse that order.
+   *
+   * @param {!Element} elem
+   * @return {!Array.<!Element>}
+   * @private
+   */
+  findBaseUrls_(elem) {
+    const uriObjs = xml_utils.findChildren(elem, 'BaseURL');
+    if (uriObjs.length < 2) {
+      return uriObjs;
+    }
+
+    const key = uriObjs.map(xml_utils.getContents).join('\n');
+    let order = this.baseUrlOrder_.get(key);
+    if (!order) {
+      order = mpd_utils.orderBaseUrls(uriObjs);
+      this.baseUrlOrder_.set(key, order);
+    }
+    return order.map((i) => uriObjs[i]);
+  }
+
+  /**
+   * Records the pathway (serviceLocation) of BaseURLs for Content Steering.
+   *
+   * @param {!Array.<!Element>} uriObjs
+   * @param {!Array.<string>} parentBaseUris
+   * @private
+   */
+  addServiceLocations_(uriObjs, parentBaseUris) {
+    if (!this.contentSteering_) {
+      return;
+    }
+    for (const uriObj of uriObjs) {
+      const serviceLocation = uriObj.getAttribute('serviceLocation');
+      if (serviceLocation) {
+        const uri = xml_utils.getContents(uriObj);
+        this.contentSteering_.addServiceLocation(parentBaseUris.length ?
+          manifest_parser_utils.resolveUris(parentBaseUris, [uri]) : [uri],
+        serviceLocation);
+      }
+    }
+  }
+
+  /**
+   * Orders the alternative URIs of a segment by the priority of their
+   * pathway, when the MPD uses Content Steering.
+   *
+   * @param {!Array.<string>} uris
+   * @return {!Array.<string>}
+   */
+  orderUris(uris) {
+    return this.contentSteering_ ? this.contentSteering_.orderUris(uris) : uris;
+  }
+
   /**
    * Returns a new array of InbandEventStream schemeIdUri containing the union
    * of the ones parsed from inBandEventStreams and the ones provided in
@@ -1260,7 +2071,8 @@ class dash_parser {
   /**
    * @param {!Array.<!Element>} audioChannelConfigs An array of
    *   AudioChannelConfiguration elements.
-   * @return {?number} The number of audio channels, or null if unknown.
+   * @return {?audio_channel_utils.ChannelConfiguration} The first
+   *   configuration which can be decoded, or null if unknown.
    * @private
    */
   parseAudioChannels_(audioChannelConfigs) {
@@ -1275,68 +2087,9 @@ class dash_parser {
         continue;
       }
 
-      switch (scheme) {
-        case 'urn:mpeg:dash:outputChannelPositionList:2012':
-          // A space-separated list of speaker positions, so the number of
-          // channels is the length of this list.
-          return value.trim().split(/ +/).length;
-
-        case 'urn:mpeg:dash:23003:3:audio_channel_configuration:2011':
-        case 'urn:dts:dash:audio_channel_configuration:2012': {
-          // As far as we can tell, this is a number of channels.
-          const intValue = parseInt(value, 10);
-          if (!intValue) {  // 0 or NaN
-            logger.sp_warn(filePath, 'Channel parsing failure! ' +
-              'Ignoring scheme and value', scheme, value);
-            continue;
-          }
-          return intValue;
-        }
-
-        case 'tag:dolby.com,2014:dash:audio_channel_configuration:2011':
-        case 'urn:dolby:dash:audio_channel_configuration:2011': {
-          // A hex-encoded 16-bit integer, in which each bit represents a
-          // channel.
-          let hexValue = parseInt(value, 16);
-          if (!hexValue) {  // 0 or NaN
-            logger.sp_warn(filePath, 'Channel parsing failure! ' +
-              'Ignoring scheme and value', scheme, value);
-            continue;
-          }
-          // Count the 1-bits in hexValue.
-          let numBits = 0;
-          while (hexValue) {
-            if (hexValue & 1) {
-              ++numBits;
-            }
-            hexValue >>= 1;
-          }
-          return numBits;
-        }
-
-        // Defined by https://dashif.org/identifiers/audio_source_metadata/ and clause 8.2, in ISO/IEC 23001-8.
-        case 'urn:mpeg:mpegB:cicp:ChannelConfiguration': {
-          const noValue = 0;
-          const channelCountMapping = [
-            noValue, 1, 2, 3, 4, 5, 6, 8, 2, 3, /* 0--9 */
-            4, 7, 8, 24, 8, 12, 10, 12, 14, 12, /* 10--19 */
-            14, /* 20 */
-          ];
-          const intValue = parseInt(value, 10);
-          if (!intValue) {  // 0 or NaN
-            logger.sp_warn(filePath, 'Channel parsing failure! ' +
-              'Ignoring scheme and value', scheme, value);
-            continue;
-          }
-          if (intValue > noValue && intValue < channelCountMapping.length) {
-            return channelCountMapping[intValue];
-          }
-          continue;
-        }
-
-        default:
-          logger.sp_warn(filePath, 'Unrecognized audio channel scheme:', scheme, value);
-          continue;
+      const config = audio_channel_utils.parse(scheme, value);
+      if (config) {
+        return config;
       }
     }
 
@@ -1345,10 +2098,37 @@ class dash_parser {
 
   /**
    * Makes a network request on behalf of segment_base.createStreamInfo.
+   * The URIs are tried in order, healthy servers first, until one of them
+   * answers.
+   *
+   * @param {!Array.<string>} uris
+   * @param {?number} startByte
+   * @param {?number} endByte
+   * @return {!Promise.<!ArrayBuffer>}
+   * @private
    */
   async requestInitSegment_(uris, startByte, endByte) {
-    logger.sp_debug(filePath, "Fetching segment... URI: ", uris);
-    // Will be added later.
+    let lastError = null;
+    for (const uri of uri_health.order(this.orderUris(uris))) {
+      logger.sp_debug(filePath, `Fetching bytes ${startByte}-${endByte} of ${uri}...`);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        return await network_engine.socks5_http_get_range(
+          uri, startByte || 0, endByte, proxyConf);
+      } catch (err) {
+        logger.sp_warn(filePath, `Range request to ${uri} failed: ${err.message}`);
+        if (uri_health.isServerFailure(err)) {
+          uri_health.markUnhealthy(uri);
+        }
+        lastError = err;
+      }
+    }
+
+    throw new error(
+      error.Severity.CRITICAL,
+      error.Category.NETWORK,
+      error.Code.HTTP_ERROR,
+      uris[0], lastError);
   }
 
   /**
@@ -1361,30 +2141,34 @@ class dash_parser {
     assert(this.updatePeriod_ >= 0,
       'There should be an update period');
 
-    // Default the update delay to 1 seconds so that manifest is updated every one
-    // second is elapsed, original vaule was 0, but changed for our case.
-    let updateDelay = 1;
-
-    /**
-     * Check if current time is before the expire time which we
-     * got from manifest API.
-     */
-    let currentTimeInSecond = Math.round((Date.now()) / 1000);
-    if (currentTimeInSecond >= this.expireTime_) {
-      logger.sp_warn(filePath, 'Manifest is expired, re-fetching manifest URI...');
-      await this.getManifestURI_(this.apiURLFormat_, this.serviceId_, this.id_);
-      this.manifestExpired = true;
+    let updateDelay = 0;
 
-      try {
-        updateDelay = await this.requestManifest_();
-      } catch (err) {
-        assert(err instanceof error, 'should only receives sp error');
+    try {
+      /**
+       * Check if current time is before the expire time which we
+       * got from manifest API.
+       */
+      let currentTimeInSecond = Math.round((Date.now()) / 1000);
+      if (this.apiURLFormat_ && currentTimeInSecond >= this.expireTime_) {
+        logger.sp_warn(filePath, 'Manifest is expired, re-fetching manifest URI...');
+        await this.getManifestURI_(this.apiURLFormat_, this.serviceId_, this.id_);
+        this.manifestExpired = true;
+      }
 
-        // Try updating again, but ensure we haven't been destroyed.
+      updateDelay = await this.requestManifest_();
+      spEventsMgr.emit(spEventsMgr.event_manifeset_updated, this.manifest_);
+    } catch (err) {
+      // Try updating again on the next tick.
+      if (err instanceof error) {
         err.severity = error.Severity.RECOVERABLE;
       }
+      logger.sp_warn(filePath, `Manifest update failed, will retry: ${err.message}`);
     }
 
+    // Ensure we haven't been stopped in the meantime.
+    if (!this.updateTimer_) {
+      return;
+    }
     this.setUpdateTimer_(updateDelay);
   }
 
@@ -1424,17 +2208,17 @@ class dash_parser {
     const requestUris =
       manifest_parser_utils.resolveUris(baseUris, [uri]);
 
-    const response = await network_engine.http_get(requestUris[0]);
     let text;
     if (method == 'HEAD') {
-      if (!response.headers || !response.headers['date']) {
+      const headers = await network_engine.http_head(requestUris[0]);
+      if (!headers || !headers['date']) {
         logger.sp_warn(filePath, 'UTC timing response is missing',
           'expected date header');
         return 0;
       }
-      text = response.headers['date'];
+      text = headers['date'];
     } else {
-      text = string_utils.fromUTF8(response.data);
+      text = String(await network_engine.http_get(requestUris[0])).trim();
     }
     const date = Date.parse(text);
     if (isNaN(date)) {
@@ -1444,6 +2228,60 @@ class dash_parser {
     return (date - Date.now());
   }
 
+  /**
+   * Requests a 64 bit NTP timestamp from one of the given URIs (the http-ntp
+   * scheme) and calculates the clock offset.
+   *
+   * @param {!Array.<string>} baseUris
+   * @param {string} value white-space separated list of URIs.
+   * @return {!Promise.<?number>} The offset, or null if no URI answered.
+   * @private
+   */
+  async requestForNtpTiming_(baseUris, value) {
+    const requestUris = manifest_parser_utils.resolveUris(
+      baseUris, value.trim().split(/\s+/));
+
+    for (const uri of requestUris) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const data = await network_engine.socks5_http_get_range(
+          uri, 0, null, proxyConf);
+        const date = sntp_client.parseTimestamp(data);
+        if (date != null) {
+          return date - Date.now();
+        }
+        logger.sp_warn(filePath, 'Unable to parse NTP timestamp from', uri);
+      } catch (e) {
+        logger.sp_warn(filePath, 'Error requesting NTP timestamp from', uri,
+          e.message);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Queries the given NTP servers (the ntp and sntp schemes) in turn until
+   * one of them answers, and returns its clock offset.
+   *
+   * @param {string} value white-space separated list of servers, as "host"
+   *   or "host:port".
+   * @return {!Promise.<?number>} The offset, or null if no server answered.
+   * @private
+   */
+  async requestForSntpTiming_(value) {
+    for (const server of value.trim().split(/\s+/)) {
+      const { host, port } = sntp_client.parseServer(server);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        return await sntp_client.requestOffset(host, port);
+      } catch (e) {
+        logger.sp_warn(filePath, 'NTP server %s did not answer: %s', server,
+          e.message);
+      }
+    }
+    return null;
+  }
+
   /**
    * Parses an array of UTCTiming elements.
    *
@@ -1462,7 +2300,7 @@ class dash_parser {
 
     // If there's nothing specified in the manifest, but we have a default from
     // the config, use that.
-    const clockSyncUri = '';
+    const clockSyncUri = this.config_.clockSyncUri;
     if (!schemesAndValues.length && clockSyncUri) {
       schemesAndValues.push({
         scheme: 'urn:mpeg:dash:utc:http-head:2014',
@@ -1474,6 +2312,7 @@ class dash_parser {
       try {
         const scheme = sv.scheme;
         const value = sv.value;
+        let offset = null;
         switch (scheme) {
           // See DASH IOP Guidelines Section 4.7
           // https://bit.ly/DashIop3-2
@@ -1481,29 +2320,41 @@ class dash_parser {
           case 'urn:mpeg:dash:utc:http-head:2014':
           case 'urn:mpeg:dash:utc:http-head:2012':
             // eslint-disable-next-line no-await-in-loop
-            return await this.requestForTiming_(baseUris, value, 'HEAD');
+            offset = await this.requestForTiming_(baseUris, value, 'HEAD');
+            break;
           case 'urn:mpeg:dash:utc:http-xsdate:2014':
           case 'urn:mpeg:dash:utc:http-iso:2014':
           case 'urn:mpeg:dash:utc:http-xsdate:2012':
           case 'urn:mpeg:dash:utc:http-iso:2012':
             // eslint-disable-next-line no-await-in-loop
-            return await this.requestForTiming_(baseUris, value, 'GET');
+            offset = await this.requestForTiming_(baseUris, value, 'GET');
+            break;
           case 'urn:mpeg:dash:utc:direct:2014':
           case 'urn:mpeg:dash:utc:direct:2012': {
             const date = Date.parse(value);
-            return isNaN(date) ? 0 : (date - Date.now());
+            offset = isNaN(date) ? 0 : (date - Date.now());
+            break;
           }
 
           case 'urn:mpeg:dash:utc:http-ntp:2014':
+            // eslint-disable-next-line no-await-in-loop
+            offset = await this.requestForNtpTiming_(baseUris, value);
+            break;
           case 'urn:mpeg:dash:utc:ntp:2014':
           case 'urn:mpeg:dash:utc:sntp:2014':
-            logger.sp_warn(filePath, 'NTP UTCTiming scheme is not supported');
+            // eslint-disable-next-line no-await-in-loop
+            offset = await this.requestForSntpTiming_(value);
             break;
           default:
             logger.sp_warn(filePath,
               'Unrecognized scheme in UTCTiming element', scheme);
             break;
         }
+        if (offset != null) {
+          logger.sp_log(filePath, "Clock offset is %d ms (%s %s)", offset,
+            scheme, value);
+          return offset;
+        }
       } catch (e) {
         logger.sp_warn(filePath, 'Error fetching time from UTCTiming elem', e.message);
       }
@@ -1527,6 +2378,34 @@ class dash_parser {
 dash_parser.MIN_UPDATE_PERIOD_ = 3;
 
 
+/**
+ * The Accessibility scheme of CEA-608 caption channels, see SCTE 214-1.
+ *
+ * @private
+ * @const {string}
+ */
+dash_parser.CEA608_SCHEME_ID_ = 'urn:scte:dash:cc:cea-608:2015';
+
+
+/**
+ * The Accessibility scheme of CEA-708 caption services, see SCTE 214-1.
+ *
+ * @private
+ * @const {string}
+ */
+dash_parser.CEA708_SCHEME_ID_ = 'urn:scte:dash:cc:cea-708:2015';
+
+
+/**
+ * The descriptor scheme of AdaptationSets which are Preselection components,
+ * see ISO/IEC 23009-1 5.3.11.
+ *
+ * @private
+ * @const {string}
+ */
+dash_parser.PRESELECTION_SCHEME_ID_ = 'urn:mpeg:dash:preselection:2016';
+
+
 /**
  * @typedef {
  *   function(!Array.<string>, ?number, ?number):!Promise.<BufferSource>
@@ -1535,6 +2414,63 @@ dash_parser.MIN_UPDATE_PERIOD_ = 3;
 dash_parser.RequestInitSegmentCallback;
 
 
+/**
+ * @typedef {{
+ *   xlinkFailGracefully: boolean,
+ *   clockSyncUri: string,
+ *   contentSteeringUri: string,
+ *   strict: boolean
+ * }}
+ *
+ * @description
+ * Configuration of the DASH parser.
+ *
+ * @property {boolean} xlinkFailGracefully
+ *   If true, xlink-related errors will result in a fallback to the tag's
+ *   existing contents. If false, xlink-related errors will be propagated
+ *   to the application and will result in a playback failure.
+ * @property {string} clockSyncUri
+ *   A URI to synchronize the clock with, by its HTTP Date header, when a live
+ *   manifest has no UTCTiming element.  Empty to not synchronize.
+ * @property {string} contentSteeringUri
+ *   Replaces the steering server of the ContentSteering element, e.g. with
+ *   the path of a local JSON steering manifest.  Empty to use the server.
+ * @property {boolean} strict
+ *   If true, problems the parser works around, e.g. gaps between Periods,
+ *   fail the manifest as well.  See getValidationFindings().
+ */
+dash_parser.Configuration;
+
+
+/**
+ * @typedef {{
+ *   targetLatency: ?number,
+ *   maxLatency: ?number,
+ *   minLatency: ?number,
+ *   maxPlaybackRate: ?number,
+ *   minPlaybackRate: ?number
+ * }}
+ *
+ * @description
+ * The latency and playback rate targets of the MPD's ServiceDescription
+ * element.
+ *
+ * @property {?number} targetLatency
+ *   The latency the service aims for, in seconds, or null if not given.
+ * @property {?number} maxLatency
+ *   The maximum acceptable latency, in seconds, or null if not given.
+ * @property {?number} minLatency
+ *   The minimum acceptable latency, in seconds, or null if not given.
+ * @property {?number} maxPlaybackRate
+ *   The fastest playback rate allowed to catch up with the target latency, or
+ *   null if not given.
+ * @property {?number} minPlaybackRate
+ *   The slowest playback rate allowed to fall back to the target latency, or
+ *   null if not given.
+ */
+dash_parser.ServiceDescription;
+
+
 /**
  * @typedef {{
  *   segmentBase: Element,
@@ -1551,8 +2487,10 @@ dash_parser.RequestInitSegmentCallback;
  *   emsgSchemeIdUris: !Array.<string>,
  *   id: ?string,
  *   numChannels: ?number,
+ *   channelLayout: Array.<string>,
  *   audioSamplingRate: ?number,
- *   availabilityTimeOffset: number
+ *   availabilityTimeOffset: number,
+ *   availabilityTimeComplete: boolean
  * }}
  *
  * @description
@@ -1587,10 +2525,15 @@ dash_parser.RequestInitSegmentCallback;
  *   The ID of the element.
  * @property {?number} numChannels
  *   The number of audio channels, or null if unknown.
+ * @property {Array.<string>} channelLayout
+ *   The speaker of each audio channel, or null if unknown.
  * @property {?number} audioSamplingRate
  *   Specifies the maximum sampling rate of the content, or null if unknown.
  * @property {number} availabilityTimeOffset
  *   Specifies the total availabilityTimeOffset of the segment, or 0 if unknown.
+ * @property {boolean} availabilityTimeComplete
+ *   False if segments become available before they are complete, true by
+ *   default.
  */
 dash_parser.InheritanceFrame;
 
@@ -1672,6 +2615,7 @@ dash_parser.PeriodInfo;
  *   streams: !Array.<Stream>,
  *   drmInfos: !Array.<DrmInfo>,
  *   trickModeFor: ?string,
+ *   preselectionComponent: boolean,
  *   representationIds: !Array.<string>
  * }}
  *
@@ -1694,12 +2638,64 @@ dash_parser.PeriodInfo;
  *   If non-null, this AdaptationInfo represents trick mode tracks.  This
  *   property is the ID of the normal AdaptationSet these tracks should be
  *   associated with.
+ * @property {boolean} preselectionComponent
+ *   True if the AdaptationSet is a partial component, which is only played as
+ *   a part of a Preselection.
  * @property {!Array.<string>} representationIds
  *   An array of the IDs of the Representations this AdaptationSet contains.
  */
 dash_parser.AdaptationInfo;
 
 
+/**
+ * @typedef {{
+ *   audioDescription: boolean,
+ *   captions: boolean,
+ *   closedCaptions: Map.<string, string>,
+ *   viewpoint: ?string,
+ *   ratings: !Array.<{schemeIdUri: string, value: ?string}>
+ * }}
+ *
+ * @description
+ * The accessibility and content descriptors of an AdaptationSet.
+ *
+ * @property {boolean} audioDescription
+ *   True if the audio describes the video for the visually impaired.
+ * @property {boolean} captions
+ *   True if text streams transcribe dialog and sounds for the hearing
+ *   impaired, as opposed to plain subtitles.
+ * @property {Map.<string, string>} closedCaptions
+ *   The languages of the CEA-608/708 caption channels embedded in the video,
+ *   by channel ID, or null if there are none.
+ * @property {?string} viewpoint
+ *   The camera viewpoint, from the Viewpoint descriptor.
+ * @property {!Array.<{schemeIdUri: string, value: ?string}>} ratings
+ *   The content ratings, from the Rating descriptors.
+ */
+dash_parser.AccessibilityInfo;
+
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   tag: ?string,
+ *   components: !Array.<string>
+ * }}
+ *
+ * @description
+ * Identifies the Preselection of next generation audio (AC-4, MPEG-H) a
+ * stream plays.
+ *
+ * @property {string} id
+ *   The Preselection@id.
+ * @property {?string} tag
+ *   The Preselection@tag, which selects the preselection in the bitstream.
+ * @property {!Array.<string>} components
+ *   The IDs of the AdaptationSets the preselection combines, main one first.
+ */
+dash_parser.PreselectionInfo;
+
+
 /**
  * @typedef {function():!Promise.<segment_index>}
  * @description
@@ -1724,10 +2720,10 @@ dash_parser.GenerateSegmentIndexFunction;
 dash_parser.StreamInfo;
 
 manifest_parser.registerParserByExtension(
-  'mpd', () => new dash_parser());
+  'mpd', (...args) => new dash_parser(...args));
 manifest_parser.registerParserByMime(
-  'application/dash+xml', () => new dash_parser());
+  'application/dash+xml', (...args) => new dash_parser(...args));
 manifest_parser.registerParserByMime(
-  'video/vnd.mpeg.dash.mpd', () => new dash_parser());
+  'video/vnd.mpeg.dash.mpd', (...args) => new dash_parser(...args));
 
 export default dash_parser;
\ No newline at end of file
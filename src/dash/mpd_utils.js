@@ -6,6 +6,8 @@ import error from '../util/error.js';
 import functional from '../util/functional.js';
 import manifest_parser_utils from '../util/manifest_parser_utils.js';
 import xml_utils from '../util/xml_utils.js';
+import { node_constants } from '../constants/node_consts.js';
+import { proxyConf } from '../../proxy_conf.js';
 
 const filePath = import.meta.url;
 
@@ -346,24 +348,78 @@ class mpd_utils {
         .reduce((all, part) => { return all || part; });
   }
 
+  /**
+   * Chooses the order in which alternative BaseURL elements are tried, as
+   * described by DVB-DASH (ETSI TS 103 285) section 10.8.2.1: the lowest
+   * dvb:priority comes first, and BaseURLs of the same priority are picked
+   * at random in proportion to their dvb:weight.  Without any of these
+   * attributes, the document order is kept.
+   *
+   * @param {!Array.<!Element>} baseUrlElems
+   * @param {function():number=} random
+   * @return {!Array.<number>} The indexes of baseUrlElems, in order.
+   */
+  static orderBaseUrls(baseUrlElems, random = Math.random) {
+    const NS = mpd_utils.DvbNamespaceUri_;
+    const hasDvbAttrs = baseUrlElems.some((elem) => {
+      return elem.hasAttributeNS(NS, 'priority') ||
+        elem.hasAttributeNS(NS, 'weight');
+    });
+    if (!hasDvbAttrs) {
+      return baseUrlElems.map((elem, index) => index);
+    }
+
+    const parseDvbAttr = (elem, name) => {
+      const value = xml_utils.getAttributeNS(elem, NS, name);
+      const parsed = value != null ? xml_utils.parseNonNegativeInt(value) : null;
+      return parsed == null ? 1 : parsed;
+    };
+
+    /** @type {!Map.<number, !Array.<{index: number, weight: number}>>} */
+    const byPriority = new Map();
+    baseUrlElems.forEach((elem, index) => {
+      const priority = parseDvbAttr(elem, 'priority');
+      if (!byPriority.has(priority)) {
+        byPriority.set(priority, []);
+      }
+      byPriority.get(priority).push(
+        { index: index, weight: parseDvbAttr(elem, 'weight') });
+    });
+
+    const order = [];
+    const priorities = Array.from(byPriority.keys()).sort((a, b) => a - b);
+    for (const priority of priorities) {
+      const candidates = byPriority.get(priority);
+      while (candidates.length) {
+        const total = candidates.reduce((sum, c) => sum + c.weight, 0);
+        let i = 0;
+        if (total > 0) {
+          let pick = random() * total;
+          while (pick >= candidates[i].weight && i < candidates.length - 1) {
+            pick -= candidates[i].weight;
+            i++;
+          }
+        }
+        order.push(candidates.splice(i, 1)[0].index);
+      }
+    }
+    return order;
+  }
+
   /**
    * Follow the xlink contained in the given element.
    * It also strips the xlink properties off of the element,
    * even if the process fails.
    * 
    * @param {!Element} element
-   * @param {!retry_parameters} retry_parameters
    * @param {boolean} failGracefully
    * @param {string} baseUri
-   * @param {network_engine} networkingEngine
    * @param {number} linkDepth
    * @return {!abortable_operation.<!Element>}
    * @private
    */
-  static handleXlinkInElement_(
-    element, retryParameters, failGracefully, baseUri, networkingEngine, linkDepth
-  ) {
-    const NS = mpd_utils.XlinkeNamespaceUri_;
+  static handleXlinkInElement_(element, failGracefully, baseUri, linkDepth) {
+    const NS = mpd_utils.XlinkNamespaceUri_;
     const xlinkHref = xml_utils.getAttributeNS(element, NS, 'href');
     const xlinkActuate = xml_utils.getAttributeNS(element, NS, 'actuate') || 'onRequest';
 
@@ -375,14 +431,125 @@ class mpd_utils {
       }
     }
 
-    if (linkDepth >= 5) {
-      return new abortable_operation.failed(new error(
+    if (linkDepth >= mpd_utils.XLINK_DEPTH_LIMIT_) {
+      return abortable_operation.failed(new error(
         error.Severity.CRITICAL, error.Category.MANIFEST, error.Code.DASH_XLINK_DEPTH_LIMIT
       ));
     }
 
+    if (xlinkActuate != 'onLoad') {
+      // Only xlink:actuate="onLoad" is supported.
+      // When no value is specified, the assumed value is "onRequest".
+      return abortable_operation.failed(new error(
+        error.Severity.CRITICAL, error.Category.MANIFEST,
+        error.Code.DASH_UNSUPPORTED_XLINK_ACTUATE
+      ));
+    }
+
+    // Resolve the xlink href, in case it's a relative URL.
+    const uris = baseUri ?
+      manifest_parser_utils.resolveUris([baseUri], [xlinkHref]) : [xlinkHref];
+
+    logger.sp_debug(filePath, `Resolving xlink of ${element.tagName}: ${uris[0]}`);
+
+    const networkOperation = abortable_operation.notAbortable(
+      network_engine.socks5_http_get(uris[0], proxyConf));
+
+    return networkOperation.chain((data) => {
+      // This only supports the case where the loaded xml has a single
+      // top-level element.  If there are multiple roots, it will be
+      // rejected.
+      const rootElem = xml_utils.parseXml(data, element.tagName);
+      if (!rootElem) {
+        // It was not valid XML.
+        return abortable_operation.failed(new error(
+          error.Severity.CRITICAL, error.Category.MANIFEST,
+          error.Code.DASH_INVALID_XML, xlinkHref
+        ));
+      }
+
+      // Now that there is no other possibility of the process erroring,
+      // the element can be changed further.
 
+      // Remove the current contents of the node.
+      while (element.childNodes.length) {
+        element.removeChild(element.childNodes[0]);
+      }
+
+      // Move the children of the loaded xml into the current element.
+      while (rootElem.childNodes.length) {
+        const child = rootElem.childNodes[0];
+        rootElem.removeChild(child);
+        element.appendChild(child);
+      }
 
+      // Move the attributes of the loaded xml into the current element.
+      for (const attribute of Array.from(rootElem.attributes)) {
+        element.setAttributeNode(attribute.cloneNode(/* deep= */ false));
+      }
+
+      return mpd_utils.processXlinks(
+        element, failGracefully, uris[0], linkDepth + 1);
+    });
+  }
+
+  /**
+   * Filter the contents of a node recursively, replacing xlink links
+   * with their associated online data.
+   *
+   * @param {!Element} element
+   * @param {boolean} failGracefully If true, an xlink which can't be resolved
+   *   is dropped and the element keeps its own contents, instead of failing
+   *   the whole operation.
+   * @param {string} baseUri
+   * @param {number=} linkDepth default set to 0
+   * @return {!abortable_operation.<!Element>}
+   */
+  static processXlinks(element, failGracefully, baseUri, linkDepth = 0) {
+    const NS = mpd_utils.XlinkNamespaceUri_;
+
+    if (xml_utils.getAttributeNS(element, NS, 'href')) {
+      let handled = mpd_utils.handleXlinkInElement_(
+        element, failGracefully, baseUri, linkDepth);
+      if (failGracefully) {
+        // Catch any error and go on.
+        handled = handled.chain(undefined, (err) => {
+          logger.sp_warn(filePath, `Ignoring xlink of ${element.tagName}: ${err.message}`);
+          // handleXlinkInElement_ strips the xlink properties off of the
+          // element even if it fails, so calling processXlinks again will
+          // handle whatever contents the element natively has.
+          return mpd_utils.processXlinks(
+            element, failGracefully, baseUri, linkDepth);
+        });
+      }
+      return handled;
+    }
+
+    const childOperations = [];
+    for (const child of Array.from(element.childNodes)) {
+      if (child.nodeType != node_constants.element_node) {
+        continue;
+      }
+
+      const resolveToZeroString = 'urn:mpeg:dash:resolve-to-zero:2013';
+      if (xml_utils.getAttributeNS(child, NS, 'href') == resolveToZeroString) {
+        // This is a 'resolve to zero' code; it means the element should
+        // be removed, as specified by the mpeg-dash rules for xlink.
+        element.removeChild(child);
+      } else if (child.tagName != 'SegmentTimeline') {
+        // Don't recurse into a SegmentTimeline since xlink attributes
+        // aren't valid in there and looking at each segment can take a long
+        // time with larger manifests.
+
+        // Replace the child with its processed form.
+        childOperations.push(mpd_utils.processXlinks(
+          child, failGracefully, baseUri, linkDepth));
+      }
+    }
+
+    return abortable_operation.all(childOperations).chain(() => {
+      return element;
+    });
   }
 }
 
@@ -441,4 +608,20 @@ mpd_utils.SegmentInfo;
  */
 mpd_utils.XlinkNamespaceUri_ = 'http://www.w3.org/1999/xlink';
 
+
+/**
+ * @const {string}
+ * @private
+ */
+mpd_utils.DvbNamespaceUri_ = 'urn:dvb:dash:dash-extensions:2014-1';
+
+
+/**
+ * The maximum number of nested xlinks that are followed.
+ *
+ * @const {number}
+ * @private
+ */
+mpd_utils.XLINK_DEPTH_LIMIT_ = 5;
+
 export default mpd_utils;
\ No newline at end of file
@@ -27,6 +27,16 @@ class widevine_drm_parser {
     return null;
   }
 
+  /**
+   * Tells if a decryption key can be requested for the given DRM
+   * configuration.
+   * @param drmInfos drm info collection of manifest
+   * @return true if there is Widevine information
+   */
+  static has_widevine_info(drmInfos) {
+    return drmInfos.some((info) => info.keySystem.includes("widevine"));
+  }
+
   clearReference_() {
     this.widevineInfo_ = null;
     this.keyId_ = undefined;
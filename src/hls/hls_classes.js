@@ -0,0 +1,189 @@
+import error from '../util/error.js';
+
+/**
+ * HLS playlist class.
+ */
+export class hls_playlist {
+  /**
+   * @param {hls_playlist_type} type
+   * @param {!Array.<hls_tag>} tags
+   * @param {!Array.<hls_segment>=} segments
+   */
+  constructor(type, tags, segments) {
+    /** @const {hls_playlist_type} */
+    this.type = type;
+
+    /** @const {!Array.<hls_tag>} */
+    this.tags = tags;
+
+    /** @const {Array.<hls_segment>} */
+    this.segments = segments || null;
+  }
+}
+
+
+/**
+ * @enum {number}
+ */
+export const hls_playlist_type = {
+  MASTER: 0,
+  MEDIA: 1,
+};
+
+
+/**
+ * HLS tag class.
+ */
+export class hls_tag {
+  /**
+   * @param {number} id
+   * @param {string} name
+   * @param {!Array.<hls_attribute>} attributes
+   * @param {?string=} value
+   */
+  constructor(id, name, attributes, value = null) {
+    /** @const {number} */
+    this.id = id;
+
+    /** @const {string} */
+    this.name = name;
+
+    /** @const {!Array.<hls_attribute>} */
+    this.attributes = attributes;
+
+    /** @const {?string} */
+    this.value = value;
+  }
+
+  /**
+   * Create the string representation of the tag.
+   *
+   * For the DRM system - the full tag needs to be represented.
+   *
+   * @return {string}
+   * @override
+   */
+  toString() {
+    const tagToString = (attr) => {
+      return attr.name + '="' + attr.value + '"';
+    };
+    // A valid tag can only follow 1 of 4 patterns.
+    //  1) <NAME>:<VALUE>
+    //  2) <NAME>:<ATTRIBUTE LIST>
+    //  3) <NAME>
+    //  4) <NAME>:<VALUE>,<ATTRIBUTE_LIST>
+
+    let result = '#' + this.name;
+    const txtAttributes = this.attributes.map(tagToString);
+
+    if (this.value || txtAttributes.length) {
+      result += ':';
+    }
+
+    if (this.value && txtAttributes.length) {
+      result += this.value + ',' + txtAttributes.join(',');
+    } else if (this.value) {
+      result += this.value;
+    } else if (txtAttributes.length) {
+      result += txtAttributes.join(',');
+    }
+
+    return result;
+  }
+
+  /**
+   * Adds an attribute to an HLS Tag.
+   *
+   * @param {!hls_attribute} attribute
+   */
+  addAttribute(attribute) {
+    this.attributes.push(attribute);
+  }
+
+  /**
+   * Gets the first attribute of the tag with a specified name.
+   *
+   * @param {string} name
+   * @return {?hls_attribute} attribute
+   */
+  getAttribute(name) {
+    const attributes = this.attributes.filter((attr) => {
+      return attr.name == name;
+    });
+
+    return attributes.length ? attributes[0] : null;
+  }
+
+  /**
+   * Gets the value of the first attribute of the tag with a specified name.
+   * If not found, returns an optional default value.
+   *
+   * @param {string} name
+   * @param {string=} defaultValue
+   * @return {?string}
+   */
+  getAttributeValue(name, defaultValue) {
+    const attribute = this.getAttribute(name);
+    return attribute ? attribute.value : (defaultValue || null);
+  }
+
+  /**
+   * Finds the attribute and returns its value.
+   * Throws an error if attribute was not found.
+   *
+   * @param {string} name
+   * @return {string}
+   */
+  getRequiredAttrValue(name) {
+    const attribute = this.getAttribute(name);
+    if (!attribute) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.HLS_REQUIRED_ATTRIBUTE_MISSING,
+        name);
+    }
+
+    return attribute.value;
+  }
+}
+
+
+/**
+ * HLS Attribute class.
+ */
+export class hls_attribute {
+  /**
+   * Creates an HLS attribute.
+   *
+   * @param {string} name
+   * @param {string} value
+   */
+  constructor(name, value) {
+    /** @const {string} */
+    this.name = name;
+
+    /** @const {string} */
+    this.value = value;
+  }
+}
+
+
+/**
+ * HLS Segment class.
+ */
+export class hls_segment {
+  /**
+   * Creates an HLS segment object.
+   *
+   * @param {string} verbatimSegmentUri verbatim segment URI.
+   * @param {!Array.<hls_tag>} tags
+   */
+  constructor(verbatimSegmentUri, tags) {
+    /** @const {!Array.<hls_tag>} */
+    this.tags = tags;
+
+    /** @const {string} */
+    this.verbatimSegmentUri = verbatimSegmentUri;
+  }
+}
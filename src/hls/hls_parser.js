@@ -0,0 +1,1448 @@
+import assert from 'assert';
+import period_combiner from '../util/period_combiner.js';
+import timer from '../util/timer.js';
+import logger from '../util/sp_logger.js';
+import error from '../util/error.js';
+import manifest_parser_utils from '../util/manifest_parser_utils.js';
+import language_utils from '../util/language_utils.js';
+import uint8array_utils from '../util/uint8array_utils.js';
+import pssh from '../util/pssh.js';
+import { keySystemByURI } from '../constants/sp_conf.js';
+import { segment_index } from '../media/segment_index.js';
+import {
+  segment_reference, init_segmentReference,
+} from '../media/segment_reference.js';
+import presentation_timeline from '../media/presentation_timeline.js';
+import ewma from '../abr/ewma.js';
+import manifest_parser from '../media/manifest_parser.js';
+import manifest_text_parser from './manifest_text_parser.js';
+import hls_utils from './hls_utils.js';
+import { hls_playlist_type } from './hls_classes.js';
+import spEventsMgr from '../util/sp_events_manager.js';
+
+const filePath = import.meta.url;
+
+/**
+ * Parses HLS master and media playlists into the same manifest model as
+ * dash_parser: variants and text streams whose segment indexes are kept up to
+ * date by reloading the media playlists of live streams.
+ */
+class hls_parser {
+  constructor(APIformat, serviceId, id) {
+    /**
+     * These 3 memebers are used to fetch manifest URL, it is re-
+     * fetched whenever the current manifest is expired.
+     */
+    this.apiURLFormat_ = APIformat;
+    this.serviceId_ = serviceId;
+    this.id_ = id;
+
+    this.manifestUri_ = null;
+    this.manifest_ = null;
+    this.globalId_ = 1;
+    this.expireTime_ = null;
+
+    /** @private {!manifest_text_parser} */
+    this.manifestTextParser_ = new manifest_text_parser();
+
+    /**
+     * The media playlists, by their URI as written in the master playlist.
+     * @private {!Map.<string, hls_parser.StreamInfo>}
+     */
+    this.uriToStreamInfosMap_ = new Map();
+
+    /**
+     * Closed captions by the GROUP-ID of their EXT-X-MEDIA tags, as maps of
+     * INSTREAM-ID to language.
+     * @private {!Map.<string, !Map.<string, string>>}
+     */
+    this.groupIdToClosedCaptionsMap_ = new Map();
+
+    /** @private {hls_parser.PresentationType_} */
+    this.presentationType_ = hls_parser.PresentationType_.VOD;
+
+    /** @private {number} */
+    this.maxTargetDuration_ = 0;
+
+    /**
+     * The earliest EXT-X-PROGRAM-DATE-TIME of the first segments of a live
+     * stream, in seconds, which is time 0 of the presentation.  Infinity if
+     * the playlists are not aligned by their program date times.
+     * @private {number}
+     */
+    this.lowestSyncTime_ = Infinity;
+
+    this.periodCombiner_ = new period_combiner();
+
+    /**
+     * The update period in seconds, or -1 for no updates.  Live media
+     * playlists are reloaded every target duration.
+     */
+    this.updatePeriod_ = -1;
+
+    /**
+     * An ewma that tracks how long updates take.
+     * @private {!ewma}
+     */
+    this.averageUpdateDuration_ = new ewma(5);
+
+    this.updateTimer_ = new timer(() => {
+      this.onUpdate_();
+    });
+
+    /**
+     * True if the manifest isn't expired yet, false once it does.
+     * It is true by default to get decryption key from the first time.
+     */
+    this.manifestExpired = true;
+
+    /**
+     * Parser configuration, see hls_parser.defaultConfig().
+     * @private {hls_parser.Configuration}
+     */
+    this.config_ = hls_parser.defaultConfig();
+  }
+
+  /**
+   * @return {hls_parser.Configuration} The default parser configuration.
+   */
+  static defaultConfig() {
+    return {
+      liveSegmentsDelay: 3,
+    };
+  }
+
+  /**
+   * Overrides parts of the parser configuration.  Keys which are not given
+   * keep their current values.
+   *
+   * @param {Object} config
+   */
+  configure(config) {
+    Object.assign(this.config_, config);
+  }
+
+  /**
+   * @param {?{uri: string, expiry: (number|undefined)}=} manifestApi The
+   *   answer of the manifest API, if the caller already requested it.  Without
+   *   an expiry, the manifest URI is used for as long as the parser runs.
+   */
+  async start(manifestApi = null) {
+    if (manifestApi) {
+      this.setManifestURI_(manifestApi);
+    } else {
+      await this.getManifestURI_(this.apiURLFormat_, this.serviceId_, this.id_);
+    }
+
+    const updateDelay = await this.requestManifest_();
+    this.setUpdateTimer_(updateDelay);
+
+    /* Manifest should be non-null! */
+    assert(this.manifest_);
+    spEventsMgr.emit(spEventsMgr.event_manifest_parsed, this.manifest_);
+    return this.manifest_;
+  }
+
+  stop() {
+    for (const streamInfo of this.uriToStreamInfosMap_.values()) {
+      if (streamInfo.stream.segmentIndex) {
+        streamInfo.stream.segmentIndex.release();
+      }
+    }
+
+    if (this.periodCombiner_) {
+      this.periodCombiner_.release();
+    }
+
+    this.manifestUri_ = null;
+    this.manifest_ = null;
+    this.uriToStreamInfosMap_.clear();
+    this.groupIdToClosedCaptionsMap_.clear();
+    this.periodCombiner_ = null;
+
+    if (this.updateTimer_ != null) {
+      this.updateTimer_.stop();
+      this.updateTimer_ = null;
+    }
+  }
+
+  /**
+   * HLS has no alternative locations for a segment, so the URIs keep their
+   * order.  Present for the same interface as dash_parser.
+   *
+   * @param {!Array.<string>} uris
+   * @return {!Array.<string>}
+   */
+  orderUris(uris) {
+    return uris;
+  }
+
+  /**
+   * @param apiFormat formatted string for manifest API
+   * @param service service type; will be used in apiURLformat
+   * @param id id; will be used in apiURLformat
+   * @private
+   */
+  async getManifestURI_(apiFormat, service, id) {
+    const manifestApi =
+      await manifest_parser.requestManifestUri(apiFormat, service, id);
+    this.setManifestURI_(manifestApi);
+  }
+
+  /**
+   * @param {{uri: string, expiry: (number|undefined)}} manifestApi
+   * @private
+   */
+  setManifestURI_(manifestApi) {
+    this.manifestUri_ = manifestApi.uri;
+    this.expireTime_ = manifestApi.expiry != null ? manifestApi.expiry : Infinity;
+    if (isFinite(this.expireTime_)) {
+      logger.sp_log(filePath, `Manifest will be expired at ${new Date(this.expireTime_ * 1000)}.`);
+    }
+
+    // Media playlists given relative to the master playlist move with it, e.g.
+    // when the new URI carries a new token in its path.
+    for (const streamInfo of this.uriToStreamInfosMap_.values()) {
+      streamInfo.absoluteMediaPlaylistUri = manifest_parser_utils.resolveUris(
+        [this.manifestUri_], [streamInfo.verbatimMediaPlaylistUri])[0];
+    }
+  }
+
+  /**
+   * Requests the master playlist and all media playlists, and creates the
+   * manifest from them.
+   *
+   * @return {!Promise.<number>} Resolves with the time it took, in seconds, to
+   *  fullfill the request and parse the data
+   * @private
+   */
+  async requestManifest_() {
+    const startTime = Date.now();
+
+    logger.sp_debug(filePath, "Fetching master playlist...");
+    const data = await manifest_parser.fetchManifest(this.manifestUri_);
+    const playlist = this.manifestTextParser_.parsePlaylist(data);
+
+    if (playlist.type == hls_playlist_type.MASTER) {
+      await this.parseMasterPlaylist_(playlist);
+    } else {
+      logger.sp_log(filePath, "Manifest is a media playlist, using it as the only stream.");
+      await this.parseMediaPlaylistAsManifest_(playlist);
+    }
+
+    const updateDuration = (Date.now() - startTime) / 1000.0;
+    this.averageUpdateDuration_.sample(1, updateDuration);
+    return updateDuration;
+  }
+
+  /**
+   * @param {!hls_playlist} playlist
+   * @return {!Promise}
+   * @private
+   */
+  async parseMasterPlaylist_(playlist) {
+    const ContentType = manifest_parser_utils.ContentType;
+
+    const mediaTags = hls_utils.filterTagsByName(playlist.tags, 'EXT-X-MEDIA');
+    const variantTags = hls_utils.filterTagsByName(
+      playlist.tags, 'EXT-X-STREAM-INF');
+    if (!variantTags.length) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.HLS_REQUIRED_TAG_MISSING,
+        'EXT-X-STREAM-INF');
+    }
+
+    this.parseClosedCaptions_(mediaTags);
+
+    // The codecs of a rendition are only listed in the variants using it.
+    const groupIdToCodecs = new Map();
+    for (const tag of variantTags) {
+      const codecs = hls_parser.getCodecs_(tag);
+      for (const groupId of [tag.getAttributeValue('AUDIO'),
+        tag.getAttributeValue('SUBTITLES')]) {
+        if (groupId) {
+          groupIdToCodecs.set(groupId,
+            (groupIdToCodecs.get(groupId) || []).concat(codecs));
+        }
+      }
+    }
+
+    const audioStreamInfos = [];
+    const textStreamInfos = [];
+    const videoStreamInfos = [];
+
+    for (const tag of mediaTags) {
+      const type = tag.getRequiredAttrValue('TYPE');
+      const groupId = tag.getRequiredAttrValue('GROUP-ID');
+      const verbatimUri = tag.getAttributeValue('URI');
+      if (type == 'CLOSED-CAPTIONS') {
+        continue;
+      }
+      if (!verbatimUri) {
+        // The rendition is muxed into the variant stream.
+        continue;
+      }
+      if (type != 'AUDIO' && type != 'SUBTITLES') {
+        logger.sp_debug(filePath, "Ignoring EXT-X-MEDIA of type %s", type);
+        continue;
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      const streamInfo = await this.createStreamInfoFromMediaTag_(
+        tag, groupIdToCodecs.get(groupId) || []);
+      if (streamInfo.stream.type == ContentType.AUDIO) {
+        audioStreamInfos.push(streamInfo);
+      } else {
+        textStreamInfos.push(streamInfo);
+      }
+    }
+
+    const audioGroupsWithUris = new Set(mediaTags.filter((tag) => {
+      return tag.getRequiredAttrValue('TYPE') == 'AUDIO' &&
+        tag.getAttributeValue('URI');
+    }).map((tag) => tag.getRequiredAttrValue('GROUP-ID')));
+
+    for (const tag of variantTags) {
+      // eslint-disable-next-line no-await-in-loop
+      const streamInfo = await this.createStreamInfoFromVariantTag_(
+        tag, audioGroupsWithUris);
+      if (streamInfo.stream.type == ContentType.AUDIO) {
+        audioStreamInfos.push(streamInfo);
+      } else {
+        videoStreamInfos.push(streamInfo);
+      }
+    }
+
+    // Several renditions and variants can share a media playlist.
+    const unique = (streamInfos) => Array.from(new Set(streamInfos));
+    await this.createManifest_(unique(audioStreamInfos),
+      unique(videoStreamInfos), unique(textStreamInfos));
+  }
+
+  /**
+   * Creates the manifest of a single media playlist, without master playlist.
+   *
+   * @param {!hls_playlist} playlist
+   * @return {!Promise}
+   * @private
+   */
+  async parseMediaPlaylistAsManifest_(playlist) {
+    const ContentType = manifest_parser_utils.ContentType;
+
+    // Without CODECS, all we can go by is the kind of segment files.
+    const firstSegment = playlist.segments[0];
+    const extension = firstSegment ?
+      hls_parser.getExtension_(firstSegment.verbatimSegmentUri) : '';
+    const type = hls_parser.AUDIO_EXTENSIONS_.includes(extension) ?
+      ContentType.AUDIO : ContentType.VIDEO;
+
+    const streamInfo = await this.createStreamInfo_(
+      /* verbatimMediaPlaylistUri= */ '', /* codecs= */ '', type,
+      /* language= */ 'und', /* primary= */ true, /* name= */ null,
+      /* channelsCount= */ null, /* closedCaptions= */ null,
+      /* roles= */ [], /* forced= */ false, /* spatialAudio= */ false,
+      playlist);
+    const isAudio = type == ContentType.AUDIO;
+    await this.createManifest_(isAudio ? [streamInfo] : [],
+      isAudio ? [] : [streamInfo], []);
+  }
+
+  /**
+   * Builds the presentation timeline and the variants once all media
+   * playlists are loaded.
+   *
+   * @param {!Array.<hls_parser.StreamInfo>} audioStreamInfos
+   * @param {!Array.<hls_parser.StreamInfo>} videoStreamInfos
+   * @param {!Array.<hls_parser.StreamInfo>} textStreamInfos
+   * @return {!Promise}
+   * @private
+   */
+  async createManifest_(audioStreamInfos, videoStreamInfos, textStreamInfos) {
+    const streamInfos = audioStreamInfos.concat(videoStreamInfos,
+      textStreamInfos);
+
+    // Live playlists which all tell the wall clock time of their segments are
+    // aligned by it, so that they start at the same presentation time.
+    this.lowestSyncTime_ = Infinity;
+    const syncTimes = streamInfos.map((streamInfo) => {
+      const firstSegment = streamInfo.playlist.segments[0];
+      return firstSegment ? hls_parser.getProgramDateTime_(firstSegment) : null;
+    });
+    if (this.isLive_() && syncTimes.every((time) => time != null)) {
+      this.lowestSyncTime_ = Math.min(...syncTimes);
+    }
+
+    for (const streamInfo of streamInfos) {
+      streamInfo.references =
+        this.createSegments_(streamInfo, streamInfo.playlist);
+    }
+
+    this.createPresentationTimeline_(streamInfos);
+
+    this.updatePeriod_ = this.isLive_() ? this.maxTargetDuration_ : -1;
+
+    logger.sp_debug(filePath, "Playlists parsed; presentation type: %s, " +
+      "target duration: %d, audio: %d, video: %d, text: %d stream(s)",
+      this.presentationType_, this.maxTargetDuration_, audioStreamInfos.length,
+      videoStreamInfos.length, textStreamInfos.length);
+
+    // An HLS presentation is a single period.
+    const period = {
+      id: hls_parser.PERIOD_ID_,
+      audioStreams: audioStreamInfos.map((streamInfo) => streamInfo.stream),
+      videoStreams: videoStreamInfos.map((streamInfo) => streamInfo.stream),
+      textStreams: textStreamInfos.map((streamInfo) => streamInfo.stream),
+      imageStreams: [],
+    };
+    await this.periodCombiner_.combinePeriods([period], this.isLive_());
+
+    this.manifest_ = {
+      presentationTimeline: this.presentationTimeline_,
+      variants: this.periodCombiner_.getVariants(),
+      textStreams: this.periodCombiner_.getTextStreams(),
+      imageStreams: this.periodCombiner_.getImageStreams(),
+      timelineRegions: [],
+      offlineSessionIds: [],
+      minBufferTime: 0,
+      sequenceMode: false,
+      isLowLatency: false,
+      serviceDescription: null,
+    };
+  }
+
+  /**
+   * @param {!Array.<hls_parser.StreamInfo>} streamInfos
+   * @private
+   */
+  createPresentationTimeline_(streamInfos) {
+    if (this.isLive_()) {
+      // RFC 8216 section 6.3.3: the client SHOULD NOT choose a segment which
+      // starts less than three target durations from the end of the
+      // playlist.  This is the presentation delay.
+      const delay = this.maxTargetDuration_ * this.config_.liveSegmentsDelay;
+      this.presentationTimeline_ = new presentation_timeline(
+        /* presentationStartTime= */ 0, delay);
+      this.presentationTimeline_.setStatic(false);
+
+      // Segments are removed from live playlists as they age, while event
+      // playlists keep all of them.
+      let segmentAvailabilityDuration = Infinity;
+      if (this.presentationType_ == hls_parser.PresentationType_.LIVE) {
+        segmentAvailabilityDuration = Math.min(...streamInfos.map((info) => {
+          return info.maxTimestamp - info.minTimestamp;
+        }));
+      }
+      this.presentationTimeline_.setSegmentAvailabilityDuration(
+        segmentAvailabilityDuration);
+    } else {
+      this.presentationTimeline_ = new presentation_timeline(
+        /* presentationStartTime= */ null, /* delay= */ 0);
+      this.presentationTimeline_.setStatic(true);
+    }
+
+    for (const streamInfo of streamInfos) {
+      this.presentationTimeline_.notifySegments(streamInfo.references);
+    }
+    this.presentationTimeline_.notifyMaxSegmentDuration(
+      this.maxTargetDuration_);
+
+    if (!this.isLive_()) {
+      this.presentationTimeline_.setDuration(
+        Math.max(...streamInfos.map((info) => info.maxTimestamp)));
+    }
+  }
+
+  /**
+   * Parses the CLOSED-CAPTIONS renditions, which are carried in the video
+   * streams.
+   *
+   * @param {!Array.<!hls_tag>} mediaTags
+   * @private
+   */
+  parseClosedCaptions_(mediaTags) {
+    const closedCaptionsTags = hls_utils.filterTagsByType(
+      mediaTags, 'CLOSED-CAPTIONS');
+    for (const tag of closedCaptionsTags) {
+      const language = language_utils.normalize(
+        tag.getAttributeValue('LANGUAGE') || 'und');
+      const groupId = tag.getRequiredAttrValue('GROUP-ID');
+      // INSTREAM-ID is CC1 to CC4 for CEA-608 and SERVICE1 to SERVICE63 for
+      // CEA-708.
+      const instreamId = tag.getRequiredAttrValue('INSTREAM-ID');
+      if (!this.groupIdToClosedCaptionsMap_.has(groupId)) {
+        this.groupIdToClosedCaptionsMap_.set(groupId, new Map());
+      }
+      this.groupIdToClosedCaptionsMap_.get(groupId).set(instreamId, language);
+    }
+  }
+
+  /**
+   * @param {!hls_tag} tag An EXT-X-MEDIA tag.
+   * @param {!Array.<string>} codecs The codecs of the variants using it.
+   * @return {!Promise.<hls_parser.StreamInfo>}
+   * @private
+   */
+  async createStreamInfoFromMediaTag_(tag, codecs) {
+    const ContentType = manifest_parser_utils.ContentType;
+
+    const type = tag.getRequiredAttrValue('TYPE') == 'SUBTITLES' ?
+      ContentType.TEXT : ContentType.AUDIO;
+    const verbatimUri = tag.getRequiredAttrValue('URI');
+    const language = language_utils.normalize(
+      tag.getAttributeValue('LANGUAGE') || 'und');
+    const name = tag.getRequiredAttrValue('NAME');
+    const primary = tag.getAttributeValue('DEFAULT') == 'YES';
+    const characteristics = tag.getAttributeValue('CHARACTERISTICS');
+    const roles = characteristics ? characteristics.split(',') : [];
+    const forced = tag.getAttributeValue('FORCED') == 'YES';
+
+    // CHANNELS is the channel count, optionally followed by the kind of
+    // spatial audio, e.g. "16/JOC".
+    let channelsCount = null;
+    let spatialAudio = false;
+    const channels = tag.getAttributeValue('CHANNELS');
+    if (type == ContentType.AUDIO && channels) {
+      const parts = channels.split('/');
+      channelsCount = parseInt(parts[0], 10) || null;
+      spatialAudio = parts.length > 1 && parts[1].includes('JOC');
+    }
+
+    let codec = manifest_parser_utils.guessCodecsSafe(type, codecs);
+    if (codec == null) {
+      // The variants do not list the codec of the rendition; assume the
+      // common one.
+      codec = type == ContentType.AUDIO ? hls_parser.DEFAULT_AUDIO_CODEC_ : '';
+    }
+
+    return this.createStreamInfo_(verbatimUri, codec, type, language, primary,
+      name, channelsCount, /* closedCaptions= */ null, roles, forced,
+      spatialAudio);
+  }
+
+  /**
+   * @param {!hls_tag} tag An EXT-X-STREAM-INF tag.
+   * @param {!Set.<string>} audioGroupsWithUris The audio groups whose
+   *   renditions have their own media playlists.
+   * @return {!Promise.<hls_parser.StreamInfo>}
+   * @private
+   */
+  async createStreamInfoFromVariantTag_(tag, audioGroupsWithUris) {
+    const ContentType = manifest_parser_utils.ContentType;
+
+    const verbatimUri = tag.getRequiredAttrValue('URI');
+    const bandwidth = Number(tag.getRequiredAttrValue('BANDWIDTH'));
+    const codecs = hls_parser.getCodecs_(tag);
+    const resolution = tag.getAttributeValue('RESOLUTION');
+
+    const videoCodec = manifest_parser_utils.guessCodecsSafe(
+      ContentType.VIDEO, codecs);
+    const audioCodec = manifest_parser_utils.guessCodecsSafe(
+      ContentType.AUDIO, codecs);
+
+    let streamInfo;
+    if (videoCodec == null && audioCodec != null && !resolution) {
+      // An audio-only variant.
+      streamInfo = await this.createStreamInfo_(verbatimUri, audioCodec,
+        ContentType.AUDIO, /* language= */ 'und', /* primary= */ false,
+        /* name= */ null, /* channelsCount= */ null,
+        /* closedCaptions= */ null, /* roles= */ [], /* forced= */ false,
+        /* spatialAudio= */ false);
+    } else {
+      // Unless the audio comes from renditions of its own, it is muxed into
+      // the video stream, which then has all codecs of the variant.
+      const audioGroupId = tag.getAttributeValue('AUDIO');
+      const hasAudioRenditions = !!audioGroupId &&
+        audioGroupsWithUris.has(audioGroupId);
+      const streamCodecs = hasAudioRenditions && videoCodec != null ?
+        videoCodec : codecs.join(',');
+
+      const closedCaptionsGroupId = tag.getAttributeValue('CLOSED-CAPTIONS');
+      const closedCaptions = closedCaptionsGroupId ?
+        this.groupIdToClosedCaptionsMap_.get(closedCaptionsGroupId) || null :
+        null;
+
+      streamInfo = await this.createStreamInfo_(verbatimUri, streamCodecs,
+        ContentType.VIDEO, /* language= */ 'und', /* primary= */ false,
+        /* name= */ null, /* channelsCount= */ null, closedCaptions,
+        /* roles= */ [], /* forced= */ false, /* spatialAudio= */ false);
+    }
+
+    const stream = streamInfo.stream;
+    // A media playlist shared by several variants keeps the first ones'
+    // attributes.
+    if (!stream.bandwidth) {
+      stream.bandwidth = bandwidth;
+      if (stream.type == ContentType.VIDEO) {
+        if (resolution) {
+          const [width, height] = resolution.split('x');
+          stream.width = Number(width);
+          stream.height = Number(height);
+        }
+        const frameRate = tag.getAttributeValue('FRAME-RATE');
+        stream.frameRate = frameRate ? Number(frameRate) : undefined;
+        const videoRange = tag.getAttributeValue('VIDEO-RANGE');
+        stream.hdr = videoRange == 'PQ' || videoRange == 'HLG' ?
+          videoRange : undefined;
+      }
+    }
+    return streamInfo;
+  }
+
+  /**
+   * Loads a media playlist and creates its stream.  Streams are shared by all
+   * tags referring to the same media playlist.
+   *
+   * @param {string} verbatimMediaPlaylistUri The URI as written in the master
+   *   playlist, or '' for the manifest itself.
+   * @param {string} codecs
+   * @param {string} type
+   * @param {string} language
+   * @param {boolean} primary
+   * @param {?string} name
+   * @param {?number} channelsCount
+   * @param {Map.<string, string>} closedCaptions
+   * @param {!Array.<string>} roles
+   * @param {boolean} forced
+   * @param {boolean} spatialAudio
+   * @param {hls_playlist=} playlist The media playlist, if it is loaded
+   *   already.
+   * @return {!Promise.<hls_parser.StreamInfo>}
+   * @private
+   */
+  async createStreamInfo_(verbatimMediaPlaylistUri, codecs, type, language,
+    primary, name, channelsCount, closedCaptions, roles, forced, spatialAudio,
+    playlist = null) {
+    const ContentType = manifest_parser_utils.ContentType;
+
+    if (this.uriToStreamInfosMap_.has(verbatimMediaPlaylistUri)) {
+      return this.uriToStreamInfosMap_.get(verbatimMediaPlaylistUri);
+    }
+
+    const absoluteMediaPlaylistUri = manifest_parser_utils.resolveUris(
+      [this.manifestUri_], [verbatimMediaPlaylistUri])[0];
+    if (!playlist) {
+      playlist = await this.requestPlaylist_(absoluteMediaPlaylistUri);
+    }
+    this.processMediaPlaylistTags_(playlist);
+
+    const drmInfos = hls_parser.parseDrmInfos_(playlist);
+    const keyIds = new Set();
+    for (const drmInfo of drmInfos) {
+      for (const keyId of drmInfo.keyIds) {
+        keyIds.add(keyId);
+      }
+    }
+    const mimeType = hls_parser.guessMimeType_(type, playlist);
+    // The key system tools only decrypt fragmented MP4, unencrypted MPEG-2 TS
+    // and packed audio segments are published as they are.
+    if (drmInfos.length &&
+      mimeType != hls_parser.MP4_MIME_TYPES_BY_CONTENT_TYPE_[type]) {
+      logger.sp_error(filePath, "Encrypted %s segments can not be decrypted: %s",
+        mimeType, absoluteMediaPlaylistUri);
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.HLS_MSE_ENCRYPTED_MP2T_NOT_SUPPORTED,
+        absoluteMediaPlaylistUri);
+    }
+
+    logger.sp_debug(filePath, "Media playlist %s: %s %s, %d segment(s)",
+      absoluteMediaPlaylistUri, mimeType, codecs, playlist.segments.length);
+
+    /** @type {hls_parser.StreamInfo} */
+    const streamInfo = {
+      stream: null,
+      verbatimMediaPlaylistUri: verbatimMediaPlaylistUri,
+      absoluteMediaPlaylistUri: absoluteMediaPlaylistUri,
+      playlist: playlist,
+      references: [],
+      mediaSequenceToStartTime: new Map(),
+      initSegmentReferences: new Map(),
+      minTimestamp: 0,
+      maxTimestamp: 0,
+      needsUpdate: false,
+    };
+
+    const stream = {
+      id: this.globalId_++,
+      originalId: name,
+      createSegmentIndex: async () => {
+        if (stream.segmentIndex) {
+          return;
+        }
+        // Only the playlists of streams in use are reloaded, catch up with
+        // the updates this one missed.
+        if (streamInfo.needsUpdate) {
+          await this.updateStream_(streamInfo);
+        }
+        stream.segmentIndex = new segment_index(streamInfo.references);
+      },
+
+      closeSegmentIndex: () => {
+        if (stream.segmentIndex) {
+          stream.segmentIndex.release();
+          stream.segmentIndex = null;
+        }
+      },
+      segmentIndex: null,
+      mimeType: mimeType,
+      codecs: codecs,
+      frameRate: undefined,
+      pixelAspectRatio: undefined,
+      bandwidth: 0,
+      width: undefined,
+      height: undefined,
+      kind: type == ContentType.TEXT ?
+        manifest_parser_utils.TextStreamKind.SUBTITLE : undefined,
+      encrypted: drmInfos.length > 0,
+      drmInfos: drmInfos,
+      keyIds: keyIds,
+      language: language,
+      label: name,
+      type: type,
+      primary: primary,
+      trickModeVideos: [],
+      emsgSchemeIdUris: null,
+      roles: roles,
+      audioDescription: roles.includes('public.accessibility.describes-video'),
+      viewpoint: null,
+      ratings: [],
+      preselection: null,
+      forced: forced,
+      channelsCount: channelsCount,
+      channelLayout: null,
+      audioSamplingRate: null,
+      spatialAudio: spatialAudio,
+      hdr: undefined,
+      tilesLayout: undefined,
+      closedCaptions: closedCaptions,
+      matchedStreams: [],
+    };
+    streamInfo.stream = stream;
+
+    this.uriToStreamInfosMap_.set(verbatimMediaPlaylistUri, streamInfo);
+    return streamInfo;
+  }
+
+  /**
+   * @param {string} uri
+   * @return {!Promise.<!hls_playlist>} The media playlist at the URI.
+   * @private
+   */
+  async requestPlaylist_(uri) {
+    logger.sp_debug(filePath, `Fetching media playlist ${uri}...`);
+    const data = await manifest_parser.fetchManifest(uri);
+    const playlist = this.manifestTextParser_.parsePlaylist(data);
+    if (playlist.type != hls_playlist_type.MEDIA) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.HLS_INVALID_PLAYLIST_HIERARCHY);
+    }
+    return playlist;
+  }
+
+  /**
+   * Updates the presentation type and target duration from the tags of a
+   * media playlist.
+   *
+   * @param {!hls_playlist} playlist
+   * @private
+   */
+  processMediaPlaylistTags_(playlist) {
+    const PresentationType = hls_parser.PresentationType_;
+
+    const targetDurationTag = hls_utils.getFirstTagWithName(
+      playlist.tags, 'EXT-X-TARGETDURATION');
+    if (!targetDurationTag) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.HLS_REQUIRED_TAG_MISSING,
+        'EXT-X-TARGETDURATION');
+    }
+    this.maxTargetDuration_ = Math.max(this.maxTargetDuration_,
+      Number(targetDurationTag.value));
+
+    const presentationTypeTag = hls_utils.getFirstTagWithName(
+      playlist.tags, 'EXT-X-PLAYLIST-TYPE');
+    const endListTag = hls_utils.getFirstTagWithName(
+      playlist.tags, 'EXT-X-ENDLIST');
+
+    if (endListTag ||
+      (presentationTypeTag && presentationTypeTag.value == 'VOD')) {
+      this.presentationType_ = PresentationType.VOD;
+    } else if (presentationTypeTag && presentationTypeTag.value == 'EVENT') {
+      this.presentationType_ = PresentationType.EVENT;
+    } else {
+      this.presentationType_ = PresentationType.LIVE;
+    }
+  }
+
+  /**
+   * Creates the segment references of a media playlist.  Segments keep the
+   * start times they had in earlier loads of the playlist, matched by their
+   * media sequence numbers.
+   *
+   * @param {hls_parser.StreamInfo} streamInfo
+   * @param {!hls_playlist} playlist
+   * @return {!Array.<!segment_reference>}
+   * @private
+   */
+  createSegments_(streamInfo, playlist) {
+    const mediaSequenceNumber = hls_utils.getFirstTagWithNameAsNumber(
+      playlist.tags, 'EXT-X-MEDIA-SEQUENCE', 0);
+    let discontinuitySequence = hls_utils.getFirstTagWithNameAsNumber(
+      playlist.tags, 'EXT-X-DISCONTINUITY-SEQUENCE', 0);
+    const durations = playlist.segments.map(hls_parser.getDuration_);
+
+    let startTime = this.getStartTime_(
+      streamInfo, playlist, mediaSequenceNumber, durations);
+
+    // Forget the segments which left the playlist.
+    for (const sequence of streamInfo.mediaSequenceToStartTime.keys()) {
+      if (sequence < mediaSequenceNumber) {
+        streamInfo.mediaSequenceToStartTime.delete(sequence);
+      }
+    }
+
+    streamInfo.minTimestamp = startTime;
+    const references = [];
+    let previousUri = null;
+    let nextByte = 0;
+
+    playlist.segments.forEach((segment, i) => {
+      const duration = durations[i];
+      streamInfo.mediaSequenceToStartTime.set(
+        mediaSequenceNumber + i, startTime);
+
+      // The discontinuity sequence number counts the discontinuities before
+      // the first segment.
+      if (i > 0 &&
+        hls_utils.getFirstTagWithName(segment.tags, 'EXT-X-DISCONTINUITY')) {
+        discontinuitySequence++;
+      }
+
+      const uri = manifest_parser_utils.resolveUris(
+        [streamInfo.absoluteMediaPlaylistUri],
+        [segment.verbatimSegmentUri])[0];
+
+      // A byte range without offset continues the previous one in the same
+      // resource.
+      let startByte = 0;
+      let endByte = null;
+      const byteRangeTag = hls_utils.getFirstTagWithName(
+        segment.tags, 'EXT-X-BYTERANGE');
+      if (byteRangeTag) {
+        [startByte, endByte] = hls_parser.parseByteRange_(
+          byteRangeTag.value, uri == previousUri ? nextByte : 0);
+        nextByte = endByte + 1;
+      }
+      previousUri = uri;
+
+      // Gaps are announced, but there is nothing to download for them.
+      if (!hls_utils.getFirstTagWithName(segment.tags, 'EXT-X-GAP')) {
+        const reference = new segment_reference(
+          startTime,
+          startTime + duration,
+          () => [uri],
+          startByte,
+          endByte,
+          this.getInitSegmentReference_(streamInfo, segment),
+          /* timestampOffset= */ 0,
+          /* appendWindowStart= */ 0,
+          /* appendWindowEnd= */ Infinity);
+        reference.discontinuitySequence = discontinuitySequence;
+        references.push(reference);
+      }
+
+      startTime += duration;
+    });
+
+    streamInfo.maxTimestamp = startTime;
+    return references;
+  }
+
+  /**
+   * @param {hls_parser.StreamInfo} streamInfo
+   * @param {!hls_playlist} playlist
+   * @param {number} mediaSequenceNumber Of the first segment.
+   * @param {!Array.<number>} durations Of the segments.
+   * @return {number} The start time of the first segment of the playlist.
+   * @private
+   */
+  getStartTime_(streamInfo, playlist, mediaSequenceNumber, durations) {
+    // Continue the timeline of the previous load of the playlist.
+    let offset = 0;
+    for (let i = 0; i < durations.length; i++) {
+      const startTime = streamInfo.mediaSequenceToStartTime.get(
+        mediaSequenceNumber + i);
+      if (startTime != undefined) {
+        return startTime - offset;
+      }
+      offset += durations[i];
+    }
+
+    if (streamInfo.mediaSequenceToStartTime.size ||
+      streamInfo.maxTimestamp > 0) {
+      // All segments we knew left the playlist since the last load, the new
+      // ones are assumed to follow them.
+      logger.sp_warn(filePath, "No known segment left in %s, continuing " +
+        "from %d", streamInfo.absoluteMediaPlaylistUri, streamInfo.maxTimestamp);
+      return streamInfo.maxTimestamp;
+    }
+
+    const firstSegment = playlist.segments[0];
+    const syncTime = firstSegment ?
+      hls_parser.getProgramDateTime_(firstSegment) : null;
+    if (isFinite(this.lowestSyncTime_) && syncTime != null) {
+      return syncTime - this.lowestSyncTime_;
+    }
+    return 0;
+  }
+
+  /**
+   * @param {hls_parser.StreamInfo} streamInfo
+   * @param {!hls_segment} segment
+   * @return {init_segmentReference} The init segment of the EXT-X-MAP tag
+   *   which applies to the segment, or null for self-initializing segments,
+   *   e.g. MPEG-2 TS.
+   * @private
+   */
+  getInitSegmentReference_(streamInfo, segment) {
+    const mapTag = hls_utils.getFirstTagWithName(segment.tags, 'EXT-X-MAP');
+    if (!mapTag) {
+      return null;
+    }
+
+    const uri = manifest_parser_utils.resolveUris(
+      [streamInfo.absoluteMediaPlaylistUri],
+      [mapTag.getRequiredAttrValue('URI')])[0];
+    const byteRange = mapTag.getAttributeValue('BYTERANGE');
+    const key = uri + (byteRange ? '#' + byteRange : '');
+
+    // Segments sharing an EXT-X-MAP share its reference.
+    if (!streamInfo.initSegmentReferences.has(key)) {
+      let startByte = 0;
+      let endByte = null;
+      if (byteRange) {
+        [startByte, endByte] = hls_parser.parseByteRange_(byteRange, 0);
+      }
+      streamInfo.initSegmentReferences.set(key,
+        new init_segmentReference(() => [uri], startByte, endByte));
+    }
+    return streamInfo.initSegmentReferences.get(key);
+  }
+
+  /**
+   * Sets the update timer.  Does nothing if the playlists are not live.
+   *
+   * @param {number} offset An offset, in seconds, to apply to the update
+   *   period.
+   * @private
+   */
+  setUpdateTimer_(offset) {
+    if (this.updatePeriod_ < 0) {
+      return;
+    }
+
+    const finalDelay = Math.max(
+      hls_parser.MIN_UPDATE_PERIOD_,
+      this.updatePeriod_ - offset,
+      this.averageUpdateDuration_.getEstimate());
+
+    // We do not run the timer as repeating because part of update is async and
+    // we need schedule the update after it finished.
+    this.updateTimer_.tickAfter(/* seconds= */ finalDelay);
+  }
+
+  /**
+   * Called when the update timer ticks.
+   *
+   * @return {!Promise}
+   * @private
+   */
+  async onUpdate_() {
+    assert(this.updatePeriod_ >= 0,
+      'There should be an update period');
+
+    let updateDelay = 0;
+
+    try {
+      /**
+       * Check if current time is before the expire time which we
+       * got from manifest API.
+       */
+      let currentTimeInSecond = Math.round((Date.now()) / 1000);
+      if (this.apiURLFormat_ && currentTimeInSecond >= this.expireTime_) {
+        logger.sp_warn(filePath, 'Manifest is expired, re-fetching manifest URI...');
+        await this.getManifestURI_(this.apiURLFormat_, this.serviceId_, this.id_);
+        this.manifestExpired = true;
+      }
+
+      updateDelay = await this.update_();
+      spEventsMgr.emit(spEventsMgr.event_manifeset_updated, this.manifest_);
+    } catch (err) {
+      // Try updating again on the next tick.
+      if (err instanceof error) {
+        err.severity = error.Severity.RECOVERABLE;
+      }
+      logger.sp_warn(filePath, `Manifest update failed, will retry: ${err.message}`);
+    }
+
+    // Ensure we haven't been stopped in the meantime.
+    if (!this.updateTimer_) {
+      return;
+    }
+    this.setUpdateTimer_(updateDelay);
+  }
+
+  /**
+   * Reloads the media playlists of the streams in use.
+   *
+   * @return {!Promise.<number>} The time the update took, in seconds.
+   * @private
+   */
+  async update_() {
+    const startTime = Date.now();
+
+    for (const streamInfo of this.uriToStreamInfosMap_.values()) {
+      if (streamInfo.stream.segmentIndex) {
+        // eslint-disable-next-line no-await-in-loop
+        await this.updateStream_(streamInfo);
+      } else {
+        streamInfo.needsUpdate = true;
+      }
+    }
+
+    // The stream ended, nothing will be added anymore.
+    if (!this.isLive_()) {
+      logger.sp_log(filePath, "Playlist ended, stopping updates.");
+      this.presentationTimeline_.setStatic(true);
+      this.presentationTimeline_.setDuration(Math.max(
+        ...Array.from(this.uriToStreamInfosMap_.values(),
+          (streamInfo) => streamInfo.maxTimestamp)));
+      this.updatePeriod_ = -1;
+    }
+
+    const updateDuration = (Date.now() - startTime) / 1000.0;
+    this.averageUpdateDuration_.sample(1, updateDuration);
+    return updateDuration;
+  }
+
+  /**
+   * Reloads the media playlist of a stream and adds its new segments.
+   *
+   * @param {hls_parser.StreamInfo} streamInfo
+   * @return {!Promise}
+   * @private
+   */
+  async updateStream_(streamInfo) {
+    const playlist =
+      await this.requestPlaylist_(streamInfo.absoluteMediaPlaylistUri);
+    this.processMediaPlaylistTags_(playlist);
+    streamInfo.playlist = playlist;
+    streamInfo.needsUpdate = false;
+
+    const references = this.createSegments_(streamInfo, playlist);
+    const segmentIndex = streamInfo.stream.segmentIndex;
+    if (segmentIndex) {
+      segmentIndex.mergeAndEvict(references,
+        this.presentationTimeline_.getSegmentAvailabilityStart());
+    }
+    streamInfo.references = references;
+    this.presentationTimeline_.notifySegments(references);
+  }
+
+  /**
+   * @return {boolean}
+   * @private
+   */
+  isLive_() {
+    return this.presentationType_ != hls_parser.PresentationType_.VOD;
+  }
+
+  /**
+   * @param {!hls_tag} tag An EXT-X-STREAM-INF tag.
+   * @return {!Array.<string>} The codecs of the variant.
+   * @private
+   */
+  static getCodecs_(tag) {
+    const codecs = tag.getAttributeValue('CODECS', hls_parser.DEFAULT_CODECS_);
+    return codecs.split(/\s*,\s*/).filter((codec) => codec);
+  }
+
+  /**
+   * @param {!hls_segment} segment
+   * @return {number} The duration of the segment, from its EXTINF tag.
+   * @private
+   */
+  static getDuration_(segment) {
+    const extinfTag = hls_utils.getFirstTagWithName(segment.tags, 'EXTINF');
+    if (!extinfTag) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.HLS_REQUIRED_TAG_MISSING,
+        'EXTINF');
+    }
+    // The EXTINF tag format is '#EXTINF:<duration>,[<title>]'.
+    return Number(extinfTag.value.split(',')[0]);
+  }
+
+  /**
+   * @param {!hls_segment} segment
+   * @return {?number} The wall clock time of the segment from its
+   *   EXT-X-PROGRAM-DATE-TIME tag, in seconds, or null if it has none.
+   * @private
+   */
+  static getProgramDateTime_(segment) {
+    const dateTimeTag = hls_utils.getFirstTagWithName(
+      segment.tags, 'EXT-X-PROGRAM-DATE-TIME');
+    if (!dateTimeTag) {
+      return null;
+    }
+    const time = Date.parse(dateTimeTag.value);
+    return isNaN(time) ? null : time / 1000;
+  }
+
+  /**
+   * @param {string} value A byte range, as "<length>[@<offset>]".
+   * @param {number} defaultOffset The offset when the range has none.
+   * @return {!Array.<number>} The first and last byte of the range.
+   * @private
+   */
+  static parseByteRange_(value, defaultOffset) {
+    const [length, offset] = value.split('@');
+    const startByte = offset != undefined ? Number(offset) : defaultOffset;
+    return [startByte, startByte + Number(length) - 1];
+  }
+
+  /**
+   * @param {string} uri
+   * @return {string} The lower-case extension of the URI path.
+   * @private
+   */
+  static getExtension_(uri) {
+    const path = uri.split(/[?#]/)[0];
+    const lastSegment = path.split('/').pop();
+    const dot = lastSegment.lastIndexOf('.');
+    return dot < 0 ? '' : lastSegment.substring(dot + 1).toLowerCase();
+  }
+
+  /**
+   * Guesses the MIME type of a stream from the file extensions of its
+   * segments.
+   *
+   * @param {string} contentType
+   * @param {!hls_playlist} playlist
+   * @return {string}
+   * @private
+   */
+  static guessMimeType_(contentType, playlist) {
+    const ContentType = manifest_parser_utils.ContentType;
+
+    const firstSegment = playlist.segments[0];
+    const mapTag = firstSegment ?
+      hls_utils.getFirstTagWithName(firstSegment.tags, 'EXT-X-MAP') : null;
+    const extension = firstSegment ? hls_parser.getExtension_(
+      firstSegment.verbatimSegmentUri) : '';
+
+    const mimeType =
+      hls_parser.EXTENSION_MAP_BY_CONTENT_TYPE_[contentType][extension];
+    if (mimeType) {
+      return mimeType;
+    }
+
+    // Media segments with an init segment are fragmented MP4.
+    if (mapTag) {
+      return hls_parser.MP4_MIME_TYPES_BY_CONTENT_TYPE_[contentType];
+    }
+    return contentType == ContentType.TEXT ? 'text/vtt' : 'video/mp2t';
+  }
+
+  /**
+   * Creates the DRM infos of the EXT-X-KEY tags of a media playlist.
+   *
+   * @param {!hls_playlist} playlist
+   * @return {!Array.<extern.DrmInfo>}
+   * @private
+   */
+  static parseDrmInfos_(playlist) {
+    const drmInfos = [];
+    const seen = new Set();
+    let encrypted = false;
+
+    for (const segment of playlist.segments) {
+      for (const keyTag of hls_utils.filterTagsByName(segment.tags, 'EXT-X-KEY')) {
+        const method = keyTag.getRequiredAttrValue('METHOD');
+        if (method == 'NONE' || seen.has(keyTag.toString())) {
+          continue;
+        }
+        seen.add(keyTag.toString());
+        encrypted = true;
+
+        // Whole segments encrypted with AES-128 can not be decrypted by
+        // the key system tools used on the segments.
+        if (method == 'AES-128') {
+          throw new error(
+            error.Severity.CRITICAL,
+            error.Category.MANIFEST,
+            error.Code.HLS_AES_128_ENCRYPTION_NOT_SUPPORTED);
+        }
+
+        const keyFormat = keyTag.getAttributeValue('KEYFORMAT', 'identity');
+        const drmParser = hls_parser.KEYFORMATS_TO_DRM_PARSERS_[keyFormat];
+        const drmInfo = drmParser ? drmParser(keyTag) : null;
+        if (drmInfo) {
+          drmInfos.push(drmInfo);
+        } else {
+          logger.sp_debug(filePath, "Ignoring key format %s", keyFormat);
+        }
+      }
+    }
+
+    if (encrypted && !drmInfos.length) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.HLS_KEYFORMATS_NOT_SUPPORTED);
+    }
+    return drmInfos;
+  }
+
+  /**
+   * @param {!hls_tag} drmTag An EXT-X-KEY tag with the Widevine KEYFORMAT.
+   * @return {?extern.DrmInfo}
+   * @private
+   */
+  static widevineDrmParser_(drmTag) {
+    const method = drmTag.getRequiredAttrValue('METHOD');
+    const VALID_METHODS = ['SAMPLE-AES', 'SAMPLE-AES-CTR'];
+    if (!VALID_METHODS.includes(method)) {
+      logger.sp_error(filePath, 'Widevine in HLS is only supported with [',
+        VALID_METHODS.join(', '), '], not', method);
+      return null;
+    }
+
+    // The URI is a data URI with the base64 encoded PSSH box.
+    const uri = drmTag.getRequiredAttrValue('URI');
+    const rawPssh = uri.substring(uri.indexOf(',') + 1);
+    const initData = uint8array_utils.fromBase64(rawPssh);
+
+    const keySystem =
+      keySystemByURI['urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed'];
+    const drmInfo = manifest_parser_utils.createDrmInfo(keySystem, [{
+      initDataType: 'cenc',
+      initData: initData,
+      keyId: null,
+      rawPssh: rawPssh,
+    }]);
+
+    // The key ID is given by KEYID, or else by a version 1 PSSH box.
+    const keyId = drmTag.getAttributeValue('KEYID');
+    if (keyId) {
+      drmInfo.keyIds.add(keyId.toLowerCase().replace(/^0x/, ''));
+    } else {
+      for (const cencKeyId of new pssh(initData).cencKeyIds) {
+        drmInfo.keyIds.add(cencKeyId);
+      }
+    }
+    for (const data of drmInfo.initData) {
+      data.keyId = [...drmInfo.keyIds][0] || null;
+    }
+
+    return drmInfo;
+  }
+}
+
+/**
+ * Contains the minimum amount of time, in seconds, between playlist update
+ * requests.
+ *
+ * @private
+ * @const {number}
+ */
+hls_parser.MIN_UPDATE_PERIOD_ = 1;
+
+
+/**
+ * The ID of the single period an HLS presentation is made of.
+ *
+ * @private
+ * @const {string}
+ */
+hls_parser.PERIOD_ID_ = 'hls';
+
+
+/**
+ * The codecs of variants without CODECS attribute.
+ *
+ * @private
+ * @const {string}
+ */
+hls_parser.DEFAULT_CODECS_ = 'avc1.42E01E,mp4a.40.2';
+
+
+/**
+ * @private
+ * @const {string}
+ */
+hls_parser.DEFAULT_AUDIO_CODEC_ = 'mp4a.40.2';
+
+
+/**
+ * Extensions of segments of audio-only media playlists.
+ *
+ * @private
+ * @const {!Array.<string>}
+ */
+hls_parser.AUDIO_EXTENSIONS_ = ['aac', 'ac3', 'ec3', 'mp3', 'm4a', 'cmfa'];
+
+
+/**
+ * @enum {string}
+ * @private
+ */
+hls_parser.PresentationType_ = {
+  VOD: 'VOD',
+  EVENT: 'EVENT',
+  LIVE: 'LIVE',
+};
+
+
+/**
+ * @private
+ * @const {!Object.<string, !Object.<string, string>>}
+ */
+hls_parser.EXTENSION_MAP_BY_CONTENT_TYPE_ = {
+  'audio': {
+    'mp4': 'audio/mp4',
+    'mp4a': 'audio/mp4',
+    'm4s': 'audio/mp4',
+    'm4i': 'audio/mp4',
+    'm4a': 'audio/mp4',
+    'm4f': 'audio/mp4',
+    'cmfa': 'audio/mp4',
+    // MPEG2-TS also uses video/ for audio: https://bit.ly/TsMse
+    'ts': 'video/mp2t',
+    'aac': 'audio/aac',
+    'ac3': 'audio/ac3',
+    'ec3': 'audio/ec3',
+    'mp3': 'audio/mpeg',
+  },
+
+  'video': {
+    'mp4': 'video/mp4',
+    'mp4v': 'video/mp4',
+    'm4s': 'video/mp4',
+    'm4i': 'video/mp4',
+    'm4v': 'video/mp4',
+    'm4f': 'video/mp4',
+    'cmfv': 'video/mp4',
+    'ts': 'video/mp2t',
+  },
+
+  'text': {
+    'mp4': 'application/mp4',
+    'm4s': 'application/mp4',
+    'm4i': 'application/mp4',
+    'm4f': 'application/mp4',
+    'cmft': 'application/mp4',
+    'vtt': 'text/vtt',
+    'webvtt': 'text/vtt',
+    'ttml': 'application/ttml+xml',
+  },
+};
+
+
+/**
+ * @private
+ * @const {!Object.<string, string>}
+ */
+hls_parser.MP4_MIME_TYPES_BY_CONTENT_TYPE_ = {
+  'audio': 'audio/mp4',
+  'video': 'video/mp4',
+  'text': 'application/mp4',
+};
+
+
+/**
+ * @private
+ * @const {!Object.<string, function(!hls_tag):?extern.DrmInfo>}
+ */
+hls_parser.KEYFORMATS_TO_DRM_PARSERS_ = {
+  'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed':
+    hls_parser.widevineDrmParser_,
+};
+
+
+/**
+ * @typedef {{
+ *   liveSegmentsDelay: number
+ * }}
+ *
+ * @description
+ * Configuration of the HLS parser.
+ *
+ * @property {number} liveSegmentsDelay
+ *   How many target durations behind the end of a live playlist the
+ *   presentation is, i.e. its presentation delay.
+ */
+hls_parser.Configuration;
+
+
+/**
+ * @typedef {{
+ *   stream: Stream,
+ *   verbatimMediaPlaylistUri: string,
+ *   absoluteMediaPlaylistUri: string,
+ *   playlist: !hls_playlist,
+ *   references: !Array.<!segment_reference>,
+ *   mediaSequenceToStartTime: !Map.<number, number>,
+ *   initSegmentReferences: !Map.<string, !init_segmentReference>,
+ *   minTimestamp: number,
+ *   maxTimestamp: number,
+ *   needsUpdate: boolean
+ * }}
+ *
+ * @description
+ * Contains a stream and information about the media playlist it comes from.
+ *
+ * @property {Stream} stream
+ *   The stream.
+ * @property {string} verbatimMediaPlaylistUri
+ *   The URI of the media playlist as written in the master playlist.
+ * @property {string} absoluteMediaPlaylistUri
+ *   The absolute URI of the media playlist, which is reloaded for updates.
+ * @property {!hls_playlist} playlist
+ *   The last loaded media playlist.
+ * @property {!Array.<!segment_reference>} references
+ *   The segments of the last loaded media playlist.
+ * @property {!Map.<number, number>} mediaSequenceToStartTime
+ *   The start times of the segments of the playlist by media sequence number,
+ *   which keep the timeline continuous across reloads.
+ * @property {!Map.<string, !init_segmentReference>} initSegmentReferences
+ *   The init segments of the EXT-X-MAP tags, by URI and byte range.
+ * @property {number} minTimestamp
+ *   The start time of the first segment of the playlist.
+ * @property {number} maxTimestamp
+ *   The end time of the last segment of the playlist.
+ * @property {boolean} needsUpdate
+ *   True if the playlist was not reloaded on the last update, because the
+ *   stream is not in use.
+ */
+hls_parser.StreamInfo;
+
+manifest_parser.registerParserByExtension(
+  'm3u8', (...args) => new hls_parser(...args));
+manifest_parser.registerParserByMime(
+  'application/x-mpegurl', (...args) => new hls_parser(...args));
+manifest_parser.registerParserByMime(
+  'application/vnd.apple.mpegurl', (...args) => new hls_parser(...args));
+manifest_parser.registerParserByMime(
+  'audio/mpegurl', (...args) => new hls_parser(...args));
+
+export default hls_parser;
@@ -0,0 +1,63 @@
+class hls_utils {
+  /**
+   * @param {!Array.<hls_tag>} tags
+   * @param {string} name
+   * @return {!Array.<hls_tag>}
+   */
+  static filterTagsByName(tags, name) {
+    return tags.filter((tag) => {
+      return tag.name == name;
+    });
+  }
+
+  /**
+   * @param {!Array.<hls_tag>} tags
+   * @param {string} type
+   * @return {!Array.<hls_tag>}
+   */
+  static filterTagsByType(tags, type) {
+    return tags.filter((tag) => {
+      const tagType = tag.getRequiredAttrValue('TYPE');
+      return tagType == type;
+    });
+  }
+
+  /**
+   * @param {!Array.<hls_tag>} tags
+   * @param {string} name
+   * @return {?hls_tag}
+   */
+  static getFirstTagWithName(tags, name) {
+    const tagsWithName = hls_utils.filterTagsByName(tags, name);
+    if (!tagsWithName.length) {
+      return null;
+    }
+
+    return tagsWithName[0];
+  }
+
+  /**
+   * Get the numerical value of the first tag with the given name if available.
+   * Return the default value if the tag is not present.
+   *
+   * @param {!Array.<hls_tag>} tags
+   * @param {string} name
+   * @param {number} defaultValue
+   * @return {number}
+   */
+  static getFirstTagWithNameAsNumber(tags, name, defaultValue) {
+    const tag = hls_utils.getFirstTagWithName(tags, name);
+    const value = tag ? Number(tag.value) : defaultValue;
+    return value;
+  }
+
+  /**
+   * @param {string} line
+   * @return {boolean}
+   */
+  static isComment(line) {
+    return /^#(?!EXT)/m.test(line);
+  }
+}
+
+export default hls_utils;
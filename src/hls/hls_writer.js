@@ -0,0 +1,514 @@
+import error from '../util/error.js';
+import hls_utils from './hls_utils.js';
+import manifest_text_parser from './manifest_text_parser.js';
+import {
+  hls_attribute, hls_playlist_type, hls_tag,
+} from './hls_classes.js';
+
+/**
+ * Helpers to create and serialize the tags of the playlists written by
+ * hls_master_playlist and hls_media_playlist.
+ */
+class hls_writer {
+  /**
+   * Creates a tag from a plain object of attributes, in the order of its
+   * keys.  Attributes which are null or undefined are left out.
+   *
+   * @param {string} name The tag name, without '#'.
+   * @param {!Object.<string, *>=} attributes
+   * @param {?string=} value
+   * @return {!hls_tag}
+   */
+  static createTag(name, attributes = {}, value = null) {
+    const attributeList = [];
+    for (const [attrName, attrValue] of Object.entries(attributes)) {
+      if (attrValue != null) {
+        attributeList.push(new hls_attribute(attrName, String(attrValue)));
+      }
+    }
+    return new hls_tag(hls_writer.nextTagId_++, name, attributeList, value);
+  }
+
+  /**
+   * Serializes a tag.  Unlike hls_tag.toString(), only the attributes which
+   * are quoted strings by the HLS specification are quoted.
+   *
+   * @param {!hls_tag} tag
+   * @param {!Array.<string>=} skip Names of attributes to leave out.
+   * @return {string}
+   */
+  static serializeTag(tag, skip = []) {
+    const attributes = tag.attributes
+      .filter((attr) => !skip.includes(attr.name))
+      .map((attr) => {
+        const quoted = hls_writer.QUOTED_ATTRIBUTES_.includes(attr.name) &&
+          !(attr.name == 'CLOSED-CAPTIONS' && attr.value == 'NONE');
+        return attr.name + '=' + (quoted ? `"${attr.value}"` : attr.value);
+      });
+
+    let result = '#' + tag.name;
+    const items = tag.value != null ? [tag.value, ...attributes] : attributes;
+    if (items.length) {
+      result += ':' + items.join(',');
+    }
+    return result;
+  }
+
+  /**
+   * Formats a number of seconds for EXTINF and similar tags.
+   *
+   * @param {number} seconds
+   * @return {string}
+   */
+  static formatSeconds(seconds) {
+    // Enough precision for any timescale, without floating point noise.
+    return String(Number(seconds.toFixed(6)));
+  }
+
+  /**
+   * @param {BufferSource|string} data
+   * @param {hls_playlist_type} type
+   * @return {!hls_playlist}
+   * @private
+   */
+  static parsePlaylist_(data, type) {
+    const playlist = new manifest_text_parser().parsePlaylist(data);
+    if (playlist.type != type) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.HLS_INVALID_PLAYLIST_HIERARCHY);
+    }
+    return playlist;
+  }
+}
+
+/**
+ * Ids of the tags created by the writer.
+ *
+ * @private {number}
+ */
+hls_writer.nextTagId_ = 0;
+
+/**
+ * Attributes whose values are quoted strings, the others are written as they
+ * are, e.g. BANDWIDTH=1000 or TYPE=AUDIO.
+ *
+ * @private
+ * @const {!Array.<string>}
+ */
+hls_writer.QUOTED_ATTRIBUTES_ = [
+  'URI', 'GROUP-ID', 'LANGUAGE', 'ASSOC-LANGUAGE', 'NAME',
+  'STABLE-RENDITION-ID', 'STABLE-VARIANT-ID', 'INSTREAM-ID', 'CHARACTERISTICS',
+  'CHANNELS', 'CODECS', 'SUPPLEMENTAL-CODECS', 'AUDIO', 'VIDEO', 'SUBTITLES',
+  'CLOSED-CAPTIONS', 'PATHWAY-ID', 'ALLOWED-CPC', 'REQ-VIDEO-LAYOUT',
+  'KEYFORMAT', 'KEYFORMATVERSIONS', 'BYTERANGE', 'ID', 'CLASS', 'START-DATE',
+  'END-DATE', 'DATA-ID', 'VALUE', 'SERVER-URI', 'IMPORT', 'QUERYPARAM',
+];
+
+
+/**
+ * A master playlist: the renditions and variants of a presentation.
+ */
+export class hls_master_playlist {
+  /**
+   * @param {number=} version
+   */
+  constructor(version = 7) {
+    /** @type {number} */
+    this.version = version;
+
+    /** @type {boolean} */
+    this.independentSegments = false;
+
+    /**
+     * EXT-X-MEDIA tags.
+     * @type {!Array.<!hls_tag>}
+     */
+    this.renditions = [];
+
+    /**
+     * EXT-X-STREAM-INF tags, with the URI of their media playlist as the URI
+     * attribute like the parser gives them.
+     * @type {!Array.<!hls_tag>}
+     */
+    this.variants = [];
+
+    /**
+     * EXT-X-I-FRAME-STREAM-INF tags.
+     * @type {!Array.<!hls_tag>}
+     */
+    this.iFrameVariants = [];
+
+    /**
+     * Any other tags, e.g. EXT-X-SESSION-KEY, written before the renditions.
+     * @type {!Array.<!hls_tag>}
+     */
+    this.tags = [];
+  }
+
+  /**
+   * @param {!Object.<string, *>} attributes The EXT-X-MEDIA attributes,
+   *   e.g. TYPE, GROUP-ID, NAME and URI.
+   * @return {!hls_tag}
+   */
+  addRendition(attributes) {
+    const tag = hls_writer.createTag('EXT-X-MEDIA', attributes);
+    this.renditions.push(tag);
+    return tag;
+  }
+
+  /**
+   * @param {!Object.<string, *>} attributes The EXT-X-STREAM-INF attributes,
+   *   e.g. BANDWIDTH and CODECS.
+   * @param {string} uri The URI of the variant's media playlist.
+   * @return {!hls_tag}
+   */
+  addVariant(attributes, uri) {
+    const tag = hls_writer.createTag('EXT-X-STREAM-INF', attributes);
+    tag.addAttribute(new hls_attribute('URI', uri));
+    this.variants.push(tag);
+    return tag;
+  }
+
+  /**
+   * @param {!Object.<string, *>} attributes The EXT-X-I-FRAME-STREAM-INF
+   *   attributes, including the URI of the I-frame playlist.
+   * @return {!hls_tag}
+   */
+  addIFrameVariant(attributes) {
+    const tag = hls_writer.createTag('EXT-X-I-FRAME-STREAM-INF', attributes);
+    this.iFrameVariants.push(tag);
+    return tag;
+  }
+
+  /**
+   * @return {string}
+   * @override
+   */
+  toString() {
+    const lines = ['#EXTM3U', `#EXT-X-VERSION:${this.version}`];
+    if (this.independentSegments) {
+      lines.push('#EXT-X-INDEPENDENT-SEGMENTS');
+    }
+    for (const tag of this.tags.concat(this.renditions)) {
+      lines.push(hls_writer.serializeTag(tag));
+    }
+    for (const tag of this.variants) {
+      lines.push(hls_writer.serializeTag(tag, ['URI']));
+      lines.push(tag.getRequiredAttrValue('URI'));
+    }
+    for (const tag of this.iFrameVariants) {
+      lines.push(hls_writer.serializeTag(tag));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @param {BufferSource|string} data
+   * @return {!hls_master_playlist}
+   */
+  static parse(data) {
+    const parsed =
+      hls_writer.parsePlaylist_(data, hls_playlist_type.MASTER);
+    const playlist = new hls_master_playlist(
+      hls_utils.getFirstTagWithNameAsNumber(parsed.tags, 'EXT-X-VERSION', 1));
+
+    for (const tag of parsed.tags) {
+      switch (tag.name) {
+        case 'EXT-X-VERSION':
+          break;
+        case 'EXT-X-INDEPENDENT-SEGMENTS':
+          playlist.independentSegments = true;
+          break;
+        case 'EXT-X-MEDIA':
+          playlist.renditions.push(tag);
+          break;
+        case 'EXT-X-STREAM-INF':
+          playlist.variants.push(tag);
+          break;
+        case 'EXT-X-I-FRAME-STREAM-INF':
+          playlist.iFrameVariants.push(tag);
+          break;
+        default:
+          playlist.tags.push(tag);
+      }
+    }
+    return playlist;
+  }
+}
+
+
+/**
+ * A segment of a media playlist.
+ */
+export class hls_media_segment {
+  /**
+   * @param {string} uri
+   * @param {number} duration In seconds.
+   */
+  constructor(uri, duration) {
+    /** @type {string} */
+    this.uri = uri;
+
+    /** @type {number} */
+    this.duration = duration;
+
+    /**
+     * The part of the resource which is the segment, end inclusive.
+     * @type {?{start: number, end: number}}
+     */
+    this.byteRange = null;
+
+    /**
+     * True if the segment is preceded by EXT-X-DISCONTINUITY.
+     * @type {boolean}
+     */
+    this.discontinuity = false;
+
+    /** @type {Date} */
+    this.programDateTime = null;
+
+    /**
+     * The EXT-X-MAP tag of the segment's init segment.  It is only written
+     * before the segments where it changes.
+     * @type {hls_tag}
+     */
+    this.map = null;
+
+    /**
+     * The EXT-X-KEY tags of the segment, written where they change like the
+     * map.
+     * @type {!Array.<!hls_tag>}
+     */
+    this.keys = [];
+
+    /**
+     * Any other tags, e.g. EXT-X-DATERANGE, written before EXTINF.
+     * @type {!Array.<!hls_tag>}
+     */
+    this.tags = [];
+  }
+}
+
+
+/**
+ * A media playlist: the segments of a rendition, which can be appended to
+ * and trimmed for a sliding live window.
+ */
+export class hls_media_playlist {
+  /**
+   * @param {number=} version
+   */
+  constructor(version = 7) {
+    /** @type {number} */
+    this.version = version;
+
+    /**
+     * The maximum segment duration, rounded.  Adding a longer segment raises
+     * it.
+     * @type {number}
+     */
+    this.targetDuration = 0;
+
+    /** @type {number} */
+    this.mediaSequence = 0;
+
+    /** @type {number} */
+    this.discontinuitySequence = 0;
+
+    /**
+     * EXT-X-PLAYLIST-TYPE, 'EVENT' or 'VOD', or null if there is none.
+     * @type {?string}
+     */
+    this.playlistType = null;
+
+    /** @type {boolean} */
+    this.iFramesOnly = false;
+
+    /** @type {boolean} */
+    this.independentSegments = false;
+
+    /** @type {boolean} */
+    this.endList = false;
+
+    /**
+     * Any other playlist tags, e.g. EXT-X-START, written before the segments.
+     * @type {!Array.<!hls_tag>}
+     */
+    this.tags = [];
+
+    /** @type {!Array.<!hls_media_segment>} */
+    this.segments = [];
+  }
+
+  /**
+   * @param {!hls_media_segment} segment
+   */
+  addSegment(segment) {
+    this.segments.push(segment);
+    this.targetDuration =
+      Math.max(this.targetDuration, Math.round(segment.duration));
+  }
+
+  /**
+   * Removes the oldest segment, and keeps the sequence numbers of the others.
+   * The map and keys of the new first segment are written before it.
+   *
+   * @return {hls_media_segment} The segment removed, or null if there is
+   *   none.
+   */
+  removeFirstSegment() {
+    const segment = this.segments.shift();
+    if (!segment) {
+      return null;
+    }
+    this.mediaSequence++;
+    if (segment.discontinuity) {
+      this.discontinuitySequence++;
+    }
+    return segment;
+  }
+
+  /**
+   * @return {string}
+   * @override
+   */
+  toString() {
+    const lines = ['#EXTM3U', `#EXT-X-VERSION:${this.version}`];
+    if (this.independentSegments) {
+      lines.push('#EXT-X-INDEPENDENT-SEGMENTS');
+    }
+    if (this.playlistType) {
+      lines.push(`#EXT-X-PLAYLIST-TYPE:${this.playlistType}`);
+    }
+    lines.push(`#EXT-X-TARGETDURATION:${this.targetDuration}`);
+    lines.push(`#EXT-X-MEDIA-SEQUENCE:${this.mediaSequence}`);
+    if (this.discontinuitySequence) {
+      lines.push(
+        `#EXT-X-DISCONTINUITY-SEQUENCE:${this.discontinuitySequence}`);
+    }
+    if (this.iFramesOnly) {
+      lines.push('#EXT-X-I-FRAMES-ONLY');
+    }
+    for (const tag of this.tags) {
+      lines.push(hls_writer.serializeTag(tag));
+    }
+
+    let lastMap = '';
+    let lastKeys = '';
+    for (const segment of this.segments) {
+      if (segment.discontinuity) {
+        lines.push('#EXT-X-DISCONTINUITY');
+      }
+      const keys = segment.keys.map((tag) => hls_writer.serializeTag(tag));
+      if (keys.join('\n') != lastKeys) {
+        lines.push(...keys);
+        lastKeys = keys.join('\n');
+      }
+      const map = segment.map ? hls_writer.serializeTag(segment.map) : '';
+      if (map && map != lastMap) {
+        lines.push(map);
+      }
+      lastMap = map;
+      if (segment.programDateTime) {
+        lines.push('#EXT-X-PROGRAM-DATE-TIME:' +
+          segment.programDateTime.toISOString());
+      }
+      for (const tag of segment.tags) {
+        lines.push(hls_writer.serializeTag(tag));
+      }
+      lines.push(`#EXTINF:${hls_writer.formatSeconds(segment.duration)},`);
+      if (segment.byteRange) {
+        const range = segment.byteRange;
+        lines.push('#EXT-X-BYTERANGE:' +
+          `${range.end - range.start + 1}@${range.start}`);
+      }
+      lines.push(segment.uri);
+    }
+
+    if (this.endList) {
+      lines.push('#EXT-X-ENDLIST');
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @param {BufferSource|string} data
+   * @return {!hls_media_playlist}
+   */
+  static parse(data) {
+    const parsed = hls_writer.parsePlaylist_(data, hls_playlist_type.MEDIA);
+    const playlist = new hls_media_playlist(
+      hls_utils.getFirstTagWithNameAsNumber(parsed.tags, 'EXT-X-VERSION', 1));
+
+    for (const tag of parsed.tags) {
+      switch (tag.name) {
+        case 'EXT-X-VERSION':
+          break;
+        case 'EXT-X-TARGETDURATION':
+          playlist.targetDuration = Number(tag.value);
+          break;
+        case 'EXT-X-MEDIA-SEQUENCE':
+          playlist.mediaSequence = Number(tag.value);
+          break;
+        case 'EXT-X-DISCONTINUITY-SEQUENCE':
+          playlist.discontinuitySequence = Number(tag.value);
+          break;
+        case 'EXT-X-PLAYLIST-TYPE':
+          playlist.playlistType = tag.value;
+          break;
+        case 'EXT-X-I-FRAMES-ONLY':
+          playlist.iFramesOnly = true;
+          break;
+        case 'EXT-X-INDEPENDENT-SEGMENTS':
+          playlist.independentSegments = true;
+          break;
+        case 'EXT-X-ENDLIST':
+          playlist.endList = true;
+          break;
+        default:
+          playlist.tags.push(tag);
+      }
+    }
+
+    // Byte ranges without an offset continue where the previous range of the
+    // same resource ended.
+    let nextByte = 0;
+    for (const parsedSegment of parsed.segments) {
+      const segment = new hls_media_segment(parsedSegment.verbatimSegmentUri, 0);
+      for (const tag of parsedSegment.tags) {
+        switch (tag.name) {
+          case 'EXTINF':
+            segment.duration = Number(tag.value);
+            break;
+          case 'EXT-X-BYTERANGE': {
+            const [length, offset] = tag.value.split('@');
+            const start = offset != undefined ? Number(offset) : nextByte;
+            segment.byteRange = { start: start, end: start + Number(length) - 1 };
+            nextByte = segment.byteRange.end + 1;
+            break;
+          }
+          case 'EXT-X-DISCONTINUITY':
+            segment.discontinuity = true;
+            break;
+          case 'EXT-X-PROGRAM-DATE-TIME':
+            segment.programDateTime = new Date(tag.value);
+            break;
+          case 'EXT-X-MAP':
+            segment.map = tag;
+            break;
+          case 'EXT-X-KEY':
+            segment.keys.push(tag);
+            break;
+          default:
+            segment.tags.push(tag);
+        }
+      }
+      playlist.segments.push(segment);
+    }
+    return playlist;
+  }
+}
+
+export default hls_writer;
@@ -0,0 +1,273 @@
+import error from '../util/error.js';
+import string_utils from '../util/string_utils.js';
+import hls_utils from './hls_utils.js';
+import {
+  hls_attribute, hls_playlist, hls_playlist_type, hls_segment, hls_tag,
+} from './hls_classes.js';
+
+/**
+ * HlS manifest text parser.
+ */
+class manifest_text_parser {
+  constructor() {
+    /** @private {number} */
+    this.globalId_ = 0;
+  }
+
+  /**
+   * @param {BufferSource|string} data
+   * @return {!hls_playlist}
+   */
+  parsePlaylist(data) {
+    const MEDIA_PLAYLIST_TAGS = manifest_text_parser.MEDIA_PLAYLIST_TAGS;
+    const SEGMENT_TAGS = manifest_text_parser.SEGMENT_TAGS;
+
+    // Get the input as a string.  Normalize newlines to \n.
+    let str = typeof data == 'string' ? data : string_utils.fromUTF8(data);
+    str = str.replace(/\r\n|\r(?=[^\n]|$)/gm, '\n').trim();
+
+    const lines = str.split(/\n+/m);
+
+    if (!/^#EXTM3U($|[ \t\n])/m.test(lines[0])) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.HLS_PLAYLIST_HEADER_MISSING);
+    }
+
+    /** @type {hls_playlist_type} */
+    let playlistType = hls_playlist_type.MASTER;
+
+    // First, look for media playlist tags, so that we know what the playlist
+    // type really is before we start parsing.
+    // Whether to skip the next element; initialize to true to skip first elem.
+    let skip = true;
+    for (const line of lines) {
+      // Ignore comments.
+      if (hls_utils.isComment(line) || skip) {
+        skip = false;
+        continue;
+      }
+      // Segment URIs of media playlists are not tags.
+      if (!line.startsWith('#')) {
+        continue;
+      }
+      const tag = this.parseTag_(line);
+      // These tags won't actually be used, so don't increment the global
+      // id.
+      this.globalId_ -= 1;
+
+      if (MEDIA_PLAYLIST_TAGS.includes(tag.name) ||
+        SEGMENT_TAGS.includes(tag.name)) {
+        playlistType = hls_playlist_type.MEDIA;
+        break;
+      } else if (tag.name == 'EXT-X-STREAM-INF') {
+        skip = true;
+      }
+    }
+
+    /** @type {!Array.<hls_tag>} */
+    const tags = [];
+    // Initialize to "true" to skip the first element.
+    skip = true;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const next = lines[i + 1];
+      // Skip comments
+      if (hls_utils.isComment(line) || skip) {
+        skip = false;
+        continue;
+      }
+
+      // The first segment URI or segment tag starts the segment list.
+      const tag = line.startsWith('#') ? this.parseTag_(line) : null;
+      if (!tag || SEGMENT_TAGS.includes(tag.name)) {
+        if (playlistType != hls_playlist_type.MEDIA) {
+          // Only media playlists should contain segment tags or URIs.
+          throw new error(
+            error.Severity.CRITICAL,
+            error.Category.MANIFEST,
+            error.Code.HLS_INVALID_PLAYLIST_HIERARCHY);
+        }
+
+        const segmentsData = lines.splice(i, lines.length - i);
+        const segments = this.parseSegments_(segmentsData, tags);
+        return new hls_playlist(playlistType, tags, segments);
+      }
+
+      tags.push(tag);
+
+      // An EXT-X-STREAM-INF tag is followed by a URI of a media playlist.
+      // Add the URI to the tag object.
+      if (tag.name == 'EXT-X-STREAM-INF') {
+        const tagUri = new hls_attribute('URI', next);
+        tag.addAttribute(tagUri);
+        skip = true;
+      }
+    }
+
+    // A media playlist without segments, e.g. a live stream which did not
+    // start yet.
+    return new hls_playlist(playlistType, tags,
+      playlistType == hls_playlist_type.MEDIA ? [] : undefined);
+  }
+
+  /**
+   * Parses an array of strings into an array of HLS Segment objects.
+   *
+   * @param {!Array.<string>} lines
+   * @param {!Array.<!hls_tag>} playlistTags Playlist tags found among the
+   *   segments, e.g. EXT-X-ENDLIST, are added to these.
+   * @return {!Array.<hls_segment>}
+   * @private
+   */
+  parseSegments_(lines, playlistTags) {
+    /** @type {!Array.<hls_segment>} */
+    const segments = [];
+    /** @type {!Array.<hls_tag>} */
+    let segmentTags = [];
+
+    // The last EXT-X-MAP and EXT-X-KEY apply to all following segments, until
+    // the next one of their kind.
+    let currentMapTag = null;
+    let currentKeyTags = [];
+
+    for (const line of lines) {
+      if (/^(#EXT)/.test(line)) {
+        const tag = this.parseTag_(line);
+        if (manifest_text_parser.MEDIA_PLAYLIST_TAGS.includes(tag.name)) {
+          playlistTags.push(tag);
+        } else if (tag.name == 'EXT-X-MAP') {
+          currentMapTag = tag;
+        } else if (tag.name == 'EXT-X-KEY') {
+          // Keys of different KEYFORMATs are listed next to each other, one
+          // for each DRM system.
+          const method = tag.getAttributeValue('METHOD');
+          const format = tag.getAttributeValue('KEYFORMAT', 'identity');
+          currentKeyTags = currentKeyTags.filter((keyTag) => {
+            return method != 'NONE' &&
+              keyTag.getAttributeValue('METHOD') != 'NONE' &&
+              keyTag.getAttributeValue('KEYFORMAT', 'identity') != format;
+          });
+          currentKeyTags.push(tag);
+        } else {
+          segmentTags.push(tag);
+        }
+      } else if (hls_utils.isComment(line)) {
+        // Skip comments.
+      } else {
+        const verbatimSegmentUri = line.trim();
+        // Attach the last parsed EXT-X-MAP and EXT-X-KEY tags to the segment.
+        if (currentMapTag) {
+          segmentTags.push(currentMapTag);
+        }
+        segmentTags.push(...currentKeyTags);
+        const segment = new hls_segment(verbatimSegmentUri, segmentTags);
+        segments.push(segment);
+        segmentTags = [];
+      }
+    }
+    return segments;
+  }
+
+  /**
+   * Parses a string into an HLS Tag object while tracking what id to use next.
+   *
+   * @param {string} word
+   * @return {!hls_tag}
+   * @private
+   */
+  parseTag_(word) {
+    return manifest_text_parser.parseTag(this.globalId_++, word);
+  }
+
+  /**
+   * Parses a string into an HLS Tag object.
+   *
+   * @param {number} id
+   * @param {string} word
+   * @return {!hls_tag}
+   */
+  static parseTag(id, word) {
+    // HLS tags start with '#EXT'.  A tag can have a set of attributes
+    // (#EXT-<tagname>:<attribute list>) and/or a value (#EXT-<tagname>:<value>).
+    // An attribute's format is 'AttributeName=AttributeValue'.
+    // The parsing logic goes like this:
+    //  1. Everything before ':' is a name (we ignore '#').
+    //  2. Everything after ':' is a list of comma-seprated items,
+    //     2a. The first item might be a value, if it does not contain '='.
+    //     2b. Otherwise, items are attributes.
+    //  3. If there is no ":", it's a simple tag with no attributes and no value.
+    const blocks = word.match(/^#(EXT[^:]*)(?::(.*))?$/);
+    if (!blocks) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.INVALID_HLS_TAG,
+        word);
+    }
+    const name = blocks[1];
+    const data = blocks[2];
+    const attributes = [];
+    let value;
+
+    if (data) {
+      let rest = data;
+      const valueMatch = /^([^,=]+)(?:,|$)/.exec(rest);
+      if (valueMatch) {
+        value = valueMatch[1];
+        rest = rest.substring(valueMatch[0].length);
+      }
+
+      const attributeRegex = /^([^=]+)=(?:"([^"]*)"|([^",]*))(?:,|$)/;
+      let attributeMatch;
+      while (rest && (attributeMatch = attributeRegex.exec(rest))) {
+        const attrName = attributeMatch[1];
+        const attrValue = attributeMatch[2] != undefined ?
+          attributeMatch[2] : attributeMatch[3];
+        attributes.push(new hls_attribute(attrName.trim(), attrValue));
+        rest = rest.substring(attributeMatch[0].length);
+      }
+    }
+
+    return new hls_tag(id, name, attributes, value);
+  }
+}
+
+
+/**
+ * HLS tags that only appear on Media Playlists.
+ * Used to determine a playlist type.
+ *
+ * @const {!Array.<string>}
+ */
+manifest_text_parser.MEDIA_PLAYLIST_TAGS = [
+  'EXT-X-TARGETDURATION',
+  'EXT-X-MEDIA-SEQUENCE',
+  'EXT-X-DISCONTINUITY-SEQUENCE',
+  'EXT-X-PLAYLIST-TYPE',
+  'EXT-X-I-FRAMES-ONLY',
+  'EXT-X-ENDLIST',
+  'EXT-X-SERVER-CONTROL',
+  'EXT-X-SKIP',
+];
+
+
+/**
+ * HLS tags that only appear on Segments in a Media Playlists.
+ * Used to determine the start of the segments info.
+ *
+ * @const {!Array.<string>}
+ */
+manifest_text_parser.SEGMENT_TAGS = [
+  'EXTINF',
+  'EXT-X-BYTERANGE',
+  'EXT-X-DISCONTINUITY',
+  'EXT-X-PROGRAM-DATE-TIME',
+  'EXT-X-KEY',
+  'EXT-X-DATERANGE',
+  'EXT-X-MAP',
+  'EXT-X-GAP',
+];
+
+export default manifest_text_parser;
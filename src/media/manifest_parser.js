@@ -1,13 +1,20 @@
 import logger from '../util/sp_logger.js';
 import assert from 'assert';
 import error from '../util/error.js';
+import network_engine from '../net/network_engine.js';
+import { proxyConf } from '../../proxy_conf.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const filePath = import.meta.url;
 
 class manifest_parser {
   /**
    * Registers a manifest parser by file extension.
    *
    * @param {string} extension The file extension of the manifest.
-   * @param {Factory} parserFactory The factory
+   * @param {manifest_parser.Factory} parserFactory The factory
    *   used to create parser instances.
    * @export
    */
@@ -20,19 +27,165 @@ class manifest_parser {
    * Registers a manifest parser by MIME type.
    *
    * @param {string} mimeType The MIME type of the manifest.
-   * @param {Factory} parserFactory The factory
+   * @param {manifest_parser.Factory} parserFactory The factory
    *   used to create parser instances.
    * @export
    */
   static registerParserByMime(mimeType, parserFactory) {
     manifest_parser.parsersByMime[mimeType] = parserFactory;
   }
+
+  /**
+   * Creates a parser for the manifest at the given URI.  The parser is chosen
+   * by the extension of the URI first, then by the Content-Type the server
+   * sends for it.
+   *
+   * @param {string} uri
+   * @param {...*} args Passed on to the parser factory.
+   * @return {!Promise.<!Object>}
+   * @export
+   */
+  static async create(uri, ...args) {
+    const factory = await manifest_parser.getFactory_(uri);
+    return factory(...args);
+  }
+
+  /**
+   * Resolves the manifest URI of a channel with our manifest API.
+   *
+   * @param {string} apiFormat URL template of the API, with {service} and
+   *   {id} placeholders.
+   * @param {string} service
+   * @param {string} id
+   * @return {!Promise.<{uri: string, expiry: number}>} The manifest URI and
+   *   when it expires, in seconds since the epoch.
+   */
+  static async requestManifestUri(apiFormat, service, id) {
+    const apiUrl = apiFormat.replace(/{service}/g, service).replace(/{id}/g, id);
+
+    const response = await network_engine.http_get(apiUrl);
+    return { uri: response.data, expiry: response.expiry };
+  }
+
+  /**
+   * Turns a local file path into a file:// URI.  URIs are returned as they
+   * are.
+   *
+   * @param {string} pathOrUri
+   * @return {string}
+   * @export
+   */
+  static toUri(pathOrUri) {
+    // A single letter before the colon is a Windows drive, not a scheme.
+    if (/^[a-z][a-z0-9+.-]+:/i.test(pathOrUri)) {
+      return pathOrUri;
+    }
+    return pathToFileURL(path.resolve(pathOrUri)).href;
+  }
+
+  /**
+   * Fetches a manifest, from the network or, for file:// URIs, from the local
+   * file system.
+   *
+   * @param {string} uri
+   * @return {!Promise.<string>}
+   * @export
+   */
+  static async fetchManifest(uri) {
+    if (uri.startsWith('file:')) {
+      logger.sp_debug(filePath, 'Reading manifest from %s...', uri);
+      return await fs.promises.readFile(fileURLToPath(uri), 'utf8');
+    }
+    return await network_engine.socks5_http_get(uri, proxyConf);
+  }
+
+  /**
+   * @param {string} uri
+   * @return {!Promise.<manifest_parser.Factory>}
+   * @private
+   */
+  static async getFactory_(uri) {
+    // Try to choose a manifest parser by file extension.
+    const extension = manifest_parser.getExtension_(uri);
+    let factory = manifest_parser.parsersByExtension[extension];
+    if (factory) {
+      return factory;
+    }
+    logger.sp_warn(filePath,
+      'Unable to guess manifest type by file extension, checking MIME type.');
+
+    // Try to choose a manifest parser by MIME type.
+    let mimeType = null;
+    try {
+      mimeType = await manifest_parser.getMimeType_(uri);
+    } catch (e) {
+      logger.sp_warn(filePath, 'Requesting MIME type of %s failed: %s', uri,
+        e.message);
+    }
+    factory = mimeType ? manifest_parser.parsersByMime[mimeType] : null;
+    if (factory) {
+      return factory;
+    }
+
+    logger.sp_error(filePath,
+      'Unable to guess manifest type by MIME type %s.', mimeType);
+    throw new error(
+      error.Severity.CRITICAL,
+      error.Category.MANIFEST,
+      error.Code.UNABLE_TO_GUESS_MANIFEST_TYPE,
+      uri);
+  }
+
+  /**
+   * @param {string} uri
+   * @return {string} The lower-case extension of the URI path, or '' if it
+   *   has none.
+   * @private
+   */
+  static getExtension_(uri) {
+    let path;
+    try {
+      path = new URL(uri).pathname;
+    } catch (e) {
+      path = uri.split(/[?#]/)[0];
+    }
+    const segments = path.split('/');
+    let lastSegment = segments.pop();
+    // Smooth Streaming manifests are served as <name>.ism/Manifest.
+    if (lastSegment.toLowerCase() == 'manifest' && segments.length) {
+      lastSegment = segments.pop();
+    }
+    const dot = lastSegment.lastIndexOf('.');
+    return dot < 0 ? '' : lastSegment.substring(dot + 1).toLowerCase();
+  }
+
+  /**
+   * Asks the server for the Content-Type of the manifest, with a HEAD request
+   * or, for servers which refuse those, a GET request.
+   *
+   * @param {string} uri
+   * @return {!Promise.<?string>} The MIME type, without parameters.
+   * @private
+   */
+  static async getMimeType_(uri) {
+    let headers;
+    try {
+      headers = await network_engine.socks5_http_headers(uri, 'HEAD', proxyConf);
+    } catch (e) {
+      logger.sp_debug(filePath, 'HEAD request failed (%s), trying GET.',
+        e.message);
+      headers = await network_engine.socks5_http_headers(uri, 'GET', proxyConf);
+    }
+    const contentType = headers['content-type'];
+    return contentType ?
+      contentType.split(';')[0].trim().toLowerCase() : null;
+  }
 }
 
 /**
  * Contains the parser factory functions indexed by MIME type.
  *
- * @type {!Object.<string, Factory>}
+ * @type {!Object.<string, manifest_parser.Factory>}
  */
 manifest_parser.parsersByMime = {};
 
@@ -40,8 +193,17 @@ manifest_parser.parsersByMime = {};
  /**
   * Contains the parser factory functions indexed by file extension.
   *
-  * @type {!Object.<string, Factory>}
+  * @type {!Object.<string, manifest_parser.Factory>}
   */
 manifest_parser.parsersByExtension = {};
 
+
+/**
+ * @typedef {function(...*):!Object}
+ * @description
+ * Creates a manifest parser, with the arguments given to
+ * manifest_parser.create().
+ */
+manifest_parser.Factory;
+
 export default manifest_parser;
\ No newline at end of file
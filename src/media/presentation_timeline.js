@@ -82,6 +82,14 @@ class presentation_timeline {
      * @private {number}
      */
     this.availabilityTimeOffset_ = 0;
+
+    /**
+     * Timeline regions (DASH EventStream events) known so far, sorted by
+     * their start time.
+     *
+     * @private {!Array.<presentation_timeline.TimelineRegionInfo>}
+     */
+    this.timelineRegions_ = [];
   }
 
 
@@ -488,6 +496,62 @@ class presentation_timeline {
     this.availabilityTimeOffset_ = offset;
   }
 
+  /**
+  * Adds a timeline region to the presentation.  Regions which are already
+  * known (same scheme, id and time range) are ignored, so it is safe to call
+  * this again for every manifest update.
+  *
+  * @param {presentation_timeline.TimelineRegionInfo} region
+  * @return {boolean} True if the region was new and has been added.
+  * @export
+  */
+  addTimelineRegion(region) {
+    const exists = this.timelineRegions_.some((existing) => {
+      return existing.schemeIdUri == region.schemeIdUri &&
+        existing.id == region.id &&
+        existing.startTime == region.startTime &&
+        existing.endTime == region.endTime;
+    });
+    if (exists) {
+      return false;
+    }
+
+    // Keep the list sorted by start time so that consumers can walk it in
+    // presentation order.
+    let i = this.timelineRegions_.length;
+    while (i > 0 && this.timelineRegions_[i - 1].startTime > region.startTime) {
+      i--;
+    }
+    this.timelineRegions_.splice(i, 0, region);
+
+    logger.sp_debug(filePath, `Timeline region added: scheme=${region.schemeIdUri} ` +
+      `id=${region.id} start=${region.startTime} end=${region.endTime}`);
+    return true;
+  }
+
+
+  /**
+  * @return {!Array.<presentation_timeline.TimelineRegionInfo>} All known
+  *   timeline regions, sorted by start time.
+  * @export
+  */
+  getTimelineRegions() {
+    return this.timelineRegions_.slice();
+  }
+
+
+  /**
+  * Removes the timeline regions which end before the given time.
+  *
+  * @param {number} time The time, in seconds, relative to the start of the
+  *   presentation.
+  * @export
+  */
+  evictTimelineRegions(time) {
+    this.timelineRegions_ =
+      this.timelineRegions_.filter((region) => region.endTime >= time);
+  }
+
   /**
   * Debug only: assert that the timeline parameters make sense for the type
   * of presentation (VOD, IPR, live).
@@ -518,4 +582,47 @@ class presentation_timeline {
   }
 }
 
+/**
+ * @typedef {{
+ *   schemeIdUri: string,
+ *   value: string,
+ *   id: string,
+ *   periodId: ?string,
+ *   presentationTime: number,
+ *   duration: number,
+ *   startTime: number,
+ *   endTime: number,
+ *   messageData: ?string,
+ *   eventElement: Element
+ * }}
+ *
+ * @description
+ * Contains information about a region of the timeline that will cause an event
+ * to be raised, e.g. an ad marker or a program boundary signalled by a DASH
+ * EventStream.
+ *
+ * @property {string} schemeIdUri
+ *   Identifies the message scheme.
+ * @property {string} value
+ *   Specifies the value for the region.
+ * @property {string} id
+ *   Specifies an identifier for this instance of the region.
+ * @property {?string} periodId
+ *   The ID of the Period the region was signalled in.
+ * @property {number} presentationTime
+ *   The presentation time of the event, in seconds, relative to the start of
+ *   its Period.
+ * @property {number} duration
+ *   The duration of the event, in seconds.
+ * @property {number} startTime
+ *   The presentation time (in seconds) that the region should start.
+ * @property {number} endTime
+ *   The presentation time (in seconds) that the region should end.
+ * @property {?string} messageData
+ *   The text content of the event element, or null if it has none.
+ * @property {Element} eventElement
+ *   The XML element that defines the Event.
+ */
+presentation_timeline.TimelineRegionInfo;
+
 export default presentation_timeline;
\ No newline at end of file
@@ -1,6 +1,7 @@
 import assert from 'assert';
 import i_releasable from '../util/i_releasable.js';
 import timer from '../util/timer.js';
+import { segment_reference } from './segment_reference.js';
 
 /**
  * SegmentIndex.
@@ -6,7 +6,17 @@ import array_utils from '../util/array_utils.js';
  * Initialization segment.
  */
 export class init_segmentReference {
-  constructor(uris, startByte, endByte, mediaQuality = null) {
+  /**
+   * @param {function():!Array.<string>} uris
+   * @param {number} startByte
+   * @param {?number} endByte
+   * @param {MediaQualityInfo|null=} mediaQuality
+   * @param {Uint8Array=} segmentData The content of an init segment which is
+   *   not downloaded but generated from the manifest, e.g. for Smooth
+   *   Streaming.  Its URIs are empty then.
+   */
+  constructor(uris, startByte, endByte, mediaQuality = null,
+    segmentData = null) {
     /** @type {function():!Array.<string>} */
     this.getUris = uris;
 
@@ -18,6 +28,9 @@ export class init_segmentReference {
 
     /** @const {MediaQualityInfo|null} */
     this.mediaQuality = mediaQuality;
+
+    /** @const {Uint8Array} */
+    this.segmentData = segmentData;
   }
   /**
    * Returns the offset from the start of the resource to the
@@ -64,6 +77,15 @@ export class init_segmentReference {
     return this.mediaQuality;
   }
 
+  /**
+   * Returns the content of a generated init segment.
+   *
+   * @return {Uint8Array}
+   */
+  getSegmentData() {
+    return this.segmentData;
+  }
+
   /**
    * Check if two initSegmentReference have all the same values.
    * @param {?init_segmentReference} reference1
@@ -76,7 +98,8 @@ export class init_segmentReference {
     } else {
       return reference1.getStartByte() == reference2.getStartByte() &&
         reference1.getEndByte() == reference2.getEndByte() &&
-        array_utils.equal(reference1.getUris(), reference2.getUris());
+        array_utils.equal(reference1.getUris(), reference2.getUris()) &&
+        reference1.getSegmentData() == reference2.getSegmentData();
     }
   }
 }
@@ -188,6 +211,13 @@ export class segment_reference {
 
     /** @type {?number} */
     this.syncTime = syncTime;
+
+    /**
+     * The HLS discontinuity sequence number of the segment, or -1 if the
+     * manifest has no such notion.
+     * @type {number}
+     */
+    this.discontinuitySequence = -1;
   }
 
   /**
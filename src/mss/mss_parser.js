@@ -0,0 +1,1039 @@
+import assert from 'assert';
+import period_combiner from '../util/period_combiner.js';
+import timer from '../util/timer.js';
+import logger from '../util/sp_logger.js';
+import error from '../util/error.js';
+import xml_utils from '../util/xml_utils.js';
+import manifest_parser_utils from '../util/manifest_parser_utils.js';
+import language_utils from '../util/language_utils.js';
+import uint8array_utils from '../util/uint8array_utils.js';
+import pssh from '../util/pssh.js';
+import mp4_generator from '../util/mp4_generator.js';
+import content_protection from '../dash/content_protection.js';
+import { keySystemByURI } from '../constants/sp_conf.js';
+import { segment_index } from '../media/segment_index.js';
+import {
+  segment_reference, init_segmentReference,
+} from '../media/segment_reference.js';
+import presentation_timeline from '../media/presentation_timeline.js';
+import ewma from '../abr/ewma.js';
+import manifest_parser from '../media/manifest_parser.js';
+import spEventsMgr from '../util/sp_events_manager.js';
+
+const filePath = import.meta.url;
+
+/**
+ * Parses Microsoft Smooth Streaming manifests into the same manifest model as
+ * dash_parser.  Smooth Streaming has no init segments, they are generated from
+ * the CodecPrivateData of each QualityLevel so that the fragments can be saved
+ * as fragmented MP4.
+ */
+class mss_parser {
+  constructor(APIformat, serviceId, id) {
+    /**
+     * These 3 memebers are used to fetch manifest URL, it is re-
+     * fetched whenever the current manifest is expired.
+     */
+    this.apiURLFormat_ = APIformat;
+    this.serviceId_ = serviceId;
+    this.id_ = id;
+
+    this.manifestUri_ = null;
+    this.manifest_ = null;
+    this.globalId_ = 1;
+    this.expireTime_ = null;
+
+    /**
+     * The streams, by the type and name of their StreamIndex and their
+     * bitrate, which identify them across manifest updates.
+     * @private {!Map.<string, mss_parser.StreamInfo>}
+     */
+    this.streamInfos_ = new Map();
+
+    /** @private {presentation_timeline} */
+    this.presentationTimeline_ = null;
+
+    /** @private {boolean} */
+    this.isLive_ = false;
+
+    this.periodCombiner_ = new period_combiner();
+
+    /**
+     * The update period in seconds, or -1 for no updates.  Live manifests
+     * are reloaded every fragment duration.
+     */
+    this.updatePeriod_ = -1;
+
+    /**
+     * An ewma that tracks how long updates take.
+     * @private {!ewma}
+     */
+    this.averageUpdateDuration_ = new ewma(5);
+
+    this.updateTimer_ = new timer(() => {
+      this.onUpdate_();
+    });
+
+    /**
+     * True if the manifest isn't expired yet, false once it does.
+     * It is true by default to get decryption key from the first time.
+     */
+    this.manifestExpired = true;
+
+    /**
+     * Parser configuration, see mss_parser.defaultConfig().
+     * @private {mss_parser.Configuration}
+     */
+    this.config_ = mss_parser.defaultConfig();
+  }
+
+  /**
+   * @return {mss_parser.Configuration} The default parser configuration.
+   */
+  static defaultConfig() {
+    return {
+      liveFragmentsDelay: 3,
+    };
+  }
+
+  /**
+   * Overrides parts of the parser configuration.  Keys which are not given
+   * keep their current values.
+   *
+   * @param {Object} config
+   */
+  configure(config) {
+    Object.assign(this.config_, config);
+  }
+
+  /**
+   * @param {?{uri: string, expiry: (number|undefined)}=} manifestApi The
+   *   answer of the manifest API, if the caller already requested it.  Without
+   *   an expiry, the manifest URI is used for as long as the parser runs.
+   */
+  async start(manifestApi = null) {
+    if (manifestApi) {
+      this.setManifestURI_(manifestApi);
+    } else {
+      await this.getManifestURI_(this.apiURLFormat_, this.serviceId_, this.id_);
+    }
+
+    const updateDelay = await this.requestManifest_();
+    this.setUpdateTimer_(updateDelay);
+
+    /* Manifest should be non-null! */
+    assert(this.manifest_);
+    spEventsMgr.emit(spEventsMgr.event_manifest_parsed, this.manifest_);
+    return this.manifest_;
+  }
+
+  stop() {
+    for (const streamInfo of this.streamInfos_.values()) {
+      if (streamInfo.stream.segmentIndex) {
+        streamInfo.stream.segmentIndex.release();
+      }
+    }
+
+    if (this.periodCombiner_) {
+      this.periodCombiner_.release();
+    }
+
+    this.manifestUri_ = null;
+    this.manifest_ = null;
+    this.streamInfos_.clear();
+    this.periodCombiner_ = null;
+
+    if (this.updateTimer_ != null) {
+      this.updateTimer_.stop();
+      this.updateTimer_ = null;
+    }
+  }
+
+  /**
+   * Smooth Streaming has no alternative locations for a fragment, so the URIs
+   * keep their order.  Present for the same interface as dash_parser.
+   *
+   * @param {!Array.<string>} uris
+   * @return {!Array.<string>}
+   */
+  orderUris(uris) {
+    return uris;
+  }
+
+  /**
+   * @param apiFormat formatted string for manifest API
+   * @param service service type; will be used in apiURLformat
+   * @param id id; will be used in apiURLformat
+   * @private
+   */
+  async getManifestURI_(apiFormat, service, id) {
+    const manifestApi =
+      await manifest_parser.requestManifestUri(apiFormat, service, id);
+    this.setManifestURI_(manifestApi);
+  }
+
+  /**
+   * @param {{uri: string, expiry: (number|undefined)}} manifestApi
+   * @private
+   */
+  setManifestURI_(manifestApi) {
+    this.manifestUri_ = manifestApi.uri;
+    this.expireTime_ = manifestApi.expiry != null ? manifestApi.expiry : Infinity;
+    if (isFinite(this.expireTime_)) {
+      logger.sp_log(filePath, `Manifest will be expired at ${new Date(this.expireTime_ * 1000)}.`);
+    }
+  }
+
+  /**
+   * Makes a network request for the manifest and parses the resulting data.
+   *
+   * @return {!Promise.<number>} Resolves with the time it took, in seconds, to
+   *  fullfill the request and parse the data
+   * @private
+   */
+  async requestManifest_() {
+    const startTime = Date.now();
+
+    logger.sp_debug(filePath, "Fetching Smooth Streaming manifest...");
+    const data = await manifest_parser.fetchManifest(this.manifestUri_);
+    const mss = xml_utils.parseXml(data, 'SmoothStreamingMedia');
+    if (!mss) {
+      throw new error(
+        error.Severity.CRITICAL, error.Category.MANIFEST,
+        error.Code.MSS_INVALID_XML, this.manifestUri_);
+    }
+
+    if (this.manifest_) {
+      this.updateStreams_(mss);
+    } else {
+      await this.processManifest_(mss);
+    }
+
+    const updateDuration = (Date.now() - startTime) / 1000.0;
+    this.averageUpdateDuration_.sample(1, updateDuration);
+    return updateDuration;
+  }
+
+  /**
+   * Creates the streams and the manifest from the first manifest.
+   *
+   * @param {!Element} mss The SmoothStreamingMedia element.
+   * @return {!Promise}
+   * @private
+   */
+  async processManifest_(mss) {
+    const ContentType = manifest_parser_utils.ContentType;
+
+    this.isLive_ = xml_utils.parseAttr(
+      mss, 'IsLive', mss_parser.parseBoolean_, false);
+    const timescale = mss_parser.getTimescale_(mss);
+    const duration = xml_utils.parseAttr(
+      mss, 'Duration', xml_utils.parseNonNegativeInt, 0) / timescale;
+    const protection = mss_parser.parseProtection_(mss);
+
+    const audioStreams = [];
+    const videoStreams = [];
+    const textStreams = [];
+
+    for (const streamIndex of xml_utils.findChildren(mss, 'StreamIndex')) {
+      const type = streamIndex.getAttribute('Type');
+      if (type != ContentType.AUDIO && type != ContentType.VIDEO &&
+        type != ContentType.TEXT) {
+        logger.sp_debug(filePath, "Ignoring StreamIndex of type %s", type);
+        continue;
+      }
+
+      for (const qualityLevel of
+        xml_utils.findChildren(streamIndex, 'QualityLevel')) {
+        const streamInfo = this.createStreamInfo_(
+          mss, streamIndex, qualityLevel, protection, duration);
+        if (!streamInfo) {
+          continue;
+        }
+        this.streamInfos_.set(streamInfo.key, streamInfo);
+
+        if (type == ContentType.AUDIO) {
+          audioStreams.push(streamInfo.stream);
+        } else if (type == ContentType.VIDEO) {
+          videoStreams.push(streamInfo.stream);
+        } else {
+          textStreams.push(streamInfo.stream);
+        }
+      }
+    }
+
+    this.createPresentationTimeline_(mss, duration);
+
+    const maxFragmentDuration = Math.max(...Array.from(
+      this.streamInfos_.values(), (info) => info.maxFragmentDuration));
+    this.updatePeriod_ = this.isLive_ ? maxFragmentDuration : -1;
+
+    logger.sp_debug(filePath, "Smooth Streaming manifest parsed; live: %s, " +
+      "audio: %d, video: %d, text: %d stream(s)", this.isLive_,
+      audioStreams.length, videoStreams.length, textStreams.length);
+
+    // A Smooth Streaming presentation is a single period.
+    const period = {
+      id: mss_parser.PERIOD_ID_,
+      audioStreams: audioStreams,
+      videoStreams: videoStreams,
+      textStreams: textStreams,
+      imageStreams: [],
+    };
+    await this.periodCombiner_.combinePeriods([period], this.isLive_);
+
+    this.manifest_ = {
+      presentationTimeline: this.presentationTimeline_,
+      variants: this.periodCombiner_.getVariants(),
+      textStreams: this.periodCombiner_.getTextStreams(),
+      imageStreams: this.periodCombiner_.getImageStreams(),
+      timelineRegions: [],
+      offlineSessionIds: [],
+      minBufferTime: 0,
+      sequenceMode: false,
+      isLowLatency: false,
+      serviceDescription: null,
+    };
+  }
+
+  /**
+   * @param {!Element} mss
+   * @param {number} duration The duration of the presentation, in seconds.
+   * @private
+   */
+  createPresentationTimeline_(mss, duration) {
+    const streamInfos = Array.from(this.streamInfos_.values());
+    const maxFragmentDuration = Math.max(
+      ...streamInfos.map((info) => info.maxFragmentDuration));
+
+    if (this.isLive_) {
+      const delay = maxFragmentDuration * this.config_.liveFragmentsDelay;
+      this.presentationTimeline_ = new presentation_timeline(
+        /* presentationStartTime= */ 0, delay);
+      this.presentationTimeline_.setStatic(false);
+
+      // A DVR window of 0 keeps all fragments available.
+      const dvrWindowLength = xml_utils.parseAttr(
+        mss, 'DVRWindowLength', xml_utils.parseNonNegativeInt, 0);
+      this.presentationTimeline_.setSegmentAvailabilityDuration(
+        dvrWindowLength ? dvrWindowLength / mss_parser.getTimescale_(mss) :
+          Infinity);
+    } else {
+      this.presentationTimeline_ = new presentation_timeline(
+        /* presentationStartTime= */ null, /* delay= */ 0);
+      this.presentationTimeline_.setStatic(true);
+    }
+
+    for (const streamInfo of streamInfos) {
+      this.presentationTimeline_.notifySegments(streamInfo.references);
+    }
+    this.presentationTimeline_.notifyMaxSegmentDuration(maxFragmentDuration);
+
+    if (!this.isLive_) {
+      this.presentationTimeline_.setDuration(duration || Math.max(
+        ...streamInfos.map((info) => info.maxTimestamp)));
+    }
+  }
+
+  /**
+   * Creates the stream of a QualityLevel.
+   *
+   * @param {!Element} mss
+   * @param {!Element} streamIndex
+   * @param {!Element} qualityLevel
+   * @param {mss_parser.Protection} protection
+   * @param {number} duration The duration of the presentation, in seconds.
+   * @return {?mss_parser.StreamInfo} The stream, or null if its codec is not
+   *   supported.
+   * @private
+   */
+  createStreamInfo_(mss, streamIndex, qualityLevel, protection, duration) {
+    const ContentType = manifest_parser_utils.ContentType;
+
+    const type = streamIndex.getAttribute('Type');
+    const name = streamIndex.getAttribute('Name') || type;
+    const bitrate = xml_utils.parseAttr(
+      qualityLevel, 'Bitrate', xml_utils.parsePositiveInt, 0);
+    const fourCC = (qualityLevel.getAttribute('FourCC') ||
+      streamIndex.getAttribute('FourCC') || '').toUpperCase();
+    const codecPrivateData = uint8array_utils.fromHex(
+      qualityLevel.getAttribute('CodecPrivateData') || '');
+
+    const codecs = mss_parser.getCodecs_(
+      type, fourCC, codecPrivateData, qualityLevel);
+    if (codecs == null) {
+      logger.sp_warn(filePath, "Skipping %s QualityLevel %d of %s, FourCC " +
+        "%s is not supported", type, bitrate, name, fourCC);
+      return null;
+    }
+
+    const language = streamIndex.getAttribute('Language') || 'und';
+    const width = xml_utils.parseAttr(
+      qualityLevel, 'MaxWidth', xml_utils.parsePositiveInt) ||
+      xml_utils.parseAttr(streamIndex, 'DisplayWidth',
+        xml_utils.parsePositiveInt);
+    const height = xml_utils.parseAttr(
+      qualityLevel, 'MaxHeight', xml_utils.parsePositiveInt) ||
+      xml_utils.parseAttr(streamIndex, 'DisplayHeight',
+        xml_utils.parsePositiveInt);
+    const channelsCount = xml_utils.parseAttr(
+      qualityLevel, 'Channels', xml_utils.parsePositiveInt);
+    const audioSamplingRate = xml_utils.parseAttr(
+      qualityLevel, 'SamplingRate', xml_utils.parsePositiveInt);
+    const timescale = xml_utils.parseAttr(streamIndex, 'TimeScale',
+      xml_utils.parsePositiveInt, mss_parser.getTimescale_(mss));
+
+    const encrypted = protection.drmInfos.length > 0;
+    const id = this.globalId_++;
+
+    // Text fragments are not saved, so only audio and video get an init
+    // segment.
+    let initSegmentReference = null;
+    if (type != ContentType.TEXT) {
+      const initSegment = new mp4_generator({
+        id: mss_parser.TRACK_ID_,
+        type: type,
+        codecs: codecs,
+        encrypted: encrypted,
+        timescale: timescale,
+        duration: this.isLive_ ? Infinity : duration,
+        language: language,
+        bandwidth: bitrate,
+        width: width,
+        height: height,
+        channelsCount: channelsCount,
+        audioSamplingRate: audioSamplingRate,
+        codecPrivateData: type == ContentType.AUDIO ?
+          mss_parser.getAudioSpecificConfig_(
+            fourCC, codecPrivateData, qualityLevel) :
+          codecPrivateData,
+        keyId: protection.keyId,
+        psshs: protection.psshs,
+      }).initSegment();
+      initSegmentReference = new init_segmentReference(
+        () => [], 0, null, null, initSegment);
+    }
+
+    const subtype = streamIndex.getAttribute('Subtype');
+
+    /** @type {mss_parser.StreamInfo} */
+    const streamInfo = {
+      key: [type, name, bitrate].join('_'),
+      stream: null,
+      streamIndex: streamIndex,
+      qualityLevel: qualityLevel,
+      timescale: timescale,
+      initSegmentReference: initSegmentReference,
+      references: [],
+      maxTimestamp: 0,
+      maxFragmentDuration: 0,
+    };
+    streamInfo.references = this.createSegments_(streamInfo);
+
+    const stream = {
+      id: id,
+      originalId: name + '_' + bitrate,
+      createSegmentIndex: async () => {
+        if (!stream.segmentIndex) {
+          stream.segmentIndex = new segment_index(streamInfo.references);
+        }
+      },
+
+      closeSegmentIndex: () => {
+        if (stream.segmentIndex) {
+          stream.segmentIndex.release();
+          stream.segmentIndex = null;
+        }
+      },
+      segmentIndex: null,
+      mimeType: type == ContentType.TEXT ?
+        'application/mp4' : type + '/mp4',
+      codecs: codecs,
+      frameRate: undefined,
+      pixelAspectRatio: undefined,
+      bandwidth: bitrate,
+      width: width || undefined,
+      height: height || undefined,
+      kind: type == ContentType.TEXT ?
+        (subtype == 'CAPT' ? manifest_parser_utils.TextStreamKind.CLOSED_CAPTION :
+          manifest_parser_utils.TextStreamKind.SUBTITLE) : undefined,
+      encrypted: encrypted,
+      drmInfos: protection.drmInfos,
+      keyIds: new Set(protection.keyId ? [protection.keyId] : []),
+      language: language_utils.normalize(language),
+      label: name,
+      type: type,
+      primary: false,
+      trickModeVideos: [],
+      emsgSchemeIdUris: null,
+      roles: [],
+      audioDescription: subtype == 'DESC',
+      closedCaptions: null,
+      viewpoint: null,
+      ratings: [],
+      preselection: null,
+      forced: false,
+      channelsCount: channelsCount,
+      channelLayout: null,
+      audioSamplingRate: audioSamplingRate,
+      spatialAudio: false,
+      hdr: undefined,
+      tilesLayout: undefined,
+      matchedStreams: [],
+    };
+    streamInfo.stream = stream;
+    return streamInfo;
+  }
+
+  /**
+   * Creates the segment references of the fragments of a QualityLevel.
+   *
+   * @param {mss_parser.StreamInfo} streamInfo
+   * @return {!Array.<!segment_reference>}
+   * @private
+   */
+  createSegments_(streamInfo) {
+    const streamIndex = streamInfo.streamIndex;
+    const bitrate = streamInfo.qualityLevel.getAttribute('Bitrate');
+    const urlTemplate = streamIndex.getAttribute('Url');
+    const timescale = streamInfo.timescale;
+
+    const references = [];
+    for (const chunk of mss_parser.parseChunks_(streamIndex)) {
+      const url = urlTemplate
+        .replace(/\{bitrate\}/gi, bitrate)
+        .replace(/\{start[ _]time\}/gi, chunk.time.toString());
+      const uri = manifest_parser_utils.resolveUris(
+        [this.manifestUri_], [url])[0];
+      const startTime = Number(chunk.time) / timescale;
+      const duration = chunk.duration / timescale;
+
+      references.push(new segment_reference(
+        startTime,
+        startTime + duration,
+        () => [uri],
+        /* startByte= */ 0,
+        /* endByte= */ null,
+        streamInfo.initSegmentReference,
+        /* timestampOffset= */ 0,
+        /* appendWindowStart= */ 0,
+        /* appendWindowEnd= */ Infinity));
+      streamInfo.maxFragmentDuration =
+        Math.max(streamInfo.maxFragmentDuration, duration);
+    }
+
+    if (references.length) {
+      streamInfo.maxTimestamp = references[references.length - 1].endTime;
+    }
+    return references;
+  }
+
+  /**
+   * Adds the new fragments of an updated live manifest to the streams.
+   *
+   * @param {!Element} mss The SmoothStreamingMedia element.
+   * @private
+   */
+  updateStreams_(mss) {
+    for (const streamIndex of xml_utils.findChildren(mss, 'StreamIndex')) {
+      const type = streamIndex.getAttribute('Type');
+      const name = streamIndex.getAttribute('Name') || type;
+      for (const qualityLevel of
+        xml_utils.findChildren(streamIndex, 'QualityLevel')) {
+        const bitrate = xml_utils.parseAttr(
+          qualityLevel, 'Bitrate', xml_utils.parsePositiveInt, 0);
+        const streamInfo = this.streamInfos_.get([type, name, bitrate].join('_'));
+        if (!streamInfo) {
+          // Streams can not be added to the variants of a running
+          // presentation.
+          continue;
+        }
+
+        streamInfo.streamIndex = streamIndex;
+        streamInfo.qualityLevel = qualityLevel;
+        const references = this.createSegments_(streamInfo);
+        const segmentIndex = streamInfo.stream.segmentIndex;
+        if (segmentIndex) {
+          segmentIndex.mergeAndEvict(references,
+            this.presentationTimeline_.getSegmentAvailabilityStart());
+        }
+        streamInfo.references = references;
+        this.presentationTimeline_.notifySegments(references);
+      }
+    }
+
+    // The presentation ended, nothing will be added anymore.
+    if (!xml_utils.parseAttr(mss, 'IsLive', mss_parser.parseBoolean_, false)) {
+      logger.sp_log(filePath, "Presentation ended, stopping updates.");
+      this.isLive_ = false;
+      this.presentationTimeline_.setStatic(true);
+      this.presentationTimeline_.setDuration(Math.max(
+        ...Array.from(this.streamInfos_.values(),
+          (streamInfo) => streamInfo.maxTimestamp)));
+      this.updatePeriod_ = -1;
+    }
+  }
+
+  /**
+   * Sets the update timer.  Does nothing if the manifest is not live.
+   *
+   * @param {number} offset An offset, in seconds, to apply to the update
+   *   period.
+   * @private
+   */
+  setUpdateTimer_(offset) {
+    if (this.updatePeriod_ < 0) {
+      return;
+    }
+
+    const finalDelay = Math.max(
+      mss_parser.MIN_UPDATE_PERIOD_,
+      this.updatePeriod_ - offset,
+      this.averageUpdateDuration_.getEstimate());
+
+    // We do not run the timer as repeating because part of update is async and
+    // we need schedule the update after it finished.
+    this.updateTimer_.tickAfter(/* seconds= */ finalDelay);
+  }
+
+  /**
+   * Called when the update timer ticks.
+   *
+   * @return {!Promise}
+   * @private
+   */
+  async onUpdate_() {
+    assert(this.updatePeriod_ >= 0,
+      'There should be an update period');
+
+    let updateDelay = 0;
+
+    try {
+      /**
+       * Check if current time is before the expire time which we
+       * got from manifest API.
+       */
+      let currentTimeInSecond = Math.round((Date.now()) / 1000);
+      if (this.apiURLFormat_ && currentTimeInSecond >= this.expireTime_) {
+        logger.sp_warn(filePath, 'Manifest is expired, re-fetching manifest URI...');
+        await this.getManifestURI_(this.apiURLFormat_, this.serviceId_, this.id_);
+        this.manifestExpired = true;
+      }
+
+      updateDelay = await this.requestManifest_();
+      spEventsMgr.emit(spEventsMgr.event_manifeset_updated, this.manifest_);
+    } catch (err) {
+      // Try updating again on the next tick.
+      if (err instanceof error) {
+        err.severity = error.Severity.RECOVERABLE;
+      }
+      logger.sp_warn(filePath, `Manifest update failed, will retry: ${err.message}`);
+    }
+
+    // Ensure we haven't been stopped in the meantime.
+    if (!this.updateTimer_) {
+      return;
+    }
+    this.setUpdateTimer_(updateDelay);
+  }
+
+  /**
+   * @param {string} booleanString
+   * @return {?boolean} The boolean, which Smooth Streaming writes as TRUE or
+   *   FALSE.
+   * @private
+   */
+  static parseBoolean_(booleanString) {
+    return xml_utils.parseBoolean(booleanString.toLowerCase());
+  }
+
+  /**
+   * @param {!Element} mss
+   * @return {number} The timescale of the manifest.
+   * @private
+   */
+  static getTimescale_(mss) {
+    return xml_utils.parseAttr(mss, 'TimeScale', xml_utils.parsePositiveInt,
+      mss_parser.DEFAULT_TIME_SCALE_);
+  }
+
+  /**
+   * Expands the c elements of a StreamIndex into its fragments.
+   *
+   * @param {!Element} streamIndex
+   * @return {!Array.<{time: bigint, duration: number}>} The start time and
+   *   duration of each fragment, in the timescale of the stream.  Start times
+   *   are kept exactly since they name the fragments, and live ones usually
+   *   exceed the safe integer range.
+   * @private
+   */
+  static parseChunks_(streamIndex) {
+    const chunks = [];
+    const elements = xml_utils.findChildren(streamIndex, 'c');
+    let time = BigInt(0);
+
+    elements.forEach((c, i) => {
+      if (c.hasAttribute('t')) {
+        time = BigInt(c.getAttribute('t'));
+      }
+
+      // The duration of a fragment is either given or the distance to the
+      // next one.
+      let duration = xml_utils.parseAttr(
+        c, 'd', xml_utils.parsePositiveInt);
+      if (!c.hasAttribute('d')) {
+        const next = elements[i + 1];
+        if (!next || !next.hasAttribute('t')) {
+          logger.sp_warn(filePath, "Skipping fragment at %s without duration",
+            time.toString());
+          return;
+        }
+        duration = Number(BigInt(next.getAttribute('t')) - time);
+      }
+
+      // r is the number of fragments with this duration, 1 by default.
+      const repeat = xml_utils.parseAttr(
+        c, 'r', xml_utils.parsePositiveInt, 1);
+      for (let j = 0; j < repeat; j++) {
+        chunks.push({ time: time, duration: duration });
+        time += BigInt(duration);
+      }
+    });
+
+    return chunks;
+  }
+
+  /**
+   * @param {string} type
+   * @param {string} fourCC
+   * @param {!Uint8Array} codecPrivateData
+   * @param {!Element} qualityLevel
+   * @return {?string} The RFC 6381 codec string, or null if the FourCC is not
+   *   supported.
+   * @private
+   */
+  static getCodecs_(type, fourCC, codecPrivateData, qualityLevel) {
+    const ContentType = manifest_parser_utils.ContentType;
+
+    if (type == ContentType.TEXT) {
+      return fourCC == 'TTML' ? 'stpp' : null;
+    }
+
+    if (type == ContentType.VIDEO) {
+      if (!mss_parser.AVC_FOURCCS_.includes(fourCC)) {
+        return null;
+      }
+      // avc1.PPCCLL from the profile, constraints and level of the SPS, the
+      // NAL unit of type 7.
+      const data = codecPrivateData;
+      for (let i = 0; i + 6 < data.byteLength; i++) {
+        if (data[i] == 0 && data[i + 1] == 0 && data[i + 2] == 1 &&
+          (data[i + 3] & 0x1f) == 7) {
+          return 'avc1.' + uint8array_utils.toHex(data.subarray(i + 4, i + 7));
+        }
+      }
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.MSS_MISSING_DATA_FOR_INIT_SEGMENT,
+        fourCC);
+    }
+
+    if (!mss_parser.AAC_FOURCCS_.includes(fourCC)) {
+      return null;
+    }
+    const audioSpecificConfig = mss_parser.getAudioSpecificConfig_(
+      fourCC, codecPrivateData, qualityLevel);
+    return 'mp4a.40.' + (audioSpecificConfig[0] >> 3);
+  }
+
+  /**
+   * @param {string} fourCC
+   * @param {!Uint8Array} codecPrivateData
+   * @param {!Element} qualityLevel
+   * @return {!Uint8Array} The AudioSpecificConfig of an AAC QualityLevel,
+   *   which is generated for AAC-LC when it is not given.
+   * @private
+   */
+  static getAudioSpecificConfig_(fourCC, codecPrivateData, qualityLevel) {
+    if (codecPrivateData.byteLength) {
+      return codecPrivateData;
+    }
+
+    const samplingRate = xml_utils.parseAttr(
+      qualityLevel, 'SamplingRate', xml_utils.parsePositiveInt);
+    const channels = xml_utils.parseAttr(
+      qualityLevel, 'Channels', xml_utils.parsePositiveInt);
+    const frequencyIndex =
+      mss_parser.AAC_SAMPLING_FREQUENCIES_.indexOf(samplingRate);
+    if (fourCC == 'AACH' || frequencyIndex < 0 || !channels) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.MANIFEST,
+        error.Code.MSS_MISSING_DATA_FOR_INIT_SEGMENT,
+        fourCC);
+    }
+
+    // 5 bits object type, 4 bits sampling frequency index, 4 bits channel
+    // configuration and 3 bits of flags.
+    const objectType = 2; // AAC-LC
+    return new Uint8Array([
+      (objectType << 3) | (frequencyIndex >> 1),
+      ((frequencyIndex & 1) << 7) | (channels << 3),
+    ]);
+  }
+
+  /**
+   * Parses the ProtectionHeader elements of the manifest.  They apply to all
+   * streams.
+   *
+   * @param {!Element} mss
+   * @return {mss_parser.Protection}
+   * @private
+   */
+  static parseProtection_(mss) {
+    const drmInfos = [];
+    const psshs = [];
+    let keyId = null;
+
+    const protection = xml_utils.findChild(mss, 'Protection');
+    const headers = protection ?
+      xml_utils.findChildren(protection, 'ProtectionHeader') : [];
+
+    for (const header of headers) {
+      const systemId = header.getAttribute('SystemID')
+        .replace(/[{}-]/g, '').toLowerCase();
+      const keySystem = keySystemByURI['urn:uuid:' + systemId.replace(
+        /^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5')];
+      if (!keySystem) {
+        logger.sp_warn(filePath, "Ignoring ProtectionHeader of unknown " +
+          "system %s", systemId);
+        continue;
+      }
+
+      const data = uint8array_utils.fromBase64(
+        xml_utils.getContents(header) || '');
+      let psshBox;
+      if (keySystem.includes('playready')) {
+        // A PlayReady header is a PlayReady Object, with the key ID.
+        keyId = keyId || content_protection.getPlayReadyKeyId(data);
+        psshBox = pssh.createPssh(data, uint8array_utils.fromHex(systemId),
+          new Set(), /* version= */ 0);
+      } else {
+        // Other headers are a PSSH box, or only its data.
+        const isPsshBox = data.byteLength > 8 &&
+          String.fromCharCode(...data.subarray(4, 8)) == 'pssh';
+        psshBox = isPsshBox ? data : pssh.createPssh(data,
+          uint8array_utils.fromHex(systemId), new Set(), /* version= */ 0);
+        keyId = keyId || new pssh(psshBox).cencKeyIds[0] || null;
+      }
+
+      psshs.push(psshBox);
+      drmInfos.push(manifest_parser_utils.createDrmInfo(keySystem, [{
+        initDataType: 'cenc',
+        initData: psshBox,
+        keyId: null,
+        rawPssh: uint8array_utils.toStandardBase64(psshBox),
+      }]));
+    }
+
+    // PlayReady protected fragments use common encryption as well, so the
+    // key of PlayReady-only manifests is requested with a Widevine PSSH made
+    // from the key ID of the PlayReady header.
+    if (keyId && !drmInfos.some((info) => info.keySystem.includes('widevine'))) {
+      const psshBox = mss_parser.createWidevinePssh_(keyId);
+      drmInfos.push(manifest_parser_utils.createDrmInfo('com.widevine.alpha', [{
+        initDataType: 'cenc',
+        initData: psshBox,
+        keyId: null,
+        rawPssh: uint8array_utils.toStandardBase64(psshBox),
+      }]));
+      logger.sp_debug(filePath, "Widevine PSSH created for key ID %s", keyId);
+    }
+
+    // All streams share the key of the manifest.
+    for (const drmInfo of drmInfos) {
+      if (keyId) {
+        drmInfo.keyIds.add(keyId);
+      }
+      for (const initData of drmInfo.initData) {
+        initData.keyId = keyId;
+      }
+    }
+
+    return {
+      drmInfos: drmInfos,
+      psshs: psshs,
+      keyId: keyId,
+    };
+  }
+
+  /**
+   * @param {string} keyId The key ID in hex.
+   * @return {!Uint8Array} A Widevine PSSH box for the key ID.
+   * @private
+   */
+  static createWidevinePssh_(keyId) {
+    const kid = uint8array_utils.fromHex(keyId);
+    // WidevinePsshData with the AES-CTR algorithm (field 1) and the key ID
+    // (field 2).
+    const data = new Uint8Array([0x08, 0x01, 0x12, kid.byteLength, ...kid]);
+    return pssh.createPssh(data,
+      uint8array_utils.fromHex(mss_parser.WIDEVINE_SYSTEM_ID_),
+      new Set(), /* version= */ 0);
+  }
+}
+
+/**
+ * Contains the minimum amount of time, in seconds, between manifest update
+ * requests.
+ *
+ * @private
+ * @const {number}
+ */
+mss_parser.MIN_UPDATE_PERIOD_ = 1;
+
+
+/**
+ * The system ID of Widevine.
+ *
+ * @private
+ * @const {string}
+ */
+mss_parser.WIDEVINE_SYSTEM_ID_ = 'edef8ba979d64acea3c827dcd51d21ed';
+
+
+/**
+ * The timescale of manifests without TimeScale attribute, 100 ns units.
+ *
+ * @private
+ * @const {number}
+ */
+mss_parser.DEFAULT_TIME_SCALE_ = 10000000;
+
+
+/**
+ * The ID of the single period a Smooth Streaming presentation is made of.
+ *
+ * @private
+ * @const {string}
+ */
+mss_parser.PERIOD_ID_ = 'mss';
+
+
+/**
+ * The track ID of the generated init segments.  Smooth Streaming fragments
+ * each carry a single track, whose track fragment refers to track 1.
+ *
+ * @private
+ * @const {number}
+ */
+mss_parser.TRACK_ID_ = 1;
+
+
+/**
+ * @private
+ * @const {!Array.<string>}
+ */
+mss_parser.AVC_FOURCCS_ = ['H264', 'AVC1', 'DAVC'];
+
+
+/**
+ * @private
+ * @const {!Array.<string>}
+ */
+mss_parser.AAC_FOURCCS_ = ['AACL', 'AACH', 'AACP', 'MP4A'];
+
+
+/**
+ * The sampling frequencies of AAC, by their index in the AudioSpecificConfig.
+ *
+ * @private
+ * @const {!Array.<number>}
+ */
+mss_parser.AAC_SAMPLING_FREQUENCIES_ = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000,
+  11025, 8000, 7350,
+];
+
+
+/**
+ * @typedef {{
+ *   liveFragmentsDelay: number
+ * }}
+ *
+ * @description
+ * Configuration of the Smooth Streaming parser.
+ *
+ * @property {number} liveFragmentsDelay
+ *   How many fragment durations behind the end of a live manifest the
+ *   presentation is, i.e. its presentation delay.
+ */
+mss_parser.Configuration;
+
+
+/**
+ * @typedef {{
+ *   drmInfos: !Array.<extern.DrmInfo>,
+ *   psshs: !Array.<!Uint8Array>,
+ *   keyId: ?string
+ * }}
+ *
+ * @description
+ * The content protection of a manifest.
+ *
+ * @property {!Array.<extern.DrmInfo>} drmInfos
+ *   The DRM infos of the known key systems.
+ * @property {!Array.<!Uint8Array>} psshs
+ *   Their PSSH boxes, for the init segments.
+ * @property {?string} keyId
+ *   The key ID, in hex.
+ */
+mss_parser.Protection;
+
+
+/**
+ * @typedef {{
+ *   key: string,
+ *   stream: Stream,
+ *   streamIndex: !Element,
+ *   qualityLevel: !Element,
+ *   timescale: number,
+ *   initSegmentReference: init_segmentReference,
+ *   references: !Array.<!segment_reference>,
+ *   maxTimestamp: number,
+ *   maxFragmentDuration: number
+ * }}
+ *
+ * @description
+ * Contains a stream and the manifest elements it comes from.
+ *
+ * @property {string} key
+ *   Identifies the stream across manifest updates.
+ * @property {Stream} stream
+ *   The stream.
+ * @property {!Element} streamIndex
+ *   The StreamIndex element of the last loaded manifest.
+ * @property {!Element} qualityLevel
+ *   The QualityLevel element of the last loaded manifest.
+ * @property {number} timescale
+ *   The timescale of the fragment times.
+ * @property {init_segmentReference} initSegmentReference
+ *   The generated init segment, or null for text streams.
+ * @property {!Array.<!segment_reference>} references
+ *   The fragments of the last loaded manifest.
+ * @property {number} maxTimestamp
+ *   The end time of the last fragment.
+ * @property {number} maxFragmentDuration
+ *   The longest fragment duration, in seconds.
+ */
+mss_parser.StreamInfo;
+
+manifest_parser.registerParserByExtension(
+  'ism', (...args) => new mss_parser(...args));
+manifest_parser.registerParserByExtension(
+  'isml', (...args) => new mss_parser(...args));
+manifest_parser.registerParserByMime(
+  'application/vnd.ms-sstr+xml', (...args) => new mss_parser(...args));
+
+export default mss_parser;
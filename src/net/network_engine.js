@@ -1,6 +1,9 @@
 import axios from 'axios';
 import { SocksProxyAgent } from "socks-proxy-agent";
 import logger from '../util/sp_logger.js'
+import buffer_utils from '../util/buffer_utils.js';
+import error from '../util/error.js';
+import uri_health from './uri_health.js';
 import fs, { write } from 'fs';
 
 const filePath = import.meta.url;
@@ -14,6 +17,18 @@ class network_engine {
     return response.data;
   }
 
+  /**
+   * @param {string} url
+   * @return {!Promise.<!Object>} The response headers, with lower-case names.
+   */
+  static async http_head(url) {
+    const client = axios.create({ baseURL: url });
+    logger.sp_debug(filePath, "HTTP HEAD requesting to %s...", url);
+
+    var response = await client.head();
+    return response.headers;
+  }
+
   static async socks5_http_get(url, proxyConf) {
     /* initialize proxy configuration */
     let proxy_agent = null;
@@ -35,33 +50,170 @@ class network_engine {
     return response.data;
   }
 
-  static async socks5_http_download(fileUrl, savePath, proxyConf) {
-    const writer = fs.createWriteStream(savePath);
-
+  /**
+   * Requests the response headers of a resource.  The body of a GET request
+   * is not downloaded.
+   *
+   * @param {string} url
+   * @param {string} method 'HEAD' or 'GET'.
+   * @param proxyConf
+   * @return {!Promise.<!Object>} The headers, with lower-case names.
+   */
+  static async socks5_http_headers(url, method, proxyConf) {
     /* initialize proxy configuration */
     let proxy_agent = null;
     if (proxyConf.use_proxy) {
       proxy_agent = new SocksProxyAgent(`socks://${proxyConf.addr}:${proxyConf.port}`);
     }
 
-    const downloadClient = axios.create({
-      baseURL: fileUrl,
+    const client = axios.create({
+      baseURL: url,
+      method: method,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/101.0.4951.67 Safari/537.36'
       },
       responseType: 'stream',
       httpsAgent: proxy_agent,
+      httpAgent: proxy_agent
+    });
+
+    logger.sp_debug(filePath, "HTTP %s requesting to %s...", method, url);
+    const response = await client.request();
+    response.data.destroy();
+
+    return response.headers;
+  }
+
+  /**
+   * Requests a byte range of the resource and returns it as an ArrayBuffer.
+   *
+   * @param {string} url
+   * @param {number} startByte
+   * @param {?number} endByte inclusive; null means up to the end of the
+   *   resource.
+   * @param proxyConf
+   * @return {!Promise.<!ArrayBuffer>}
+   */
+  static async socks5_http_get_range(url, startByte, endByte, proxyConf) {
+    /* initialize proxy configuration */
+    let proxy_agent = null;
+    if (proxyConf.use_proxy) {
+      proxy_agent = new SocksProxyAgent(`socks://${proxyConf.addr}:${proxyConf.port}`);
+    }
+
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/101.0.4951.67 Safari/537.36'
+    };
+    const range = network_engine.rangeHeader_(startByte, endByte);
+    if (range) {
+      headers['Range'] = range;
+    }
+
+    const rangeClient = axios.create({
+      baseURL: url,
+      headers: headers,
+      responseType: 'arraybuffer',
+      httpsAgent: proxy_agent,
+      httpAgent: proxy_agent
+    });
+
+    logger.sp_debug(filePath, "HTTP requesting %s of %s...", range || 'all bytes', url);
+    const response = await rangeClient.get();
+
+    return buffer_utils.toArrayBuffer(response.data);
+  }
+
+  /**
+   * @param {?{start: number, end: ?number}} range byte range to download, or
+   *   null (the default) for the whole resource.
+   */
+  static async socks5_http_download(fileUrl, savePath, proxyConf, range = null) {
+    /* initialize proxy configuration */
+    let proxy_agent = null;
+    if (proxyConf.use_proxy) {
+      proxy_agent = new SocksProxyAgent(`socks://${proxyConf.addr}:${proxyConf.port}`);
+    }
+
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/101.0.4951.67 Safari/537.36'
+    };
+    if (range) {
+      headers['Range'] = network_engine.rangeHeader_(range.start, range.end);
+    }
+
+    const downloadClient = axios.create({
+      baseURL: fileUrl,
+      headers: headers,
+      responseType: 'stream',
+      httpsAgent: proxy_agent,
       httpAgent: proxy_agent,
     });
 
     const response = await downloadClient.get();
+    const writer = fs.createWriteStream(savePath);
     response.data.pipe(writer);
 
     return new Promise((resolve, reject) => {
       writer.on('finish', resolve);
-      writer.on('error', reject);
+      writer.on('error', (e) => {
+        response.data.destroy();
+        reject(e);
+      });
+      response.data.on('error', (e) => {
+        writer.destroy();
+        reject(e);
+      });
     });
   }
+
+  /**
+   * Downloads a resource which is available from alternative URIs (one per
+   * BaseURL).  URIs of healthy servers are tried first, in the given order,
+   * and a server which fails, see uri_health.isServerFailure(), is marked
+   * unhealthy.
+   *
+   * @param {!Array.<string>} uris
+   * @param {string} savePath
+   * @param proxyConf
+   * @param {?{start: number, end: ?number}} range
+   * @return {!Promise.<string>} The URI the resource was downloaded from.
+   */
+  static async socks5_http_download_any(uris, savePath, proxyConf, range = null) {
+    let lastError = null;
+    for (const uri of uri_health.order(uris)) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await network_engine.socks5_http_download(uri, savePath, proxyConf, range);
+        return uri;
+      } catch (e) {
+        logger.sp_warn(filePath, "Downloading %s failed: %s", uri, e.message);
+        if (uri_health.isServerFailure(e)) {
+          uri_health.markUnhealthy(uri);
+        }
+        lastError = e;
+      }
+    }
+
+    throw new error(
+      error.Severity.CRITICAL,
+      error.Category.NETWORK,
+      error.Code.HTTP_ERROR,
+      uris[0], lastError);
+  }
+
+  /**
+   * @param {number} startByte
+   * @param {?number} endByte
+   * @return {?string} value of the Range header, or null if the whole
+   *   resource is requested.
+   * @private
+   */
+  static rangeHeader_(startByte, endByte) {
+    if (!startByte && endByte == null) {
+      return null;
+    }
+    return 'bytes=' + startByte + '-' + (endByte == null ? '' : endByte);
+  }
 }
 
 export default network_engine;
\ No newline at end of file
@@ -0,0 +1,196 @@
+import dgram from 'dgram';
+import logger from '../util/sp_logger.js';
+import error from '../util/error.js';
+import buffer_utils from '../util/buffer_utils.js';
+
+const filePath = import.meta.url;
+
+/**
+ * A minimal SNTP (RFC 4330) client, used to synchronize the clock with the
+ * NTP based UTCTiming schemes of DASH manifests.
+ *
+ * NOTE: Requests are sent over UDP directly, they do not go through the
+ * SOCKS5 proxy.
+ */
+class sntp_client {
+  /**
+   * Queries an NTP server and computes the offset of its clock from ours.
+   *
+   * @param {string} host
+   * @param {number=} port
+   * @param {number=} timeoutMs
+   * @return {!Promise.<number>} Milliseconds to add to Date.now() to get the
+   *   server's time.
+   */
+  static requestOffset(host, port = sntp_client.DEFAULT_PORT,
+    timeoutMs = sntp_client.TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+
+      const finish = (err, offset) => {
+        clearTimeout(timeoutId);
+        socket.close();
+        if (err) {
+          reject(err);
+        } else {
+          resolve(offset);
+        }
+      };
+
+      const timeoutId = setTimeout(() => {
+        finish(new error(
+          error.Severity.RECOVERABLE,
+          error.Category.NETWORK,
+          error.Code.TIMEOUT,
+          host));
+      }, timeoutMs);
+
+      socket.on('error', (e) => {
+        finish(new error(
+          error.Severity.RECOVERABLE,
+          error.Category.NETWORK,
+          error.Code.HTTP_ERROR,
+          host, e));
+      });
+
+      socket.on('message', (msg) => {
+        const destinationTime = Date.now();
+
+        // Reject unsynchronized servers (leap indicator 3, stratum 0) and
+        // answers which do not match our request.
+        const leapIndicator = msg[0] >> 6;
+        const stratum = msg[1];
+        if (msg.length < sntp_client.PACKET_SIZE_ || leapIndicator == 3 ||
+          stratum == 0 || !sntp_client.matchesRequest_(msg, request)) {
+          finish(new error(
+            error.Severity.RECOVERABLE,
+            error.Category.NETWORK,
+            error.Code.HTTP_ERROR,
+            host, 'Invalid SNTP response'));
+          return;
+        }
+
+        const receiveTime =
+          sntp_client.readTimestamp_(msg, sntp_client.RECEIVE_OFFSET_);
+        const transmitTime =
+          sntp_client.readTimestamp_(msg, sntp_client.TRANSMIT_OFFSET_);
+        // RFC 4330 section 5: ((T2 - T1) + (T3 - T4)) / 2
+        const offset = ((receiveTime - requestTime) +
+          (transmitTime - destinationTime)) / 2;
+        logger.sp_debug(filePath, "SNTP %s: offset %d ms, round trip %d ms",
+          host, offset,
+          (destinationTime - requestTime) - (transmitTime - receiveTime));
+        finish(null, offset);
+      });
+
+      // The transmit time of the request comes back as originate time, which
+      // is how the answer is matched with the request.
+      const request = Buffer.alloc(sntp_client.PACKET_SIZE_);
+      // LI = 0, VN = 4, Mode = 3 (client).
+      request[0] = (4 << 3) | 3;
+      const requestTime = Date.now();
+      sntp_client.writeTimestamp_(request, sntp_client.TRANSMIT_OFFSET_,
+        requestTime);
+      socket.send(request, port, host);
+    });
+  }
+
+  /**
+   * Converts a 64 bit NTP timestamp, as returned by the http-ntp UTCTiming
+   * scheme, to a time in milliseconds since the Unix epoch.
+   *
+   * @param {BufferSource} data
+   * @return {?number} The time, or null if data is too short.
+   */
+  static parseTimestamp(data) {
+    const bytes = Buffer.from(buffer_utils.toUint8(data));
+    if (bytes.length < 8) {
+      return null;
+    }
+    return sntp_client.readTimestamp_(bytes, 0);
+  }
+
+  /**
+   * Splits "host" or "host:port" (with brackets around IPv6 addresses).
+   *
+   * @param {string} server
+   * @return {{host: string, port: number}}
+   */
+  static parseServer(server) {
+    const match = /^\[(.+)\](?::(\d+))?$/.exec(server) ||
+      /^([^:]+)(?::(\d+))?$/.exec(server);
+    if (!match) {
+      // A bare IPv6 address.
+      return { host: server, port: sntp_client.DEFAULT_PORT };
+    }
+    return {
+      host: match[1],
+      port: match[2] ? Number(match[2]) : sntp_client.DEFAULT_PORT,
+    };
+  }
+
+  /**
+   * @param {!Buffer} response
+   * @param {!Buffer} request
+   * @return {boolean} True if the originate timestamp of the response is the
+   *   transmit timestamp of the request.
+   * @private
+   */
+  static matchesRequest_(response, request) {
+    const O = sntp_client.ORIGINATE_OFFSET_;
+    const T = sntp_client.TRANSMIT_OFFSET_;
+    return response.subarray(O, O + 8).equals(request.subarray(T, T + 8));
+  }
+
+  /**
+   * @param {!Buffer} buffer
+   * @param {number} offset
+   * @return {number} milliseconds since the Unix epoch.
+   * @private
+   */
+  static readTimestamp_(buffer, offset) {
+    const seconds = buffer.readUInt32BE(offset);
+    const fraction = buffer.readUInt32BE(offset + 4);
+    return (seconds - sntp_client.EPOCH_OFFSET_) * 1000 +
+      fraction * 1000 / 0x100000000;
+  }
+
+  /**
+   * @param {!Buffer} buffer
+   * @param {number} offset
+   * @param {number} time milliseconds since the Unix epoch.
+   * @private
+   */
+  static writeTimestamp_(buffer, offset, time) {
+    const seconds = Math.floor(time / 1000);
+    const fraction = Math.floor((time % 1000) / 1000 * 0x100000000);
+    buffer.writeUInt32BE(seconds + sntp_client.EPOCH_OFFSET_, offset);
+    buffer.writeUInt32BE(fraction, offset + 4);
+  }
+}
+
+/** @const {number} */
+sntp_client.DEFAULT_PORT = 123;
+
+/** @const {number} */
+sntp_client.TIMEOUT_MS = 5000;
+
+/**
+ * Seconds between the NTP epoch (1900) and the Unix epoch (1970).
+ * @private @const {number}
+ */
+sntp_client.EPOCH_OFFSET_ = 2208988800;
+
+/** @private @const {number} */
+sntp_client.PACKET_SIZE_ = 48;
+
+/** @private @const {number} */
+sntp_client.ORIGINATE_OFFSET_ = 24;
+
+/** @private @const {number} */
+sntp_client.RECEIVE_OFFSET_ = 32;
+
+/** @private @const {number} */
+sntp_client.TRANSMIT_OFFSET_ = 40;
+
+export default sntp_client;
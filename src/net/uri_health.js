@@ -0,0 +1,115 @@
+import logger from '../util/sp_logger.js';
+
+const filePath = import.meta.url;
+
+/**
+ * Keeps track of the servers which failed recently, so that alternative
+ * BaseURLs are tried first until the failed ones have cooled down.
+ *
+ * Servers are told apart by the origin of their URIs, which is what a CDN
+ * failure takes down.
+ */
+class uri_health {
+  /**
+   * Marks the server of the URI as unhealthy for the cooldown period.
+   *
+   * @param {string} uri
+   */
+  static markUnhealthy(uri) {
+    const origin = uri_health.origin_(uri);
+    if (!uri_health.unhealthyUntil_.has(origin)) {
+      logger.sp_warn(filePath, "%s is unhealthy, avoiding it for %d second(s)",
+        origin, uri_health.cooldown_ / 1000);
+    }
+    uri_health.unhealthyUntil_.set(origin, Date.now() + uri_health.cooldown_);
+  }
+
+  /**
+   * Tells whether a request failed because of its server: it could not be
+   * connected to, it timed out, or it answered with a 5xx status.  Other
+   * statuses, e.g. 404 or 412, are about the resource, not the server.
+   *
+   * @param {*} e The error of the request.
+   * @return {boolean}
+   */
+  static isServerFailure(e) {
+    if (e && e.response) {
+      return e.response.status >= 500;
+    }
+    return !!e && uri_health.connectionErrorCodes_.has(e.code);
+  }
+
+  /**
+   * @param {string} uri
+   * @return {boolean} False while the server of the URI is cooling down.
+   */
+  static isHealthy(uri) {
+    const origin = uri_health.origin_(uri);
+    const until = uri_health.unhealthyUntil_.get(origin);
+    if (until == undefined) {
+      return true;
+    }
+    if (until <= Date.now()) {
+      logger.sp_log(filePath, "%s cooled down, using it again", origin);
+      uri_health.unhealthyUntil_.delete(origin);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Moves the URIs of unhealthy servers to the end of the list.  The relative
+   * order is kept otherwise, so the preferred BaseURL stays first.
+   *
+   * @param {!Array.<string>} uris
+   * @return {!Array.<string>}
+   */
+  static order(uris) {
+    const healthy = uris.filter((uri) => uri_health.isHealthy(uri));
+    const unhealthy = uris.filter((uri) => !healthy.includes(uri));
+    return healthy.concat(unhealthy);
+  }
+
+  /**
+   * @param {number} seconds How long a failed server is avoided.
+   */
+  static setCooldown(seconds) {
+    uri_health.cooldown_ = seconds * 1000;
+  }
+
+  /**
+   * @param {string} uri
+   * @return {string}
+   * @private
+   */
+  static origin_(uri) {
+    try {
+      return new URL(uri).origin;
+    } catch (e) {
+      return uri;
+    }
+  }
+}
+
+/**
+ * Cooldown period in milliseconds.
+ * @private {number}
+ */
+uri_health.cooldown_ = 30000;
+
+/**
+ * Error codes of failed connections and timeouts.
+ * @private {!Set.<string>}
+ */
+uri_health.connectionErrorCodes_ = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+  'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE',
+]);
+
+/**
+ * Origin to the time (from Date.now()) it may be used again.
+ * @private {!Map.<string, number>}
+ */
+uri_health.unhealthyUntil_ = new Map();
+
+export default uri_health;
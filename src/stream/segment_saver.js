@@ -10,137 +10,195 @@ import appRoot from 'app-root-path';
 import path from 'path';
 import error from '../util/error.js';
 import assert from 'assert';
+import { hls_media_segment } from '../hls/hls_writer.js';
+import text_engine from '../text/text_engine.js';
+import webvtt_generator from '../text/webvtt_generator.js';
 
 var filePath = import.meta.url;
 
 /**
  * Download all segments from segment index and decrypt them
- * by using their init data and our own API
+ * by using their init data and our own API.  Segments without DRM, e.g. the
+ * self-initializing MPEG-2 TS ones, are published as they are.
+ *
+ * Text tracks are converted to WebVTT instead, and cut into one segment per
+ * segment of the first video track, or of the first (default) audio track
+ * without video, so that their media playlists stay aligned with its media
+ * sequence.
  */
 class segment_saver {
   /**
-   * @param {segment_index} audioSegmentIndex target segment index from which
-   * all audio segment files are downloaded.
-   * @param {segment_index} videoSegmentIndex target segment index from which
-   * all video segment files are downloaded.
-   * @param {string} key decryption key derived from pssh in manifest and our API.
-   * @param {string} keyId key Id
+   * @param {!Array.<segment_saver.Track>} tracks The tracks to download, all
+   * of them are processed segment by segment side by side.
    * @param {string} decryptScript external script for decrypting segments.
    * @param {string} resultPath path to save completed segments.
    * @param {number} endPlayTime average start time of live edge segment
-   * @param {object} lastSegmentURI URI of segment processed most latestly
+   * @param {!Object.<string, string>} lastSegmentURIs URI of the segment
+   * processed most latestly, by track path.
+   * @param {number} maxSegmentNum
+   * @param {function(!Array.<string>):!Array.<string>=} orderUris orders the
+   *   alternative URIs of a segment by preference, e.g. by Content Steering.
    * 
    */
-  constructor(audioSegmentIndex, videoSegmentIndex, key, keyId, decryptScript,
-    resultPath, endPlayTime, lastSegmentURI, maxSegmentNum) {
-    this.audioSegmentUrlList_ = [];
-    this.audioSegmentDurationList_ = [];
-    this.videoSegmentUrlList_ = [];
-    this.videoSegmentDurationList_ = [];
+  constructor(tracks, decryptScript, resultPath, endPlayTime, lastSegmentURIs,
+    maxSegmentNum, orderUris = (uris) => uris) {
     this.maxSegmentNum_ = maxSegmentNum;
+    this.orderUris_ = orderUris;
+
+    /** @private {!Array.<segment_saver.TrackSegments>} */
+    this.trackSegments_ = tracks.filter((track) => track.type != 'text')
+      .map((track) => segment_saver.collectSegments_(
+        track, lastSegmentURIs[track.path], endPlayTime, maxSegmentNum));
+
+    // Text segments are taken from the start of the first segment they are
+    // cut on, since their cues are only published along with those segments.
+    const timelineSegments = segment_saver.timelineSegments_(this.trackSegments_);
+    const textStartTime =
+      timelineSegments && timelineSegments.startTimeList.length > 1 ?
+        timelineSegments.startTimeList[1] : endPlayTime;
+
+    /** @private {!Array.<segment_saver.TrackSegments>} */
+    this.textSegments_ = tracks.filter((track) => track.type == 'text')
+      .map((track) => segment_saver.collectSegments_(
+        track, lastSegmentURIs[track.path], endPlayTime, maxSegmentNum,
+        textStartTime));
+
+    /**
+     * The segment processed last of each track, kept for tracks without new
+     * segments.
+     * @private {!Object.<string, string>}
+     */
+    this.lastSegmentURIs_ = Object.assign({}, lastSegmentURIs);
+
+    this.decryptScript_ = decryptScript;
+    if (!fs.existsSync(resultPath)) {
+      logger.sp_warn(filePath, "Default result path %s doesn't exist, creating new one...",
+        resultPath);
+      fs.mkdirSync(resultPath);
+    }
+
+    this.resultPath_ = resultPath;
+  }
+
+  /**
+   * Lists the init segment and the segments to download of a track: the ones
+   * after the segment processed last, or the last maxSegmentNum ones before
+   * the live edge at first.
+   *
+   * @param {segment_saver.Track} track
+   * @param {?string} lastSegmentURI
+   * @param {number} endPlayTime
+   * @param {number} maxSegmentNum
+   * @param {?number=} startTime If given, the segments ending after it are
+   *   taken at first instead.
+   * @return {segment_saver.TrackSegments}
+   * @private
+   */
+  static collectSegments_(track, lastSegmentURI, endPlayTime, maxSegmentNum,
+    startTime = null) {
+    const segmentIndex = track.segmentIndex;
+    const segments = {
+      track: track,
+      urisList: [],
+      rangeList: [],
+      durationList: [],
+      startTimeList: [],
+      timestampOffsetList: [],
+      initData: null,
+    };
+
+    // The first entry of each list is the init segment.  Text segments may
+    // have none.
+    const initRef = segmentIndex.references[0].initSegmentReference;
+    segments.urisList.push(initRef ? initRef.getUris() : []);
+    segments.initData = initRef ? initRef.getSegmentData() : null;
+    segments.rangeList.push(initRef ? segment_saver.byteRange_(initRef) : null);
+    segments.durationList.push(0);
+    segments.startTimeList.push(0);
+    segments.timestampOffsetList.push(0);
 
-    // initialize audio segment URI list
-    this.audioSegmentUrlList_.push(audioSegmentIndex.references[0].initSegmentReference.getUris()[0]);
-    this.audioSegmentDurationList_.push(0);
     let foundLastestURI = false;
     let foundStartSegment = false;
-    audioSegmentIndex.forEachTopLevelReference((ref) => {
-      let segURI = ref.getUrisInner()[0];
-      if (foundStartSegment || foundLastestURI) {
-        this.audioSegmentUrlList_.push(segURI);
-        this.audioSegmentDurationList_.push(ref.endTime - ref.startTime);
+    segmentIndex.forEachTopLevelReference((ref) => {
+      let segURI = segment_saver.segmentKey_(ref.getUrisInner()[0],
+        segment_saver.byteRange_(ref));
+      if (!lastSegmentURI && startTime != null && ref.endTime > startTime) {
+        foundStartSegment = true;
       }
-
-      if (lastSegmentURI.audio) {
-        if (segURI == lastSegmentURI.audio) {
-          foundLastestURI = true;
-        }
-      } else {
-        let refIndex = audioSegmentIndex.references.indexOf(ref);
-        if (refIndex < audioSegmentIndex.references.length - maxSegmentNum &&
-            audioSegmentIndex.references[refIndex + maxSegmentNum].endTime > endPlayTime) {
-          foundStartSegment = true;
-        }
-      }
-    });
-
-    // initialize video segment URI list
-    foundLastestURI = false;
-    foundStartSegment = false;
-    this.videoSegmentUrlList_.push(videoSegmentIndex.references[0].initSegmentReference.getUris()[0]);
-    this.videoSegmentDurationList_.push(0);
-    videoSegmentIndex.forEachTopLevelReference((ref) => {
-      let segURI = ref.getUrisInner()[0];
       if (foundStartSegment || foundLastestURI) {
-        this.videoSegmentUrlList_.push(segURI);
-        this.videoSegmentDurationList_.push(ref.endTime - ref.startTime);
+        segments.urisList.push(ref.getUrisInner());
+        segments.rangeList.push(segment_saver.byteRange_(ref));
+        segments.durationList.push(ref.endTime - ref.startTime);
+        segments.startTimeList.push(ref.startTime);
+        segments.timestampOffsetList.push(ref.timestampOffset);
       }
 
-      if (lastSegmentURI.video) {
-        if (segURI == lastSegmentURI.video) {
+      if (lastSegmentURI) {
+        if (segURI == lastSegmentURI) {
           foundLastestURI = true;
         }
-      } else {
-        let refIndex = videoSegmentIndex.references.indexOf(ref);
-        if (refIndex < videoSegmentIndex.references.length - maxSegmentNum &&
-          videoSegmentIndex.references[refIndex + maxSegmentNum].endTime > endPlayTime) {
+      } else if (startTime == null) {
+        let refIndex = segmentIndex.references.indexOf(ref);
+        if (refIndex < segmentIndex.references.length - maxSegmentNum &&
+          segmentIndex.references[refIndex + maxSegmentNum].endTime > endPlayTime) {
           foundStartSegment = true;
         }
       }
     });
 
-    this.decryptKey_ = key;
-    this.keyId_ = keyId;
-    this.decryptScript_ = decryptScript;
-    if (!fs.existsSync(resultPath)) {
-      logger.sp_warn(filePath, "Default result path %s doesn't exist, creating new one...",
-        resultPath);
-      fs.mkdirSync(resultPath);
-    }
-
-    this.resultPath_ = resultPath;
+    return segments;
   }
 
   clearReference_() {
-    this.audioSegmentUrlList_ = [];
-    this.audioSegmentDurationList_ = [];
-    this.videoSegmentUrlList_ = [];
-    this.videoSegmentDurationList_ = [];
-    this.decryptKey_ = undefined;
-    this.keyId_ = undefined;
+    this.trackSegments_ = [];
+    this.textSegments_ = [];
+    this.lastSegmentURIs_ = {};
     this.decryptScript_ = undefined;
     this.resultPath_ = undefined;
   }
 
-  async download_segments(savePath, mergePath, audioMediaPLTemplate, videoMediaPLTemplate,
-    audioPLName, videoPLName) {
-    let i = 0;
-    if (!fs.existsSync(savePath)) {
-      logger.sp_warn(filePath, "Default download path %s doesn't exist, creating new one...",
-        savePath);
-      fs.mkdirSync(savePath);
+  /**
+   * Downloads, decrypts and publishes the segments of all tracks.
+   *
+   * @param {string} savePath
+   * @param {string} mergePath
+   * @return {!Promise.<!Object.<string, string>>} The URI of the segment
+   *   processed last, by track path.
+   */
+  async download_segments(savePath, mergePath) {
+    for (const dir of [savePath, mergePath]) {
+      if (!fs.existsSync(dir)) {
+        logger.sp_warn(filePath, "Path %s doesn't exist, creating new one...", dir);
+        fs.mkdirSync(dir);
+      }
     }
-    if (!fs.existsSync(mergePath)) {
-      logger.sp_warn(filePath, "Path %s where combined segments will be saved doesn't exist, creating new one...",
-        mergePath);
-      fs.mkdirSync(mergePath);
+    for (const segments of [...this.trackSegments_, ...this.textSegments_]) {
+      for (const dir of [savePath, mergePath, this.resultPath_]) {
+        fs.mkdirSync(dir + segments.track.path, { recursive: true });
+      }
     }
 
-    // assert(this.audioSegmentUrlList_.length == this.videoSegmentUrlList_.length);
+    // The cues are needed before the segments they go with.
+    for (const segments of this.textSegments_) {
+      await this.loadCues_(segments, savePath);
+    }
+    const timelineSegments = segment_saver.timelineSegments_(this.trackSegments_);
 
     // total segments number = url list length - 1 (init segment isn't involved)
-    logger.sp_log(filePath, `Process ${this.audioSegmentDurationList_.length - 1} segment(s) for 2 tracks...`);
-
-    let lastAudioURI = null;
-    let lastVideoURI = null;
+    const segmentCount = Math.max(
+      ...this.trackSegments_.map((segments) => segments.urisList.length));
+    logger.sp_log(filePath, `Process ${segmentCount - 1} segment(s) for ` +
+      `${this.trackSegments_.length} tracks...`);
 
-    for (let i = 0; i < this.audioSegmentUrlList_.length; i++) {
+    for (let i = 0; i < segmentCount; i++) {
+      var segmentUris;
       var segmentUrl;
+      var segmentRange;
       var segmentDuration;
+      var initData;
       var pathSuffix;
       var initFile = "init.mp4";
-      var mediaPlaylistTemplate;
-      var playlistName;
+      var mediaPlaylist;
       var mediaPlaylistPath;
       var bufferFull = false;
 
@@ -148,24 +206,29 @@ class segment_saver {
       let checkStart = Date.now();
       let processPeriod;
 
-      // traverse both audio and video segments
-      for (let j = 0; j < 2; j++) {
-        if (j == 0) {
-          segmentUrl = this.audioSegmentUrlList_[i];
-          segmentDuration = this.audioSegmentDurationList_[i];
-          pathSuffix = "audio/";
-          mediaPlaylistTemplate = audioMediaPLTemplate;
-          playlistName = audioPLName;
-          lastAudioURI = segmentUrl;
-        } else {
-          segmentUrl = this.videoSegmentUrlList_[i];
-          segmentDuration = this.videoSegmentDurationList_[i];
-          pathSuffix = "video/";
-          mediaPlaylistTemplate = videoMediaPLTemplate;
-          playlistName = videoPLName;
-          lastVideoURI = segmentUrl;
+      // traverse the segments of all tracks
+      for (const segments of this.trackSegments_) {
+        // Tracks may have a few segments less than others.
+        if (i >= segments.urisList.length) {
+          continue;
         }
-        mediaPlaylistPath = this.resultPath_ + pathSuffix + playlistName;
+        const track = segments.track;
+        segmentUris = segments.urisList[i];
+        segmentRange = segments.rangeList[i];
+        segmentDuration = segments.durationList[i];
+        initData = segments.initData;
+        pathSuffix = track.path;
+        mediaPlaylist = track.mediaPlaylist;
+        if (i > 0) {
+          this.lastSegmentURIs_[track.path] =
+            segment_saver.segmentKey_(segmentUris[0], segmentRange);
+        }
+
+        mediaPlaylistPath = this.resultPath_ + pathSuffix + track.playlistName;
+        // The first URI is the preferred BaseURL, it names the segment even
+        // when it is downloaded from an alternative one.  Generated init
+        // segments have no URI.
+        segmentUrl = segmentUris[0] || initFile;
 
         var segmentName = segmentUrl.split('/').pop();
         // Use fixed length decimal number format instead, so that segments can be sorted
@@ -174,76 +237,37 @@ class segment_saver {
         var nameOnly = path.basename(segmentName, extension);
         let numberedName = parseInt('0x' + nameOnly);
         let converted = isNaN(numberedName) ? nameOnly : String(numberedName).padStart(12, '0');
-        segmentName = converted + extension;
+        if (segmentRange && i > 0) {
+          // Every segment of a single-file representation shares the same
+          // URI, so tell them apart by their offset in the file.
+          converted = nameOnly + '_' + String(segmentRange.start).padStart(12, '0');
+        }
+        // The first entry of each list is the init segment.
+        segmentName = i == 0 ? initFile : converted + extension;
 
         let saveName = savePath + pathSuffix + segmentName;
-
-        await network_engine.socks5_http_download(segmentUrl, saveName, proxyConf);
+        // Self-initializing segments, e.g. MPEG-2 TS, have no init segment.
+        const hasInit = !!(segments.initData || segments.urisList[0].length);
+
+        if (i == 0) {
+          if (initData) {
+            fs.writeFileSync(saveName, initData);
+          } else if (hasInit) {
+            await network_engine.socks5_http_download_any(
+              this.orderUris_(segmentUris), saveName, proxyConf, segmentRange);
+          }
+          continue;
+        }
+        await network_engine.socks5_http_download_any(
+          this.orderUris_(segmentUris), saveName, proxyConf, segmentRange);
 
         // Combine each segments with init one.
-        if (segmentName != initFile) {
-          const inputPathList = [];
-          inputPathList.push(savePath + pathSuffix + initFile);
-          inputPathList.push(saveName);
-          let mergeFileName = mergePath + pathSuffix + segmentName;
-          const status = await mergeFiles(inputPathList, mergeFileName);
-          if (status) {
-            // Decrypt the segment.
-            const nameOnly = path.basename(segmentName, path.extname(segmentName));
-            const resultFileRelativePath = pathSuffix + nameOnly + ".mp4";
-            let decryptCommand = this.decryptScript_ + " " + this.keyId_ + " " +
-              this.decryptKey_ + " " + mergeFileName + " " + this.resultPath_ +
-              resultFileRelativePath + " " + appRoot.path + " " + pathSuffix.slice(0, -1);
-            if (shell.exec(decryptCommand).code !== 0) {
-              logger.sp_error(filePath, "Decrypting failed.");
-              throw new error(
-                error.Severity.CRITICAL,
-                error.Category.SEGMENT,
-                error.Code.SEGMENT_MANIPULATION_FAILED);
-            }
-            logger.sp_log(filePath, `${pathSuffix.slice(0, -1)} ${nameOnly} Decrypted.`);
-
-            // As soon as the new segments are decrypted and added, then
-            // update the media playlist also.
-
-            let newSegmentUri = nameOnly + ".mp4";
-            let segmentTemplate = `#EXTINF:${segmentDuration},
-${newSegmentUri}`;
-
-            // Get the total number of segments and check if
-            // it exceeds the max segment number. If yes, 
-            // then delete old ones.
-            let segmentItemList = [];
-            mediaPlaylistTemplate.map((item) => {
-              if (item.includes('#EXTINF:')) {
-                segmentItemList.push(item);
-              }
-            });
-            if (segmentItemList.length == this.maxSegmentNum_) {
-              bufferFull = true;
-              const oldItem = segmentItemList.shift();
-              mediaPlaylistTemplate.splice(mediaPlaylistTemplate.indexOf(oldItem), 1);
-
-              // Delete respective file really also, not just manifest item
-              let oldFilename = this.resultPath_ + pathSuffix + oldItem.split('\n').pop();
-              fs.unlinkSync(oldFilename);
-
-              // get the name of first item now to update media sequence
-              segmentItemList.push(segmentTemplate);
-
-              let regEx = RegExp(/#EXT-X-MEDIA-SEQUENCE:\d+/i);
-              let oldSequenceNumber = parseInt((regEx.exec(mediaPlaylistTemplate[0])[0]).replace(/^\D+/g, ''));
-              let newSequenceNumber = oldSequenceNumber + 1;
-              const mediaSequenceStr = `#EXT-X-MEDIA-SEQUENCE:${newSequenceNumber}`;
-              let newItem = mediaPlaylistTemplate[0].replace(/#EXT-X-MEDIA-SEQUENCE:\d+/i, mediaSequenceStr);
-              mediaPlaylistTemplate[0] = newItem;
-            }
-
-            mediaPlaylistTemplate.push(segmentTemplate);
-            fs.writeFileSync(mediaPlaylistPath, mediaPlaylistTemplate.join('\n'));
-
-
-          } else {
+        let segmentFile = saveName;
+        if (hasInit) {
+          segmentFile = mergePath + pathSuffix + segmentName;
+          const status = await mergeFiles(
+            [savePath + pathSuffix + initFile, saveName], segmentFile);
+          if (!status) {
             logger.sp_error(filePath, "Failed to combine segments");
             throw new error(
               error.Severity.CRITICAL,
@@ -251,6 +275,50 @@ ${newSegmentUri}`;
               error.Code.SEGMENT_MANIPULATION_FAILED);
           }
         }
+
+        const resultName = converted + (hasInit ? ".mp4" : extension);
+        const resultFile = this.resultPath_ + pathSuffix + resultName;
+        if (track.key) {
+          // Decrypt the segment.
+          let decryptCommand = this.decryptScript_ + " " + track.keyId + " " +
+            track.key + " " + segmentFile + " " + resultFile + " " +
+            appRoot.path + " " + track.type;
+          if (shell.exec(decryptCommand).code !== 0) {
+            logger.sp_error(filePath, "Decrypting failed.");
+            throw new error(
+              error.Severity.CRITICAL,
+              error.Category.SEGMENT,
+              error.Code.SEGMENT_MANIPULATION_FAILED);
+          }
+          logger.sp_log(filePath, `${pathSuffix.slice(0, -1)} ${converted} Decrypted.`);
+        } else {
+          // Segments without DRM are published as they are.
+          fs.copyFileSync(segmentFile, resultFile);
+          logger.sp_log(filePath, `${pathSuffix.slice(0, -1)} ${converted} Copied.`);
+        }
+
+        // As soon as the new segments are decrypted and added, then
+        // update the media playlist also.
+
+        const segment = new hls_media_segment(resultName, segmentDuration);
+
+        // Check if the number of segments exceeds the max segment
+        // number.  If yes, then delete old ones.
+        if (mediaPlaylist.segments.length == this.maxSegmentNum_) {
+          bufferFull = true;
+          const oldSegment = mediaPlaylist.removeFirstSegment();
+
+          // Delete respective file really also, not just manifest item
+          fs.unlinkSync(this.resultPath_ + pathSuffix + oldSegment.uri);
+        }
+
+        mediaPlaylist.addSegment(segment);
+        fs.writeFileSync(mediaPlaylistPath, mediaPlaylist.toString());
+
+        if (segments == timelineSegments) {
+          this.publishCues_(converted + '.vtt', segments.startTimeList[i],
+            segmentDuration, segments.timestampOffsetList[i]);
+        }
       }
 
       // if processing period is less than segment update period defined in manifest,
@@ -265,23 +333,212 @@ ${newSegmentUri}`;
       }
     }
 
+    // Cues which ended before the last segment they go with are not needed
+    // anymore.
+    if (timelineSegments && timelineSegments.startTimeList.length > 1) {
+      const lastIndex = timelineSegments.startTimeList.length - 1;
+      const endTime = timelineSegments.startTimeList[lastIndex] +
+        timelineSegments.durationList[lastIndex];
+      for (const segments of this.textSegments_) {
+        const cues = segments.track.cues;
+        cues.splice(0, cues.length, ...cues.filter((c) => c.endTime > endTime));
+      }
+    }
+
     // Delete downloaded segments and combined ones.
-    fse.emptyDirSync(savePath + "audio");
-    fse.emptyDirSync(savePath + "video");
-    fse.emptyDirSync(mergePath + "audio");
-    fse.emptyDirSync(mergePath + "video");
+    for (const segments of [...this.trackSegments_, ...this.textSegments_]) {
+      fse.emptyDirSync(savePath + segments.track.path);
+      fse.emptyDirSync(mergePath + segments.track.path);
+    }
 
+    const lastSegmentURIs = this.lastSegmentURIs_;
     this.clearReference_();
 
-    return {
-      audio: lastAudioURI,
-      video: lastVideoURI
-    };
+    return lastSegmentURIs;
+  }
+
+  /**
+   * Gets the segments text tracks are cut on: the ones of the first video
+   * track, or of the first audio track, the default one, without video.
+   *
+   * @param {!Array.<segment_saver.TrackSegments>} trackSegments
+   * @return {?segment_saver.TrackSegments}
+   * @private
+   */
+  static timelineSegments_(trackSegments) {
+    return trackSegments.find((segments) => segments.track.type == 'video') ||
+      trackSegments.find((segments) => segments.track.type == 'audio') ||
+      null;
+  }
+
+  /**
+   * Downloads the segments of a text track and adds their cues to the ones of
+   * the track.
+   *
+   * @param {segment_saver.TrackSegments} segments
+   * @param {string} savePath
+   * @private
+   */
+  async loadCues_(segments, savePath) {
+    const track = segments.track;
+    const factory = text_engine.findParser(track.mimeType);
+    if (!factory) {
+      logger.sp_warn(filePath, 'No text parser for %s, %s is skipped.',
+        track.mimeType, track.path);
+      return;
+    }
+    const parser = factory();
+
+    for (let i = 0; i < segments.urisList.length; i++) {
+      // The first entry is the init segment, if there is one.
+      let data = i == 0 ? segments.initData : null;
+      if (!data && segments.urisList[i].length) {
+        const saveName = savePath + track.path + String(i).padStart(12, '0');
+        await network_engine.socks5_http_download_any(
+          this.orderUris_(segments.urisList[i]), saveName, proxyConf,
+          segments.rangeList[i]);
+        data = fs.readFileSync(saveName);
+      }
+      if (!data) {
+        continue;
+      }
+
+      if (i == 0) {
+        parser.parseInit(data);
+        continue;
+      }
+      const timestampOffset = segments.timestampOffsetList[i];
+      const cues = parser.parseMedia(data, {
+        periodStart: timestampOffset,
+        segmentStart: segments.startTimeList[i],
+        segmentEnd: segments.startTimeList[i] + segments.durationList[i],
+        vttOffset: timestampOffset,
+      });
+      track.cues.push(...cues);
+      this.lastSegmentURIs_[track.path] = segment_saver.segmentKey_(
+        segments.urisList[i][0], segments.rangeList[i]);
+    }
+    logger.sp_log(filePath, `${track.path.slice(0, -1)} ${track.cues.length} cue(s) buffered.`);
+  }
+
+  /**
+   * Publishes a WebVTT segment of each text track, with the cues of the time
+   * range of a video segment, or of an audio segment without video.
+   *
+   * @param {string} segmentName
+   * @param {number} startTime
+   * @param {number} duration
+   * @param {number} timestampOffset The one of the video or audio segment.
+   * @private
+   */
+  publishCues_(segmentName, startTime, duration, timestampOffset) {
+    const endTime = startTime + duration;
+    for (const segments of this.textSegments_) {
+      const track = segments.track;
+      const cues = track.cues.filter(
+        (c) => c.startTime < endTime && c.endTime > startTime);
+      fs.writeFileSync(this.resultPath_ + track.path + segmentName,
+        webvtt_generator.convert(cues, timestampOffset, startTime));
+
+      // Same window as the video media playlist.
+      const mediaPlaylist = track.mediaPlaylist;
+      if (mediaPlaylist.segments.length == this.maxSegmentNum_) {
+        const oldSegment = mediaPlaylist.removeFirstSegment();
+        fs.unlinkSync(this.resultPath_ + track.path + oldSegment.uri);
+      }
+      mediaPlaylist.addSegment(new hls_media_segment(segmentName, duration));
+      fs.writeFileSync(this.resultPath_ + track.path + track.playlistName,
+        mediaPlaylist.toString());
+    }
   }
 
   sleep_(millis) {
     return new Promise(resolve => setTimeout(resolve, millis));
   }
+
+  /**
+   * @param {init_segmentReference|segment_reference} ref
+   * @return {?{start: number, end: ?number}} The byte range of the reference
+   *   in its resource, or null if the reference covers the whole resource.
+   * @private
+   */
+  static byteRange_(ref) {
+    if (!ref.startByte && ref.endByte == null) {
+      return null;
+    }
+    return { start: ref.startByte, end: ref.endByte };
+  }
+
+  /**
+   * @param {string} uri
+   * @param {?{start: number, end: ?number}} range
+   * @return {string} A key which identifies a segment across manifest
+   *   updates, even when several segments share the same URI.
+   * @private
+   */
+  static segmentKey_(uri, range) {
+    return range ? uri + '#' + range.start + '-' + range.end : uri;
+  }
 }
 
+/**
+ * @typedef {{
+ *   type: string,
+ *   path: string,
+ *   segmentIndex: segment_index,
+ *   mediaPlaylist: !hls_media_playlist,
+ *   playlistName: string,
+ *   key: ?string,
+ *   keyId: ?string,
+ *   mimeType: (string|undefined),
+ *   cues: (Array.<cue>|undefined)
+ * }}
+ *
+ * @description
+ * A rendition to download and publish.
+ *
+ * @property {string} type
+ *   The type of the stream, 'audio' or 'video', which is decrypted, or
+ *   'text', which is converted to WebVTT.
+ * @property {string} path
+ *   Where the files of the track go, relative to the download, merge and
+ *   result paths, e.g. 'video/' or 'video/3/'.
+ * @property {segment_index} segmentIndex
+ *   The segments of the track.
+ * @property {!hls_media_playlist} mediaPlaylist
+ *   The decrypted segments are appended to it, and it is written after each
+ *   of them.
+ * @property {string} playlistName
+ *   The file name of the media playlist.
+ * @property {?string} key
+ *   The decryption key, or null if the track is not encrypted.  Segments of
+ *   tracks without key are published as they are, merged with their init
+ *   segment if they have one.
+ * @property {?string} keyId
+ *   The key id.
+ * @property {(string|undefined)} mimeType
+ *   The full MIME type of a text track, which picks its text parser.
+ * @property {(Array.<cue>|undefined)} cues
+ *   The cues of a text track which are yet to be published.  They are kept
+ *   by the caller from one call of download_segments() to the next one.
+ */
+segment_saver.Track;
+
+/**
+ * @typedef {{
+ *   track: segment_saver.Track,
+ *   urisList: !Array.<!Array.<string>>,
+ *   rangeList: !Array.<?{start: number, end: ?number}>,
+ *   durationList: !Array.<number>,
+ *   startTimeList: !Array.<number>,
+ *   timestampOffsetList: !Array.<number>,
+ *   initData: BufferSource
+ * }}
+ *
+ * @description
+ * The segments of a track to process, the first one is its init segment.
+ * @private
+ */
+segment_saver.TrackSegments;
+
 export default segment_saver;
\ No newline at end of file
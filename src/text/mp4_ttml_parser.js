@@ -0,0 +1,94 @@
+import logger from '../util/sp_logger.js';
+import text_engine from './text_engine.js';
+import ttml_text_parser from './ttml_text_parser.js';
+import error from '../util/error.js';
+import mp4parser from '../util/mp4parser.js';
+
+const filePath = import.meta.url;
+
+/**
+ * Parses TTML in ISO BMFF (ISO/IEC 14496-30) segments into cues.
+ *
+ * @implements {TextParser}
+ * @export
+ */
+class mp4_ttml_parser {
+  constructor() {
+    /**
+     * @type {!ttml_text_parser}
+     * @private
+     */
+    this.parser_ = new ttml_text_parser();
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  parseInit(data) {
+    let sawSTPP = false;
+
+    new mp4parser()
+      .box('moov', mp4parser.children)
+      .box('trak', mp4parser.children)
+      .box('mdia', mp4parser.children)
+      .box('minf', mp4parser.children)
+      .box('stbl', mp4parser.children)
+      .fullBox('stsd', mp4parser.sampleDescription)
+      .box('stpp', (box) => {
+        sawSTPP = true;
+        box.parser.stop();
+      }).parse(data);
+
+    if (!sawSTPP) {
+      logger.sp_error(filePath, 'Missing STPP box in TTML init segment.');
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.TEXT,
+        error.Code.INVALID_MP4_TTML);
+    }
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  setSequenceMode(sequenceMode) {
+    // Unused.
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  parseMedia(data, time) {
+    let sawMDAT = false;
+    let payload = [];
+
+    new mp4parser()
+      .box('mdat', mp4parser.allData((data) => {
+        sawMDAT = true;
+        // Join this to any previous payload, in case the mp4 has multiple
+        // mdats.
+        payload = payload.concat(this.parser_.parseMedia(data, time));
+      })).parse(data, /* partialOkay= */ false);
+
+    if (!sawMDAT) {
+      logger.sp_error(filePath, 'Missing MDAT box in TTML segment.');
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.TEXT,
+        error.Code.INVALID_MP4_TTML);
+    }
+
+    return payload;
+  }
+}
+
+text_engine.registerParser('application/mp4; codecs="stpp"', () => new mp4_ttml_parser());
+text_engine.registerParser('application/mp4; codecs="stpp.ttml"', () => new mp4_ttml_parser());
+text_engine.registerParser('application/mp4; codecs="stpp.ttml.im1t"', () => new mp4_ttml_parser());
+text_engine.registerParser('application/mp4; codecs="stpp.ttml.im2t"', () => new mp4_ttml_parser());
+text_engine.registerParser('application/mp4; codecs="stpp.TTML.im1t"', () => new mp4_ttml_parser());
+
+export default mp4_ttml_parser;
@@ -0,0 +1,291 @@
+import assert from 'assert';
+import logger from '../util/sp_logger.js';
+import { cue } from './cue.js';
+import text_engine from './text_engine.js';
+import vtt_text_parser from './vtt_text_parser.js';
+import error from '../util/error.js';
+import mp4parser from '../util/mp4parser.js';
+import string_utils from '../util/string_utils.js';
+
+const filePath = import.meta.url;
+
+/**
+ * Parses WebVTT in ISO BMFF (ISO/IEC 14496-30) segments into cues.
+ *
+ * @implements {TextParser}
+ * @export
+ */
+class mp4_vtt_parser {
+  constructor() {
+    /**
+     * The current time scale used by the VTT parser.
+     *
+     * @type {?number}
+     * @private
+     */
+    this.timescale_ = null;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  parseInit(data) {
+    let sawWVTT = false;
+
+    new mp4parser()
+      .box('moov', mp4parser.children)
+      .box('trak', mp4parser.children)
+      .box('mdia', mp4parser.children)
+      .fullBox('mdhd', (box) => {
+        assert(
+          box.version == 0 || box.version == 1,
+          'MDHD version can only be 0 or 1');
+        // Skip the creation and modification times.
+        box.reader.skip(box.version == 0 ? 8 : 16);
+        this.timescale_ = box.reader.readUint32();
+      })
+      .box('minf', mp4parser.children)
+      .box('stbl', mp4parser.children)
+      .fullBox('stsd', mp4parser.sampleDescription)
+      .box('wvtt', (box) => {
+        // A valid vtt init segment, though we have no actual subtitles yet.
+        sawWVTT = true;
+      }).parse(data);
+
+    if (!this.timescale_) {
+      // Missing timescale for VTT content. It should be located in the MDHD.
+      logger.sp_error(filePath, 'Missing timescale for VTT content.');
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.TEXT,
+        error.Code.INVALID_MP4_VTT);
+    }
+
+    if (!sawWVTT) {
+      // A WVTT box should have been seen (a valid vtt init segment with no
+      // actual subtitles).
+      logger.sp_error(filePath, 'Missing WVTT box in VTT init segment.');
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.TEXT,
+        error.Code.INVALID_MP4_VTT);
+    }
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  setSequenceMode(sequenceMode) {
+    // Unused.
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  parseMedia(data, time) {
+    if (!this.timescale_) {
+      // Missing timescale for VTT content.  We should have seen the init
+      // segment.
+      logger.sp_error(filePath, 'No init segment for MP4+VTT!');
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.TEXT,
+        error.Code.INVALID_MP4_VTT);
+    }
+
+    let baseTime = 0;
+    /** @type {!Array.<mp4_vtt_parser.Sample>} */
+    let samples = [];
+    /** @type {Uint8Array} */
+    let rawPayload;
+    let defaultDuration = null;
+    let defaultSize = null;
+
+    new mp4parser()
+      .box('moof', mp4parser.children)
+      .box('traf', mp4parser.children)
+      .fullBox('tfdt', (box) => {
+        assert(
+          box.version == 0 || box.version == 1,
+          'TFDT version can only be 0 or 1');
+        baseTime = box.version == 0 ?
+          box.reader.readUint32() : box.reader.readUint64();
+      })
+      .fullBox('tfhd', (box) => {
+        assert(box.flags != null, 'A TFHD box should have a valid flags value');
+        // Skip the track id.
+        box.reader.skip(4);
+        if (box.flags & 0x000001) {
+          // Skip the base data offset.
+          box.reader.skip(8);
+        }
+        if (box.flags & 0x000002) {
+          // Skip the sample description index.
+          box.reader.skip(4);
+        }
+        if (box.flags & 0x000008) {
+          defaultDuration = box.reader.readUint32();
+        }
+        if (box.flags & 0x000010) {
+          defaultSize = box.reader.readUint32();
+        }
+      })
+      .fullBox('trun', (box) => {
+        assert(box.version != null, 'A TRUN box should have a valid version value');
+        assert(box.flags != null, 'A TRUN box should have a valid flags value');
+        samples = mp4_vtt_parser.parseTRUN_(box);
+      })
+      .box('mdat', mp4parser.allData((data) => {
+        rawPayload = data;
+      })).parse(data, /* partialOkay= */ false);
+
+    if (!rawPayload) {
+      logger.sp_error(filePath, 'Missing MDAT box in VTT segment.');
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.TEXT,
+        error.Code.INVALID_MP4_VTT);
+    }
+
+    const cues = [];
+    let currentTime = baseTime;
+    let offset = 0;
+    for (const sample of samples) {
+      const duration = sample.duration == null ? defaultDuration : sample.duration;
+      const size = sample.size == null ? defaultSize : sample.size;
+      if (duration == null || size == null) {
+        logger.sp_error(filePath, 'WVTT sample duration or size unknown.');
+        throw new error(
+          error.Severity.CRITICAL,
+          error.Category.TEXT,
+          error.Code.INVALID_MP4_VTT);
+      }
+
+      const startTime = currentTime + (sample.timeOffset || 0);
+      currentTime += duration;
+      const sampleData = rawPayload.subarray(offset, offset + size);
+      offset += size;
+
+      // Parse each cue of the sample, an empty sample (vtte) has none.
+      new mp4parser()
+        .box('vttc', mp4parser.allData((data) => {
+          const parsed = mp4_vtt_parser.parseVTTC_(data,
+            time.periodStart + startTime / this.timescale_,
+            time.periodStart + (startTime + duration) / this.timescale_);
+          if (parsed) {
+            cues.push(parsed);
+          }
+        })).parse(sampleData, /* partialOkay= */ false);
+    }
+    return cues;
+  }
+
+  /**
+   * @param {!ParsedBox} box
+   * @return {!Array.<mp4_vtt_parser.Sample>}
+   * @private
+   */
+  static parseTRUN_(box) {
+    const sampleCount = box.reader.readUint32();
+    if (box.flags & 0x000001) {
+      // Skip the data offset.
+      box.reader.skip(4);
+    }
+    if (box.flags & 0x000004) {
+      // Skip the first sample flags.
+      box.reader.skip(4);
+    }
+
+    const samples = [];
+    for (let i = 0; i < sampleCount; i++) {
+      /** @type {mp4_vtt_parser.Sample} */
+      const sample = {
+        duration: null,
+        size: null,
+        timeOffset: null,
+      };
+      if (box.flags & 0x000100) {
+        sample.duration = box.reader.readUint32();
+      }
+      if (box.flags & 0x000200) {
+        sample.size = box.reader.readUint32();
+      }
+      if (box.flags & 0x000400) {
+        // Skip the sample flags.
+        box.reader.skip(4);
+      }
+      if (box.flags & 0x000800) {
+        sample.timeOffset = box.version == 0 ?
+          box.reader.readUint32() : box.reader.readInt32();
+      }
+      samples.push(sample);
+    }
+    return samples;
+  }
+
+  /**
+   * Parses a vttc box into a cue.
+   *
+   * @param {!Uint8Array} data
+   * @param {number} startTime
+   * @param {number} endTime
+   * @return {cue}
+   * @private
+   */
+  static parseVTTC_(data, startTime, endTime) {
+    let payload = null;
+    let id = '';
+    let settings = '';
+
+    new mp4parser()
+      .box('payl', mp4parser.allData((payl) => {
+        payload = string_utils.fromUTF8(payl);
+      }))
+      .box('iden', mp4parser.allData((iden) => {
+        id = string_utils.fromUTF8(iden);
+      }))
+      .box('sttg', mp4parser.allData((sttg) => {
+        settings = string_utils.fromUTF8(sttg);
+      })).parse(data);
+
+    if (!payload) {
+      return null;
+    }
+
+    const parsed = new cue(startTime, endTime, payload);
+    parsed.id = id;
+    for (const setting of settings.trim().split(/\s+/)) {
+      if (setting && !vtt_text_parser.parseCueSetting(parsed, setting)) {
+        logger.sp_warn(filePath, 'WVTT parser encountered an invalid VTT setting:',
+          setting, ' The setting will be ignored.');
+      }
+    }
+    return parsed;
+  }
+}
+
+/**
+ * @typedef {{
+ *    duration: ?number,
+ *    size: ?number,
+ *    timeOffset: ?number
+ * }}
+ *
+ * @property {?number} duration
+ *    The length of the sample in timescale units, or null to use the default
+ *    one of the track fragment.
+ * @property {?number} size
+ *    The size of the sample in bytes, or null to use the default one of the
+ *    track fragment.
+ * @property {?number} timeOffset
+ *    The time since the beginning of the segment when the sample should start,
+ *    in timescale units.
+ */
+mp4_vtt_parser.Sample;
+
+text_engine.registerParser('application/mp4; codecs="wvtt"', () => new mp4_vtt_parser());
+
+export default mp4_vtt_parser;
@@ -0,0 +1,275 @@
+import logger from '../util/sp_logger.js';
+import { cue } from './cue.js';
+import text_engine from './text_engine.js';
+import error from '../util/error.js';
+import string_utils from '../util/string_utils.js';
+import xml_utils from '../util/xml_utils.js';
+import { node_constants } from '../constants/node_consts.js';
+
+const filePath = import.meta.url;
+
+/**
+ * Parses TTML documents into cues.
+ *
+ * Only the timing and the text of paragraphs are kept.  Line breaks become
+ * newlines, and italic, bold and underlined spans become the matching WebVTT
+ * tags, so payloads are WebVTT cue text like the ones of vtt_text_parser.
+ *
+ * @implements {TextParser}
+ * @export
+ */
+class ttml_text_parser {
+  /**
+   * @override
+   * @export
+   */
+  parseInit(data) {
+    logger.sp_error(filePath, 'TTML does not have init segments');
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  setSequenceMode(sequenceMode) {
+    // Unused.
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  parseMedia(data, time) {
+    const str = string_utils.fromUTF8(data);
+    // An empty segment has no cues.
+    if (!str.trim()) {
+      return [];
+    }
+
+    // The root element may come with a namespace prefix, e.g. "tt:tt".
+    const rootName = /<((?:[\w-]+:)?tt)[\s>/]/.exec(str);
+    const tt = rootName ? xml_utils.parseXmlString(str, rootName[1]) : null;
+    if (!tt) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.TEXT,
+        error.Code.INVALID_XML,
+        'Failed to parse TTML.');
+    }
+
+    const rateInfo = ttml_text_parser.getRateInfo_(tt);
+    const body = ttml_text_parser.findChildren_(tt, 'body')[0];
+    if (!body) {
+      return [];
+    }
+
+    const cues = [];
+    ttml_text_parser.parseElement_(body, time.periodStart, Infinity, rateInfo,
+      cues);
+    return cues;
+  }
+
+  /**
+   * Collects the cues of the paragraphs of an element and its descendants.
+   *
+   * @param {!Element} elem
+   * @param {number} parentStart
+   * @param {number} parentEnd
+   * @param {ttml_text_parser.RateInfo} rateInfo
+   * @param {!Array.<!cue>} cues
+   * @private
+   */
+  static parseElement_(elem, parentStart, parentEnd, rateInfo, cues) {
+    const begin = ttml_text_parser.parseTime_(elem.getAttribute('begin'), rateInfo);
+    const end = ttml_text_parser.parseTime_(elem.getAttribute('end'), rateInfo);
+    const dur = ttml_text_parser.parseTime_(elem.getAttribute('dur'), rateInfo);
+
+    // Times are relative to the parent element.
+    const start = parentStart + (begin || 0);
+    let stop = parentEnd;
+    if (end != null) {
+      stop = Math.min(parentEnd, parentStart + end);
+    } else if (dur != null) {
+      stop = Math.min(parentEnd, start + dur);
+    }
+
+    if (elem.localName == 'p') {
+      const payload = ttml_text_parser.getPayload_(elem).trim();
+      if (payload && stop != Infinity) {
+        const parsed = new cue(start, stop, payload);
+        parsed.id = elem.getAttribute('xml:id') || '';
+        cues.push(parsed);
+      } else if (payload) {
+        logger.sp_warn(filePath, 'TTML paragraph without an end time skipped:',
+          payload);
+      }
+      return;
+    }
+
+    for (const child of ttml_text_parser.getChildElements_(elem)) {
+      ttml_text_parser.parseElement_(child, start, stop, rateInfo, cues);
+    }
+  }
+
+  /**
+   * Gets the text of an element as WebVTT cue text.
+   *
+   * @param {!Node} node
+   * @return {string}
+   * @private
+   */
+  static getPayload_(node) {
+    let payload = '';
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType == node_constants.text_node ||
+        child.nodeType == node_constants.cdata_section_node) {
+        // Whitespace is collapsed, like with xml:space="default".
+        payload += child.textContent.replace(/\s+/g, ' ')
+          .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      } else if (child.localName == 'br') {
+        payload += '\n';
+      } else if (child.localName == 'span') {
+        let text = ttml_text_parser.getPayload_(child);
+        const style = (name) => child.getAttributeNS(
+          ttml_text_parser.styleNs_, name) || child.getAttribute('tts:' + name);
+        if (style('fontStyle') == 'italic') {
+          text = '<i>' + text + '</i>';
+        }
+        if (style('fontWeight') == 'bold') {
+          text = '<b>' + text + '</b>';
+        }
+        if ((style('textDecoration') || '').includes('underline')) {
+          text = '<u>' + text + '</u>';
+        }
+        payload += text;
+      }
+    }
+    // No spaces around line breaks.
+    return payload.replace(/ *\n */g, '\n');
+  }
+
+  /**
+   * @param {!Element} elem
+   * @return {!Array.<!Element>} The child elements of the element.
+   * @private
+   */
+  static getChildElements_(elem) {
+    return Array.from(elem.childNodes).filter(
+      (child) => child.nodeType == node_constants.element_node);
+  }
+
+  /**
+   * @param {!Element} elem
+   * @param {string} name
+   * @return {!Array.<!Element>} The children of the element named name,
+   *   whatever their namespace prefix is.
+   * @private
+   */
+  static findChildren_(elem, name) {
+    return ttml_text_parser.getChildElements_(elem).filter(
+      (child) => child.localName == name);
+  }
+
+  /**
+   * @param {!Element} tt
+   * @return {ttml_text_parser.RateInfo}
+   * @private
+   */
+  static getRateInfo_(tt) {
+    const parameter = (name) => tt.getAttributeNS(
+      ttml_text_parser.parameterNs_, name) || tt.getAttribute('ttp:' + name);
+
+    const frameRate = Number(parameter('frameRate')) || 30;
+    let multiplier = 1;
+    const frameRateMultiplier = parameter('frameRateMultiplier');
+    if (frameRateMultiplier) {
+      const numbers = frameRateMultiplier.split(' ').map(Number);
+      if (numbers.length == 2 && numbers[1]) {
+        multiplier = numbers[0] / numbers[1];
+      }
+    }
+    const effectiveFrameRate = frameRate * multiplier;
+
+    return {
+      frameRate: effectiveFrameRate,
+      subFrameRate: Number(parameter('subFrameRate')) || 1,
+      // Ticks default to frames.
+      tickRate: Number(parameter('tickRate')) || effectiveFrameRate,
+    };
+  }
+
+  /**
+   * Parses a TTML time expression.
+   *
+   * @param {?string} text
+   * @param {ttml_text_parser.RateInfo} rateInfo
+   * @return {?number} The time in seconds, or null if there is none or it is
+   *   invalid.
+   * @private
+   */
+  static parseTime_(text, rateInfo) {
+    if (!text) {
+      return null;
+    }
+
+    let results = null;
+    // Clock time, e.g. "01:02:03.5", or with frames, e.g. "01:02:03:15.1".
+    if ((results = /^(\d{2,}):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(text))) {
+      return Number(results[1]) * 3600 + Number(results[2]) * 60 +
+        Number(results[3]);
+    }
+    if ((results = /^(\d{2,}):(\d{2}):(\d{2}):(\d{2,})(?:\.(\d+))?$/.exec(text))) {
+      return Number(results[1]) * 3600 + Number(results[2]) * 60 +
+        Number(results[3]) + (Number(results[4]) +
+          (Number(results[5]) || 0) / rateInfo.subFrameRate) / rateInfo.frameRate;
+    }
+
+    // Offset time, e.g. "10s", "100ms" or "360000t".
+    if ((results = /^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/.exec(text))) {
+      const value = Number(results[1]);
+      switch (results[2]) {
+        case 'h': return value * 3600;
+        case 'm': return value * 60;
+        case 's': return value;
+        case 'ms': return value / 1000;
+        case 'f': return value / rateInfo.frameRate;
+        case 't': return value / rateInfo.tickRate;
+      }
+    }
+
+    logger.sp_warn(filePath, 'Invalid TTML time expression:', text);
+    return null;
+  }
+}
+
+/**
+ * @const {string}
+ * @private
+ */
+ttml_text_parser.parameterNs_ = 'http://www.w3.org/ns/ttml#parameter';
+
+/**
+ * @const {string}
+ * @private
+ */
+ttml_text_parser.styleNs_ = 'http://www.w3.org/ns/ttml#styling';
+
+/**
+ * @typedef {{
+ *   frameRate: number,
+ *   subFrameRate: number,
+ *   tickRate: number
+ * }}
+ *
+ * @property {number} frameRate
+ *   The number of frames per second, the multiplier applied.
+ * @property {number} subFrameRate
+ *   The number of sub-frames per frame.
+ * @property {number} tickRate
+ *   The number of ticks per second.
+ */
+ttml_text_parser.RateInfo;
+
+text_engine.registerParser('application/ttml+xml', () => new ttml_text_parser());
+
+export default ttml_text_parser;
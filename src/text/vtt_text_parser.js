@@ -0,0 +1,204 @@
+import logger from '../util/sp_logger.js';
+import { cue } from './cue.js';
+import text_engine from './text_engine.js';
+import error from '../util/error.js';
+import string_utils from '../util/string_utils.js';
+
+const filePath = import.meta.url;
+
+/**
+ * Parses WebVTT files and segments into cues.
+ *
+ * Cue payloads are kept as WebVTT cue text, tags included, so that they can
+ * be written out again as they are.
+ *
+ * @implements {TextParser}
+ * @export
+ */
+class vtt_text_parser {
+  constructor() {
+    /** @private {boolean} */
+    this.sequenceMode_ = false;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  parseInit(data) {
+    logger.sp_error(filePath, 'VTT does not have init segments');
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  setSequenceMode(sequenceMode) {
+    this.sequenceMode_ = sequenceMode;
+  }
+
+  /**
+   * @override
+   * @export
+   */
+  parseMedia(data, time) {
+    // Get the input as a string.  Normalize newlines to \n.
+    let str = string_utils.fromUTF8(data);
+    str = str.replace(/\r\n|\r(?=[^\n]|$)/gm, '\n');
+    const blocks = str.split(/\n{2,}/m);
+
+    if (!/^WEBVTT($|[ \t\n])/m.test(blocks[0])) {
+      throw new error(
+        error.Severity.CRITICAL,
+        error.Category.TEXT,
+        error.Code.INVALID_TEXT_HEADER);
+    }
+
+    // Cue times are relative to the vttOffset, unless the header maps them to
+    // MPEG-2 timestamps, like in HLS.
+    let offset = time.vttOffset;
+    if (blocks[0].includes('X-TIMESTAMP-MAP')) {
+      const local = blocks[0].match(/LOCAL:((?:(\d{1,}):)?(\d{2}):(\d{2})\.(\d{3}))/m);
+      const mpegts = blocks[0].match(/MPEGTS:(\d+)/m);
+      if (local && mpegts) {
+        const localTime = vtt_text_parser.parseTime_(local[1]);
+        if (localTime == null) {
+          throw new error(
+            error.Severity.CRITICAL,
+            error.Category.TEXT,
+            error.Code.INVALID_TEXT_HEADER);
+        }
+        offset = time.periodStart + Number(mpegts[1]) / 90000 - localTime;
+      }
+    }
+
+    const cues = [];
+    for (const block of blocks.slice(1)) {
+      const lines = block.split('\n');
+      const parsed = vtt_text_parser.parseCue_(lines, offset);
+      if (parsed) {
+        cues.push(parsed);
+      }
+    }
+    return cues;
+  }
+
+  /**
+   * Parses a text block into a cue.
+   *
+   * @param {!Array.<string>} text
+   * @param {number} timeOffset
+   * @return {cue} The cue, or null if the block isn't a cue.
+   * @private
+   */
+  static parseCue_(text, timeOffset) {
+    // Skip empty blocks, comments, style and region definitions.
+    if ((text.length == 1 && !text[0]) || /^NOTE($|[ \t])/.test(text[0]) ||
+      text[0] == 'STYLE' || text[0] == 'REGION') {
+      return null;
+    }
+
+    let id = '';
+    if (!text[0].includes('-->')) {
+      id = text[0];
+      text.splice(0, 1);
+    }
+
+    // Parse the times.
+    const match = /^(\S+)[ \t]+-->[ \t]+(\S+)(.*)$/.exec(text[0] || '');
+    if (!match) {
+      logger.sp_warn(filePath, 'Failed to parse VTT time code. Cue skipped:', id,
+        text.join('\n'));
+      return null;
+    }
+    let start = vtt_text_parser.parseTime_(match[1]);
+    let end = vtt_text_parser.parseTime_(match[2]);
+    if (start == null || end == null) {
+      logger.sp_warn(filePath, 'Failed to parse VTT time code. Cue skipped:', id,
+        text.join('\n'));
+      return null;
+    }
+    start += timeOffset;
+    end += timeOffset;
+
+    const payload = text.slice(1).join('\n').trim();
+    const parsed = new cue(start, end, payload);
+    parsed.id = id;
+
+    for (const setting of match[3].trim().split(/\s+/)) {
+      if (setting && !vtt_text_parser.parseCueSetting(parsed, setting)) {
+        logger.sp_warn(filePath, 'VTT parser encountered an invalid VTT setting:',
+          setting, ' The setting will be ignored.');
+      }
+    }
+    return parsed;
+  }
+
+  /**
+   * Parses a WebVTT cue setting and applies it to the cue.
+   *
+   * @param {!cue} parsed
+   * @param {string} setting
+   * @return {boolean} True on success.
+   * @export
+   */
+  static parseCueSetting(parsed, setting) {
+    let results = null;
+    if ((results = /^align:(start|middle|center|end|left|right)$/.exec(setting))) {
+      parsed.textAlign = results[1] == 'middle' ?
+        cue.textAlign.CENTER : results[1];
+    } else if ((results = /^vertical:(lr|rl)$/.exec(setting))) {
+      parsed.writingMode = results[1] == 'lr' ?
+        cue.writingMode.VERTICAL_LEFT_TO_RIGHT :
+        cue.writingMode.VERTICAL_RIGHT_TO_LEFT;
+    } else if ((results = /^size:([\d.]+)%$/.exec(setting))) {
+      parsed.size = Number(results[1]);
+    } else if ((results = /^position:([\d.]+)%(?:,(line-left|line-right|center|auto))?$/
+      .exec(setting))) {
+      parsed.position = Number(results[1]);
+      if (results[2]) {
+        parsed.positionAlign = results[2];
+      }
+    } else if ((results = /^line:(-?[\d.]+)(%)?(?:,(start|end|center))?$/.exec(setting))) {
+      parsed.line = Number(results[1]);
+      parsed.lineInterpretation = results[2] ?
+        cue.lineInterpretation.PERCENTAGE : cue.lineInterpretation.LINE_NUMBER;
+      if (results[3]) {
+        parsed.lineAlign = results[3];
+      }
+    } else if (/^region:/.test(setting)) {
+      // Regions aren't kept.
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Parses a WebVTT time, e.g. "01:02:03.456" or "02:03.456".
+   *
+   * @param {string} text
+   * @return {?number} The time in seconds, or null if it is invalid.
+   * @private
+   */
+  static parseTime_(text) {
+    const results = /^(?:(\d{1,}):)?(\d{2}):(\d{2})\.(\d{3})$/.exec(text);
+    if (results == null) {
+      return null;
+    }
+    const hours = Number(results[1]) || 0;
+    const minutes = Number(results[2]);
+    const seconds = Number(results[3]);
+    const milliseconds = Number(results[4]);
+    if (minutes > 59 || seconds > 59) {
+      return null;
+    }
+    return (milliseconds / 1000) + seconds + (minutes * 60) + (hours * 3600);
+  }
+}
+
+text_engine.registerParser('text/vtt', () => new vtt_text_parser());
+text_engine.registerParser('text/vtt; codecs="vtt"', () => new vtt_text_parser());
+text_engine.registerParser('text/vtt; codecs="wvtt"', () => new vtt_text_parser());
+
+export default vtt_text_parser;
@@ -0,0 +1,108 @@
+import { cue } from './cue.js';
+
+/**
+ * Writes cues as WebVTT segments of HLS subtitle renditions.
+ *
+ * Cue payloads are written as they are, so they must be WebVTT cue text, as
+ * the text parsers return them.
+ *
+ * @export
+ */
+class webvtt_generator {
+  /**
+   * Converts cues into a WebVTT segment.
+   *
+   * The times of the segment are media times, i.e. the presentation times of
+   * the cues minus timestampOffset, and the X-TIMESTAMP-MAP header maps them
+   * to the 90kHz timestamps of the media the segment goes with.
+   *
+   * @param {!Array.<!cue>} cues
+   * @param {number} timestampOffset The offset from media times to
+   *   presentation times, of the media the segment goes with.
+   * @param {number} startTime The presentation time the header maps, usually
+   *   the start of the segment.
+   * @return {string}
+   * @export
+   */
+  static convert(cues, timestampOffset, startTime) {
+    const mediaStartTime = Math.max(0, startTime - timestampOffset);
+    // MPEG-2 timestamps are 33 bits long, they wrap around after ~26.5 hours.
+    const mpegts = Math.round(mediaStartTime * 90000) % Math.pow(2, 33);
+
+    let webvtt = 'WEBVTT\n';
+    webvtt += 'X-TIMESTAMP-MAP=MPEGTS:' + mpegts + ',LOCAL:' +
+      webvtt_generator.formatTime_(mediaStartTime) + '\n\n';
+
+    for (const parsed of cues) {
+      if (parsed.id) {
+        webvtt += parsed.id + '\n';
+      }
+      webvtt +=
+        webvtt_generator.formatTime_(parsed.startTime - timestampOffset) +
+        ' --> ' +
+        webvtt_generator.formatTime_(parsed.endTime - timestampOffset);
+      const settings = webvtt_generator.getSettings_(parsed);
+      if (settings) {
+        webvtt += ' ' + settings;
+      }
+      webvtt += '\n' + parsed.payload + '\n\n';
+    }
+    return webvtt;
+  }
+
+  /**
+   * @param {!cue} parsed
+   * @return {string} The WebVTT settings of the cue, separated by spaces.
+   * @private
+   */
+  static getSettings_(parsed) {
+    const settings = [];
+    if (parsed.textAlign != cue.textAlign.CENTER) {
+      settings.push('align:' + parsed.textAlign);
+    }
+    if (parsed.writingMode == cue.writingMode.VERTICAL_LEFT_TO_RIGHT) {
+      settings.push('vertical:lr');
+    } else if (parsed.writingMode == cue.writingMode.VERTICAL_RIGHT_TO_LEFT) {
+      settings.push('vertical:rl');
+    }
+    if (parsed.line != null) {
+      let line = 'line:' + parsed.line;
+      if (parsed.lineInterpretation == cue.lineInterpretation.PERCENTAGE) {
+        line += '%';
+      }
+      if (parsed.lineAlign != cue.lineAlign.START) {
+        line += ',' + parsed.lineAlign;
+      }
+      settings.push(line);
+    }
+    if (parsed.position != null) {
+      let position = 'position:' + parsed.position + '%';
+      if (parsed.positionAlign != cue.positionAlign.AUTO) {
+        position += ',' + parsed.positionAlign;
+      }
+      settings.push(position);
+    }
+    if (parsed.size) {
+      settings.push('size:' + parsed.size + '%');
+    }
+    return settings.join(' ');
+  }
+
+  /**
+   * @param {number} time In seconds.
+   * @return {string} The time as a WebVTT timestamp, e.g. "01:02:03.456".
+   * @private
+   */
+  static formatTime_(time) {
+    const milliseconds = Math.max(0, Math.round(time * 1000));
+    const hours = Math.floor(milliseconds / 3600000);
+    const minutes = Math.floor(milliseconds / 60000) % 60;
+    const seconds = Math.floor(milliseconds / 1000) % 60;
+    return String(hours).padStart(2, '0') + ':' +
+      String(minutes).padStart(2, '0') + ':' +
+      String(seconds).padStart(2, '0') + '.' +
+      String(milliseconds % 1000).padStart(3, '0');
+  }
+}
+
+export default webvtt_generator;
@@ -0,0 +1,243 @@
+import logger from './sp_logger.js';
+
+const filePath = import.meta.url;
+
+/**
+ * Decodes the audio channel configurations of manifests into a number of
+ * channels and the speakers they are meant for.
+ *
+ * Speakers are named after the positions of ISO/IEC 23091-3 (CICP), e.g. 'L',
+ * 'R', 'C', 'LFE', 'Ls', 'Rs', or after the scheme's own names where CICP has
+ * no equivalent.
+ */
+class audio_channel_utils {
+  /**
+   * Decodes the value of an AudioChannelConfiguration descriptor.
+   *
+   * @param {string} schemeIdUri
+   * @param {string} value
+   * @return {?audio_channel_utils.ChannelConfiguration} The configuration, or
+   *   null if the scheme is unknown or the value is invalid.
+   * @export
+   */
+  static parse(schemeIdUri, value) {
+    const config = audio_channel_utils.decode_(schemeIdUri, value.trim());
+    if (config === undefined) {
+      logger.sp_warn(filePath, 'Unrecognized audio channel scheme:',
+        schemeIdUri, value);
+      return null;
+    }
+    if (!config) {
+      logger.sp_warn(filePath, 'Channel parsing failure! ' +
+        'Ignoring scheme and value', schemeIdUri, value);
+    }
+    return config;
+  }
+
+  /**
+   * @param {string} schemeIdUri
+   * @param {string} value
+   * @return {(?audio_channel_utils.ChannelConfiguration|undefined)} Undefined
+   *   if the scheme is unknown, null if the value is invalid.
+   * @private
+   */
+  static decode_(schemeIdUri, value) {
+    switch (schemeIdUri) {
+      case 'urn:mpeg:dash:outputChannelPositionList:2012':
+        // A space-separated list of CICP speaker positions.
+        return audio_channel_utils.fromLayout_(value.split(/\s+/).map(
+          (position) => audio_channel_utils.SPEAKER_POSITIONS_[position] ||
+            'P' + position));
+
+      case 'urn:mpeg:dash:23003:3:audio_channel_configuration:2011':
+      case 'urn:dts:dash:audio_channel_configuration:2012': {
+        // Only the number of channels, the layout isn't given.
+        const count = parseInt(value, 10);
+        return count > 0 ? { count: count, layout: null } : null;
+      }
+
+      // Defined by https://dashif.org/identifiers/audio_source_metadata/ and
+      // clause 8.2, in ISO/IEC 23001-8.
+      case 'urn:mpeg:mpegB:cicp:ChannelConfiguration': {
+        const index = parseInt(value, 10);
+        const count = audio_channel_utils.CICP_CHANNEL_COUNTS_[index];
+        if (!count) {
+          return null;
+        }
+        return {
+          count: count,
+          layout: audio_channel_utils.CICP_LAYOUTS_[index] || null,
+        };
+      }
+
+      case 'tag:dolby.com,2014:dash:audio_channel_configuration:2011':
+      case 'urn:dolby:dash:audio_channel_configuration:2011':
+        // The 16 bit channel map of (E-)AC-3, see ETSI TS 102 366 E.1.3.1.8.
+        // Its most significant bit is the first speaker.
+        return audio_channel_utils.fromMask_(value,
+          audio_channel_utils.DOLBY_CHANNEL_MAP_, /* width= */ 16);
+
+      case 'tag:dolby.com,2015:dash:audio_channel_configuration:2015':
+        // The 24 bit speaker group mask of AC-4, see ETSI TS 103 190-2 G.3.
+        return audio_channel_utils.fromMask_(value,
+          audio_channel_utils.AC4_SPEAKER_GROUPS_);
+
+      case 'tag:dts.com,2018:uhd:audio_channel_configuration':
+        // The 32 bit channel mask of DTS-UHD, see ETSI TS 103 491 B.2.
+        return audio_channel_utils.fromMask_(value,
+          audio_channel_utils.DTS_UHD_CHANNELS_);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * @param {!Array.<string>} layout
+   * @return {?audio_channel_utils.ChannelConfiguration}
+   * @private
+   */
+  static fromLayout_(layout) {
+    return layout.length ? { count: layout.length, layout: layout } : null;
+  }
+
+  /**
+   * @param {string} value A hex-encoded bit mask.
+   * @param {!Array.<!Array.<string>>} speakersByBit The speakers of each bit,
+   *   from the least significant one.
+   * @param {number=} width If given, speakersByBit starts from the most
+   *   significant bit of a mask this wide instead.
+   * @return {?audio_channel_utils.ChannelConfiguration}
+   * @private
+   */
+  static fromMask_(value, speakersByBit, width = 0) {
+    if (!/^[0-9a-f]+$/i.test(value)) {
+      return null;
+    }
+    // Too wide for 32 bit integer operations.
+    const mask = BigInt('0x' + value);
+    const layout = [];
+    speakersByBit.forEach((speakers, bit) => {
+      if (width) {
+        bit = width - 1 - bit;
+      }
+      if (mask & (1n << BigInt(bit))) {
+        layout.push(...speakers);
+      }
+    });
+    return audio_channel_utils.fromLayout_(layout);
+  }
+}
+
+/**
+ * The speakers of CICP speaker positions, see ISO/IEC 23091-3 table 9.
+ *
+ * @private
+ * @const {!Array.<string>}
+ */
+audio_channel_utils.SPEAKER_POSITIONS_ = [
+  'L', 'R', 'C', 'LFE', 'Ls', 'Rs', 'Lc', 'Rc', 'Lsr', 'Rsr', /* 0--9 */
+  'Cs', 'Lsd', 'Rsd', 'Lss', 'Rss', 'Lw', 'Rw', 'Lv', 'Rv', 'Cv', /* 10--19 */
+  'Lvr', 'Rvr', 'Cvr', 'Lvss', 'Rvss', 'Ts', 'LFE2', 'Lb', 'Rb', 'Cb', /* 20--29 */
+  'Lvs', 'Rvs', 'LFE3', /* 30--32 */
+];
+
+/**
+ * The number of channels of each CICP ChannelConfiguration, see ISO/IEC
+ * 23091-3 table 8.
+ *
+ * @private
+ * @const {!Array.<number>}
+ */
+audio_channel_utils.CICP_CHANNEL_COUNTS_ = [
+  0, 1, 2, 3, 4, 5, 6, 8, 2, 3, /* 0--9 */
+  4, 7, 8, 24, 8, 12, 10, 12, 14, 12, /* 10--19 */
+  14, /* 20 */
+];
+
+/**
+ * The speakers of each CICP ChannelConfiguration, in channel order.  Dual
+ * mono (8) has none, the ones which are missing aren't decoded yet.
+ *
+ * @private
+ * @const {!Object.<number, !Array.<string>>}
+ */
+audio_channel_utils.CICP_LAYOUTS_ = {
+  1: ['C'],
+  2: ['L', 'R'],
+  3: ['C', 'L', 'R'],
+  4: ['C', 'L', 'R', 'Cs'],
+  5: ['C', 'L', 'R', 'Ls', 'Rs'],
+  6: ['C', 'L', 'R', 'Ls', 'Rs', 'LFE'],
+  7: ['C', 'L', 'R', 'Lw', 'Rw', 'Ls', 'Rs', 'LFE'],
+  9: ['L', 'R', 'Cs'],
+  10: ['L', 'R', 'Ls', 'Rs'],
+  11: ['C', 'L', 'R', 'Ls', 'Rs', 'Cs', 'LFE'],
+  12: ['C', 'L', 'R', 'Ls', 'Rs', 'Lsr', 'Rsr', 'LFE'],
+  13: ['C', 'Lc', 'Rc', 'L', 'R', 'Lss', 'Rss', 'Lsr', 'Rsr', 'Cs', 'LFE',
+    'LFE2', 'Cv', 'Lv', 'Rv', 'Lvss', 'Rvss', 'Ts', 'Lvr', 'Rvr', 'Cvr', 'Cb',
+    'Lb', 'Rb'],
+  14: ['C', 'L', 'R', 'Ls', 'Rs', 'LFE', 'Lv', 'Rv'],
+  16: ['C', 'L', 'R', 'Ls', 'Rs', 'LFE', 'Lv', 'Rv', 'Lvr', 'Rvr'],
+  19: ['C', 'L', 'R', 'Lss', 'Rss', 'Lsr', 'Rsr', 'LFE', 'Lv', 'Rv', 'Lvr',
+    'Rvr'],
+};
+
+/**
+ * The speakers of the bits of the (E-)AC-3 channel map, from the most
+ * significant bit.
+ *
+ * @private
+ * @const {!Array.<!Array.<string>>}
+ */
+audio_channel_utils.DOLBY_CHANNEL_MAP_ = [
+  ['L'], ['C'], ['R'], ['Ls'], ['Rs'], ['Lc', 'Rc'], ['Lsr', 'Rsr'], ['Cs'],
+  ['Ts'], ['Lsd', 'Rsd'], ['Lw', 'Rw'], ['Lv', 'Rv'], ['Cv'], ['Lts', 'Rts'],
+  ['LFE2'], ['LFE'],
+];
+
+/**
+ * The speakers of the bits of the AC-4 speaker group mask, from the least
+ * significant bit.
+ *
+ * @private
+ * @const {!Array.<!Array.<string>>}
+ */
+audio_channel_utils.AC4_SPEAKER_GROUPS_ = [
+  ['L', 'R'], ['C'], ['Ls', 'Rs'], ['Lsr', 'Rsr'], ['Lv', 'Rv'],
+  ['Lvr', 'Rvr'], ['LFE'], ['Tl', 'Tr'], ['Tsl', 'Tsr'], ['Cv'], ['Cvr'],
+  ['Ts'], ['LFE2'], ['Lb', 'Rb'], ['Cb'], ['Cs'], ['Lscr', 'Rscr'],
+  ['Lw', 'Rw'],
+];
+
+/**
+ * The speakers of the bits of the DTS-UHD channel mask, from the least
+ * significant bit.
+ *
+ * @private
+ * @const {!Array.<!Array.<string>>}
+ */
+audio_channel_utils.DTS_UHD_CHANNELS_ = [
+  ['C'], ['L'], ['R'], ['Ls'], ['Rs'], ['LFE'], ['Cs'], ['Lsr'], ['Rsr'],
+  ['Lss'], ['Rss'], ['Lc'], ['Rc'], ['Lv'], ['Cv'], ['Rv'], ['LFE2'], ['Lw'],
+  ['Rw'], ['Ts'], ['Lvss'], ['Rvss'], ['Cvr'], ['Lvr'], ['Rvr'], ['Cb'],
+  ['Lb'], ['Rb'], ['LFE3'], ['Lls'], ['Rls'],
+];
+
+/**
+ * @typedef {{
+ *   count: number,
+ *   layout: Array.<string>
+ * }}
+ *
+ * @description
+ * An audio channel configuration.
+ *
+ * @property {number} count
+ *   The number of channels.
+ * @property {Array.<string>} layout
+ *   The speaker of each channel, or null if the configuration only gives the
+ *   number of channels.
+ */
+audio_channel_utils.ChannelConfiguration;
+
+export default audio_channel_utils;
@@ -23,6 +23,15 @@ class data_view_reader {
     return this.position_;
   }
 
+  /**
+   * Gets the byte length of the DataView.
+   * @return {number}
+   * @export
+   */
+  getLength() {
+    return this.dataView_.byteLength;
+  }
+
   /**
    * Reads an unsigned 8 bit integer, and advances the reader.
    * @return {number} The integer.
@@ -607,12 +607,70 @@ error.Code = {
   'HLS_VARIABLE_NOT_FOUND': 4039,
 
   /**
-   * We do not support playing encrypted mp2t with MSE
+   * We do not support encrypted media segments other than fragmented MP4,
+   * e.g. MPEG-2 TS, since they can not be decrypted.
+   * <br> error.data[0] is the URI of the media playlist.
    */
   'HLS_MSE_ENCRYPTED_MP2T_NOT_SUPPORTED': 4040,
 
   // RETIRED: 'HLS_MSE_ENCRYPTED_LEGACY_APPLE_MEDIA_KEYS_NOT_SUPPORTED': 4041,
 
+  /**
+   * An MPD patch could not be applied to the stored manifest, the manifest
+   * must be fetched in full.
+   * <br> error.data[0] is a description of the problem.
+   */
+  'DASH_INVALID_PATCH': 4042,
+
+  /**
+   * The Smooth Streaming manifest contained invalid XML markup.
+   * <br> error.data[0] is the URI associated with the XML.
+   */
+  'MSS_INVALID_XML': 4043,
+
+  /**
+   * A Smooth Streaming QualityLevel lacks the CodecPrivateData its init
+   * segment is generated from.
+   * <br> error.data[0] is the FourCC of the QualityLevel.
+   */
+  'MSS_MISSING_DATA_FOR_INIT_SEGMENT': 4044,
+
+  /**
+   * There is a gap or an overlap between a DASH Period and the next one.
+   */
+  'DASH_PERIOD_GAP': 4045,
+
+  /**
+   * The DASH Manifest's mediaPresentationDuration does not match the total
+   * duration of its Periods.
+   */
+  'DASH_DURATION_MISMATCH': 4046,
+
+  /**
+   * A DASH Period has no start time, so it and the Periods after it are
+   * skipped.
+   */
+  'DASH_PERIOD_WITHOUT_START': 4047,
+
+  /**
+   * The DASH Manifest contained a Representation with more than one of
+   * SegmentBase, SegmentList and SegmentTemplate.
+   */
+  'DASH_MULTIPLE_SEGMENT_INFO': 4048,
+
+  /**
+   * A DASH Preselection does not refer to an audio AdaptationSet as its main
+   * component, so it is skipped.
+   */
+  'DASH_INVALID_PRESELECTION': 4049,
+
+  /**
+   * The manifest was parsed in strict mode and has problems the parser would
+   * work around otherwise.
+   * <br> error.data[0] is the list of findings, see validation_report.Finding.
+   */
+  'MANIFEST_VALIDATION_FAILED': 4050,
+
 
   // RETIRED: 'INCONSISTENT_BUFFER_STATE': 5000,
   // RETIRED: 'INVALID_SEGMENT_INDEX': 5001,
@@ -331,6 +331,34 @@ class language_utils {
     return 'und';
   }
 
+  /**
+   * Get the English name of a locale, e.g. "Brazilian Portuguese" for
+   * "pt-BR", to show it to users.  Locales without a name are returned as
+   * they are.
+   *
+   * @param {string} locale
+   * @return {string}
+   * @export
+   */
+  static getDisplayName(locale) {
+    locale = language_utils.normalize(locale);
+    // Intl names 'und' after the root locale.
+    if (!locale || locale == 'und') {
+      return 'Undetermined';
+    }
+
+    try {
+      const displayNames = new Intl.DisplayNames(['en'], {
+        type: 'language',
+        fallback: 'code',
+      });
+      return displayNames.of(locale);
+    } catch (e) {
+      // Not a well-formed locale.
+      return locale;
+    }
+  }
+
   /**
    * Find the locale in |searchSpace| that comes closest to |target|. If no
    * locale is found to be close to |target|, then |null| will be returned.
@@ -0,0 +1,492 @@
+import assert from 'assert';
+import buffer_utils from './buffer_utils.js';
+import uint8array_utils from './uint8array_utils.js';
+
+/**
+ * Generates ISO BMFF init segments (ftyp and moov) for a single track of
+ * fragmented MP4, for manifests which carry the codec configuration instead
+ * of an init segment, e.g. Smooth Streaming.
+ */
+class mp4_generator {
+  /**
+   * @param {mp4_generator.StreamInfo} streamInfo
+   */
+  constructor(streamInfo) {
+    /** @private {mp4_generator.StreamInfo} */
+    this.streamInfo_ = streamInfo;
+  }
+
+  /**
+   * @return {!Uint8Array} The init segment of the track.
+   */
+  initSegment() {
+    const Mp4Generator = mp4_generator;
+    const ftyp = Mp4Generator.box_('ftyp',
+      Mp4Generator.string_('isom'),
+      Mp4Generator.uint32_(1),
+      Mp4Generator.string_('isom'),
+      Mp4Generator.string_('iso6'),
+      Mp4Generator.string_('mp41'));
+    return uint8array_utils.concat(ftyp, this.moov_());
+  }
+
+  /**
+   * @return {!Uint8Array}
+   * @private
+   */
+  moov_() {
+    const Mp4Generator = mp4_generator;
+    const psshs = this.streamInfo_.encrypted ? this.streamInfo_.psshs : [];
+    return Mp4Generator.box_('moov',
+      this.mvhd_(), this.trak_(), this.mvex_(), ...psshs);
+  }
+
+  /**
+   * @return {!Uint8Array}
+   * @private
+   */
+  mvhd_() {
+    const Mp4Generator = mp4_generator;
+    return Mp4Generator.fullBox_('mvhd', 0, 0,
+      Mp4Generator.uint32_(0), // creation_time
+      Mp4Generator.uint32_(0), // modification_time
+      Mp4Generator.uint32_(this.streamInfo_.timescale),
+      Mp4Generator.uint32_(this.duration_()),
+      Mp4Generator.uint32_(0x00010000), // rate 1.0
+      Mp4Generator.uint16_(0x0100), // volume 1.0
+      new Uint8Array(10), // reserved
+      Mp4Generator.MATRIX_,
+      new Uint8Array(24), // pre_defined
+      Mp4Generator.uint32_(this.streamInfo_.id + 1)); // next_track_ID
+  }
+
+  /**
+   * @return {!Uint8Array}
+   * @private
+   */
+  trak_() {
+    return mp4_generator.box_('trak', this.tkhd_(), this.mdia_());
+  }
+
+  /**
+   * @return {!Uint8Array}
+   * @private
+   */
+  tkhd_() {
+    const Mp4Generator = mp4_generator;
+    const isAudio = this.streamInfo_.type == 'audio';
+    return Mp4Generator.fullBox_('tkhd', 0, 0x000007, // enabled, in movie
+      Mp4Generator.uint32_(0), // creation_time
+      Mp4Generator.uint32_(0), // modification_time
+      Mp4Generator.uint32_(this.streamInfo_.id),
+      new Uint8Array(4), // reserved
+      Mp4Generator.uint32_(this.duration_()),
+      new Uint8Array(8), // reserved
+      Mp4Generator.uint16_(0), // layer
+      Mp4Generator.uint16_(0), // alternate_group
+      Mp4Generator.uint16_(isAudio ? 0x0100 : 0), // volume
+      new Uint8Array(2), // reserved
+      Mp4Generator.MATRIX_,
+      Mp4Generator.uint32_((this.streamInfo_.width || 0) * 0x10000),
+      Mp4Generator.uint32_((this.streamInfo_.height || 0) * 0x10000));
+  }
+
+  /**
+   * @return {!Uint8Array}
+   * @private
+   */
+  mdia_() {
+    const Mp4Generator = mp4_generator;
+    const isAudio = this.streamInfo_.type == 'audio';
+    const mdhd = Mp4Generator.fullBox_('mdhd', 0, 0,
+      Mp4Generator.uint32_(0), // creation_time
+      Mp4Generator.uint32_(0), // modification_time
+      Mp4Generator.uint32_(this.streamInfo_.timescale),
+      Mp4Generator.uint32_(this.duration_()),
+      Mp4Generator.uint16_(Mp4Generator.language_(this.streamInfo_.language)),
+      Mp4Generator.uint16_(0)); // pre_defined
+    const hdlr = Mp4Generator.fullBox_('hdlr', 0, 0,
+      Mp4Generator.uint32_(0), // pre_defined
+      Mp4Generator.string_(isAudio ? 'soun' : 'vide'),
+      new Uint8Array(12), // reserved
+      Mp4Generator.string_(isAudio ? 'SoundHandler' : 'VideoHandler'),
+      new Uint8Array(1)); // name terminator
+    return Mp4Generator.box_('mdia', mdhd, hdlr, this.minf_());
+  }
+
+  /**
+   * @return {!Uint8Array}
+   * @private
+   */
+  minf_() {
+    const Mp4Generator = mp4_generator;
+    const mediaHeader = this.streamInfo_.type == 'audio' ?
+      Mp4Generator.fullBox_('smhd', 0, 0,
+        Mp4Generator.uint16_(0), // balance
+        new Uint8Array(2)) : // reserved
+      Mp4Generator.fullBox_('vmhd', 0, 0x000001,
+        Mp4Generator.uint16_(0), // graphicsmode
+        new Uint8Array(6)); // opcolor
+
+    // The media data is in the fragments, the sample table is empty.
+    const dinf = Mp4Generator.box_('dinf',
+      Mp4Generator.fullBox_('dref', 0, 0,
+        Mp4Generator.uint32_(1), // entry_count
+        Mp4Generator.fullBox_('url ', 0, 0x000001))); // self-contained
+    const stbl = Mp4Generator.box_('stbl',
+      Mp4Generator.fullBox_('stsd', 0, 0,
+        Mp4Generator.uint32_(1), // entry_count
+        this.sampleEntry_()),
+      Mp4Generator.fullBox_('stts', 0, 0, Mp4Generator.uint32_(0)),
+      Mp4Generator.fullBox_('stsc', 0, 0, Mp4Generator.uint32_(0)),
+      Mp4Generator.fullBox_('stsz', 0, 0,
+        Mp4Generator.uint32_(0), Mp4Generator.uint32_(0)),
+      Mp4Generator.fullBox_('stco', 0, 0, Mp4Generator.uint32_(0)));
+
+    return Mp4Generator.box_('minf', mediaHeader, dinf, stbl);
+  }
+
+  /**
+   * @return {!Uint8Array}
+   * @private
+   */
+  sampleEntry_() {
+    const format = this.streamInfo_.codecs.split('.')[0];
+    if (format == 'avc1' || format == 'avc3') {
+      return this.avc1_(format);
+    }
+    assert(format == 'mp4a', 'Unsupported sample entry ' + format);
+    return this.mp4a_();
+  }
+
+  /**
+   * @param {string} format
+   * @return {!Uint8Array}
+   * @private
+   */
+  avc1_(format) {
+    const Mp4Generator = mp4_generator;
+    const streamInfo = this.streamInfo_;
+
+    // The codec private data of AVC is the SPS and PPS in Annex B format.
+    const sps = [];
+    const pps = [];
+    for (const nalUnit of Mp4Generator.splitNalUnits_(
+      streamInfo.codecPrivateData)) {
+      const nalUnitType = nalUnit[0] & 0x1f;
+      if (nalUnitType == 7) {
+        sps.push(nalUnit);
+      } else if (nalUnitType == 8) {
+        pps.push(nalUnit);
+      }
+    }
+    assert(sps.length, 'AVC codec private data must contain an SPS');
+
+    const parameterSets = (nalUnits) => nalUnits.map((nalUnit) => {
+      return uint8array_utils.concat(
+        Mp4Generator.uint16_(nalUnit.byteLength), nalUnit);
+    });
+    const avcC = Mp4Generator.box_('avcC',
+      new Uint8Array([
+        0x01, // configurationVersion
+        sps[0][1], // AVCProfileIndication
+        sps[0][2], // profile_compatibility
+        sps[0][3], // AVCLevelIndication
+        0xff, // lengthSizeMinusOne, 4 bytes
+        0xe0 | sps.length,
+      ]),
+      ...parameterSets(sps),
+      new Uint8Array([pps.length]),
+      ...parameterSets(pps));
+
+    const compressorName = new Uint8Array(32);
+    return Mp4Generator.box_(streamInfo.encrypted ? 'encv' : format,
+      new Uint8Array(6), // reserved
+      Mp4Generator.uint16_(1), // data_reference_index
+      new Uint8Array(16), // pre_defined and reserved
+      Mp4Generator.uint16_(streamInfo.width),
+      Mp4Generator.uint16_(streamInfo.height),
+      Mp4Generator.uint32_(0x00480000), // horizresolution, 72 dpi
+      Mp4Generator.uint32_(0x00480000), // vertresolution, 72 dpi
+      new Uint8Array(4), // reserved
+      Mp4Generator.uint16_(1), // frame_count
+      compressorName,
+      Mp4Generator.uint16_(0x0018), // depth
+      Mp4Generator.uint16_(0xffff), // pre_defined
+      avcC,
+      ...this.sinf_(format));
+  }
+
+  /**
+   * @return {!Uint8Array}
+   * @private
+   */
+  mp4a_() {
+    const Mp4Generator = mp4_generator;
+    const streamInfo = this.streamInfo_;
+    const audioSpecificConfig = streamInfo.codecPrivateData;
+
+    // ISO/IEC 14496-1 descriptors; all of them are short enough to have a
+    // single byte length.
+    const descriptor = (tag, ...payload) => {
+      const data = uint8array_utils.concat(...payload);
+      assert(data.byteLength < 0x80, 'Descriptor too long');
+      return uint8array_utils.concat(
+        new Uint8Array([tag, data.byteLength]), data);
+    };
+    const esds = Mp4Generator.fullBox_('esds', 0, 0,
+      descriptor(0x03, // ES_Descriptor
+        Mp4Generator.uint16_(streamInfo.id), // ES_ID
+        new Uint8Array([0x00]), // flags
+        descriptor(0x04, // DecoderConfigDescriptor
+          new Uint8Array([
+            0x40, // objectTypeIndication, MPEG-4 audio
+            0x15, // streamType audio, upStream 0, reserved 1
+            0x00, 0x00, 0x00, // bufferSizeDB
+          ]),
+          Mp4Generator.uint32_(streamInfo.bandwidth || 0), // maxBitrate
+          Mp4Generator.uint32_(streamInfo.bandwidth || 0), // avgBitrate
+          descriptor(0x05, audioSpecificConfig)), // DecoderSpecificInfo
+        descriptor(0x06, new Uint8Array([0x02])))); // SLConfigDescriptor
+
+    return Mp4Generator.box_(streamInfo.encrypted ? 'enca' : 'mp4a',
+      new Uint8Array(6), // reserved
+      Mp4Generator.uint16_(1), // data_reference_index
+      new Uint8Array(8), // reserved
+      Mp4Generator.uint16_(streamInfo.channelsCount || 2),
+      Mp4Generator.uint16_(16), // samplesize
+      new Uint8Array(4), // pre_defined and reserved
+      Mp4Generator.uint32_((streamInfo.audioSamplingRate || 0) * 0x10000),
+      esds,
+      ...this.sinf_('mp4a'));
+  }
+
+  /**
+   * @param {string} format The sample entry of the unencrypted track.
+   * @return {!Array.<!Uint8Array>} The protection scheme info of an encrypted
+   *   track, or nothing for a clear one.
+   * @private
+   */
+  sinf_(format) {
+    const Mp4Generator = mp4_generator;
+    if (!this.streamInfo_.encrypted) {
+      return [];
+    }
+
+    const keyId = this.streamInfo_.keyId ?
+      uint8array_utils.fromHex(this.streamInfo_.keyId) : new Uint8Array(16);
+    const tenc = Mp4Generator.fullBox_('tenc', 0, 0,
+      new Uint8Array([
+        0x00, 0x00, // reserved
+        0x01, // default_isProtected
+        0x08, // default_Per_Sample_IV_Size
+      ]),
+      keyId);
+
+    return [Mp4Generator.box_('sinf',
+      Mp4Generator.box_('frma', Mp4Generator.string_(format)),
+      Mp4Generator.fullBox_('schm', 0, 0,
+        Mp4Generator.string_('cenc'),
+        Mp4Generator.uint32_(0x00010000)), // scheme_version 1.0
+      Mp4Generator.box_('schi', tenc))];
+  }
+
+  /**
+   * @return {!Uint8Array}
+   * @private
+   */
+  mvex_() {
+    const Mp4Generator = mp4_generator;
+    return Mp4Generator.box_('mvex',
+      Mp4Generator.fullBox_('trex', 0, 0,
+        Mp4Generator.uint32_(this.streamInfo_.id),
+        Mp4Generator.uint32_(1), // default_sample_description_index
+        Mp4Generator.uint32_(0), // default_sample_duration
+        Mp4Generator.uint32_(0), // default_sample_size
+        Mp4Generator.uint32_(0))); // default_sample_flags
+  }
+
+  /**
+   * @return {number} The duration of the track in its timescale, which is 0
+   *   when unknown, e.g. for live streams.
+   * @private
+   */
+  duration_() {
+    const duration = this.streamInfo_.duration;
+    if (!isFinite(duration)) {
+      return 0;
+    }
+    return Math.min(Math.round(duration * this.streamInfo_.timescale),
+      0xffffffff);
+  }
+
+  /**
+   * @param {string} type
+   * @param {...!Uint8Array} payload
+   * @return {!Uint8Array}
+   * @private
+   */
+  static box_(type, ...payload) {
+    const data = uint8array_utils.concat(...payload);
+    return uint8array_utils.concat(
+      mp4_generator.uint32_(data.byteLength + 8),
+      mp4_generator.string_(type),
+      data);
+  }
+
+  /**
+   * @param {string} type
+   * @param {number} version
+   * @param {number} flags
+   * @param {...!Uint8Array} payload
+   * @return {!Uint8Array}
+   * @private
+   */
+  static fullBox_(type, version, flags, ...payload) {
+    return mp4_generator.box_(type,
+      mp4_generator.uint32_((version << 24) | flags), ...payload);
+  }
+
+  /**
+   * @param {number} value
+   * @return {!Uint8Array}
+   * @private
+   */
+  static uint32_(value) {
+    const data = new Uint8Array(4);
+    buffer_utils.toDataView(data).setUint32(0, value);
+    return data;
+  }
+
+  /**
+   * @param {number} value
+   * @return {!Uint8Array}
+   * @private
+   */
+  static uint16_(value) {
+    const data = new Uint8Array(2);
+    buffer_utils.toDataView(data).setUint16(0, value);
+    return data;
+  }
+
+  /**
+   * @param {string} str An ASCII string, e.g. a box type.
+   * @return {!Uint8Array}
+   * @private
+   */
+  static string_(str) {
+    return Uint8Array.from(str, (c) => c.charCodeAt(0));
+  }
+
+  /**
+   * @param {?string} language An ISO 639-2/T language code.
+   * @return {number} The packed language code of the mdhd box.
+   * @private
+   */
+  static language_(language) {
+    const code = language && /^[a-z]{3}$/.test(language) ? language : 'und';
+    let packed = 0;
+    for (const c of code) {
+      packed = (packed << 5) | (c.charCodeAt(0) - 0x60);
+    }
+    return packed;
+  }
+
+  /**
+   * @param {!Uint8Array} data NAL units in Annex B format, i.e. each one
+   *   preceded by a 00 00 01 or 00 00 00 01 start code.
+   * @return {!Array.<!Uint8Array>} The NAL units, without start codes.
+   * @private
+   */
+  static splitNalUnits_(data) {
+    const nalUnits = [];
+    let start = -1;
+    for (let i = 0; i + 2 < data.byteLength; i++) {
+      if (data[i] == 0 && data[i + 1] == 0 && data[i + 2] == 1) {
+        if (start >= 0) {
+          // A 4 byte start code has one more leading zero.
+          const end = data[i - 1] == 0 ? i - 1 : i;
+          nalUnits.push(data.subarray(start, end));
+        }
+        start = i + 3;
+        i += 2;
+      }
+    }
+    if (start >= 0 && start < data.byteLength) {
+      nalUnits.push(data.subarray(start));
+    }
+    return nalUnits;
+  }
+}
+
+
+/**
+ * The unity transformation matrix of mvhd and tkhd.
+ *
+ * @private
+ * @const {!Uint8Array}
+ */
+mp4_generator.MATRIX_ = new Uint8Array([
+  0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x40, 0x00, 0x00, 0x00,
+]);
+
+
+/**
+ * @typedef {{
+ *   id: number,
+ *   type: string,
+ *   codecs: string,
+ *   encrypted: boolean,
+ *   timescale: number,
+ *   duration: number,
+ *   language: ?string,
+ *   bandwidth: ?number,
+ *   width: ?number,
+ *   height: ?number,
+ *   channelsCount: ?number,
+ *   audioSamplingRate: ?number,
+ *   codecPrivateData: !Uint8Array,
+ *   keyId: ?string,
+ *   psshs: !Array.<!Uint8Array>
+ * }}
+ *
+ * @description
+ * The track an init segment is generated for.
+ *
+ * @property {number} id
+ *   The track ID, which the track fragments must refer to.
+ * @property {string} type
+ *   'audio' or 'video'.
+ * @property {string} codecs
+ *   The RFC 6381 codec string; avc1, avc3 and mp4a are supported.
+ * @property {boolean} encrypted
+ *   True for a track with Common Encryption (cenc scheme).
+ * @property {number} timescale
+ *   The timescale of the track fragments.
+ * @property {number} duration
+ *   The duration of the track in seconds, or Infinity if unknown.
+ * @property {?string} language
+ *   The ISO 639-2/T language of the track.
+ * @property {?number} bandwidth
+ *   The bit rate of the track.
+ * @property {?number} width
+ *   The width of a video track.
+ * @property {?number} height
+ *   The height of a video track.
+ * @property {?number} channelsCount
+ *   The channel count of an audio track.
+ * @property {?number} audioSamplingRate
+ *   The sampling rate of an audio track.
+ * @property {!Uint8Array} codecPrivateData
+ *   The SPS and PPS NAL units of AVC in Annex B format, or the
+ *   AudioSpecificConfig of AAC.
+ * @property {?string} keyId
+ *   The default key ID of an encrypted track, in hex.
+ * @property {!Array.<!Uint8Array>} psshs
+ *   The PSSH boxes of an encrypted track.
+ */
+mp4_generator.StreamInfo;
+
+export default mp4_generator;
@@ -56,6 +56,11 @@ class period_combiner {
       if (stream.segmentIndex) {
         stream.segmentIndex.release();
       }
+      for (const trickStream of stream.trickModeVideos || []) {
+        if (trickStream.segmentIndex) {
+          trickStream.segmentIndex.release();
+        }
+      }
     }
 
     this.audioStreams_ = [];
@@ -259,7 +264,10 @@ class period_combiner {
               a1.mimeType == a2.mimeType &&
               array_utils.hasSameElements(a1.roles, a2.roles) &&
               a1.audioSamplingRate == a2.audioSamplingRate &&
-              a1.primary == a2.primary) {
+              a1.primary == a2.primary &&
+              period_combiner.preselectionTag_(a1) ==
+                  period_combiner.preselectionTag_(a2) &&
+              period_combiner.sameChannelLayout_(a1, a2)) {
             duplicate = true;
           }
         }
@@ -629,6 +637,16 @@ class period_combiner {
 
     period_combiner.extendOutputStream_(outputStream,
         firstNewPeriodIndex, concat, unusedStreamsPerPeriod);
+
+    // The trick mode streams got their matches from the new periods in
+    // concat(), so their segment indexes can only be extended now.
+    for (const trickStream of outputStream.trickModeVideos || []) {
+      if (trickStream.segmentIndex) {
+        // eslint-disable-next-line no-await-in-loop
+        await period_combiner.extendOutputSegmentIndex_(trickStream,
+            firstNewPeriodIndex);
+      }
+    }
     return true;
   }
 
@@ -648,9 +666,6 @@ class period_combiner {
 
     for (const stream of streams) {
       operations.push(stream.createSegmentIndex());
-      if (stream.trickModeVideo && !stream.trickModeVideo.segmentIndex) {
-        operations.push(stream.trickModeVideo.createSegmentIndex());
-      }
     }
     await Promise.all(operations);
 
@@ -801,13 +816,11 @@ class period_combiner {
         clone.segmentIndex.release();
         clone.segmentIndex = null;
       }
-      // Close the segment index of the matched streams.
+      // Close the segment index of the matched streams, which may share it
+      // with other streams.
       if (clone.matchedStreams) {
         for (const match of clone.matchedStreams) {
-          if (match.segmentIndex) {
-            match.segmentIndex.release();
-            match.segmentIndex = null;
-          }
+          match.closeSegmentIndex();
         }
       }
     };
@@ -816,7 +829,7 @@ class period_combiner {
     clone.emsgSchemeIdUris = [];
     clone.keyIds = new Set();
     clone.closedCaptions = null;
-    clone.trickModeVideo = null;
+    clone.trickModeVideos = [];
 
     return clone;
   }
@@ -898,37 +911,78 @@ class period_combiner {
       }
     }
 
-    // Combine trick-play video streams, if present.
-    if (input.trickModeVideo) {
-      if (!output.trickModeVideo) {
-        // Create a fresh output stream for trick-mode playback.
-        output.trickModeVideo = period_combiner.cloneStream_(
-            input.trickModeVideo);
-        // TODO: fix the createSegmentIndex function for trickModeVideo.
-        // The trick-mode tracks in multi-period content should have trick-mode
-        // segment indexes whenever available, rather than only regular-mode
-        // segment indexes.
-        output.trickModeVideo.createSegmentIndex = () => {
-          // Satisfy the compiler about the type.
-          assert(
-              output.segmentIndex instanceof meta_segment_index,
-              'The stream should have a MetaSegmentIndex.');
-          output.trickModeVideo.segmentIndex = output.segmentIndex.clone();
-          return Promise.resolve();
-        };
+    // Combine trick-play video streams, if present.  Trick-mode outputs have
+    // none of their own.
+    if (!output.trickModeVideos) {
+      return;
+    }
+    if (input.trickModeVideos && input.trickModeVideos.length) {
+      if (!output.trickModeVideos.length) {
+        // Create a fresh output stream for each trick-mode input.  Periods
+        // before this one had no trick-mode streams, so they are filled in
+        // from the standard streams.
+        const periodIndex = output.matchedStreams ?
+            output.matchedStreams.indexOf(input) : 0;
+        for (const trickStream of input.trickModeVideos) {
+          const trickOutput =
+              period_combiner.createTrickModeOutputStream_(trickStream);
+          for (let i = 0; i < periodIndex; i++) {
+            period_combiner.concatenateTrickModeStream_(
+                trickOutput, output.matchedStreams[i]);
+          }
+          output.trickModeVideos.push(trickOutput);
+        }
       }
 
-      // Concatenate the trick mode input onto the trick mode output.
-      period_combiner.concatenateStreams_(
-          output.trickModeVideo, input.trickModeVideo);
-    } else if (output.trickModeVideo) {
-      // We have a trick mode output, but no input from this Period.  Fill it in
-      // from the standard input Stream.
-      period_combiner.concatenateStreams_(
-          output.trickModeVideo, input);
+      // Concatenate the closest trick mode input onto each trick mode output.
+      for (const trickOutput of output.trickModeVideos) {
+        const match = period_combiner.findBestMatchInPeriod_(
+            input.trickModeVideos, trickOutput);
+        period_combiner.concatenateTrickModeStream_(
+            trickOutput, match || input);
+      }
+    } else {
+      // We have trick mode outputs, but no input from this Period.  Fill them
+      // in from the standard input Stream.
+      for (const trickOutput of output.trickModeVideos) {
+        period_combiner.concatenateTrickModeStream_(trickOutput, input);
+      }
     }
   }
 
+  /**
+   * Creates an output Stream for trick-mode playback, whose segment index
+   * concatenates the ones of the trick-mode streams matched in each period.
+   *
+   * @param {Stream} trickStream
+   * @return {Stream}
+   * @private
+   */
+  static createTrickModeOutputStream_(trickStream) {
+    const trickOutput = period_combiner.cloneStream_(trickStream);
+    trickOutput.trickModeVideos = null;
+    trickOutput.matchedStreams = [];
+    trickOutput.createSegmentIndex = async () => {
+      if (!trickOutput.segmentIndex) {
+        trickOutput.segmentIndex = new meta_segment_index();
+        await period_combiner.extendOutputSegmentIndex_(
+            trickOutput, /* firstNewPeriodIndex= */ 0);
+      }
+    };
+    return trickOutput;
+  }
+
+  /**
+   * @param {Stream} trickOutput
+   * @param {Stream} input The trick-mode stream of a period, or its standard
+   *   stream if it has no matching trick-mode stream.
+   * @private
+   */
+  static concatenateTrickModeStream_(trickOutput, input) {
+    trickOutput.matchedStreams.push(input);
+    period_combiner.concatenateStreams_(trickOutput, input);
+  }
+
   /**
    * Combine the various fields of the input StreamDB into the output.
    *
@@ -1166,6 +1220,20 @@ class period_combiner {
       return false;
     }
 
+    // Preselections of next generation audio are told apart by their tag, so
+    // keep playing the same one across periods.
+    const outputTag = period_combiner.preselectionTag_(outputStream);
+    const bestTag = period_combiner.preselectionTag_(best);
+    const candidateTag = period_combiner.preselectionTag_(candidate);
+    if (bestTag != candidateTag) {
+      if (candidateTag == outputTag) {
+        return true;
+      }
+      if (bestTag == outputTag) {
+        return false;
+      }
+    }
+
     // If the language doesn't match, but the candidate is the "primary"
     // language, then that should be preferred as a fallback.
     if (!best.primary && candidate.primary) {
@@ -1221,7 +1289,20 @@ class period_combiner {
       return false;
     }
 
-    // If channels are equal, take the closest sample rate to the output.
+    // If channels are equal, take the one meant for the same speakers as the
+    // output.
+    const bestLayoutMatches =
+        period_combiner.sameChannelLayout_(outputStream, best);
+    const candidateLayoutMatches =
+        period_combiner.sameChannelLayout_(outputStream, candidate);
+    if (candidateLayoutMatches && !bestLayoutMatches) {
+      return true;
+    } else if (!candidateLayoutMatches && bestLayoutMatches) {
+      return false;
+    }
+
+    // If the layouts are equivalent, take the closest sample rate to the
+    // output.
     const sampleRateBetterOrWorse =
         period_combiner.compareClosestPreferLower(
             outputStream.audioSamplingRate,
@@ -1474,6 +1555,7 @@ class period_combiner {
       roles: [],
       forced: false,
       channelsCount: null,
+      channelLayout: null,
       audioSamplingRate: null,
       spatialAudio: false,
       closedCaptions: null,
@@ -1495,6 +1577,7 @@ class period_combiner {
       id: 0,
       originalId: '',
       createSegmentIndex: () => Promise.resolve(),
+      closeSegmentIndex: () => {},
       segmentIndex: new segment_index([]),
       mimeType: '',
       codecs: '',
@@ -1505,17 +1588,54 @@ class period_combiner {
       label: null,
       type,
       primary: false,
-      trickModeVideo: null,
+      trickModeVideos: [],
       emsgSchemeIdUris: null,
       roles: [],
+      audioDescription: false,
+      viewpoint: null,
+      ratings: [],
+      preselection: null,
       forced: false,
       channelsCount: null,
+      channelLayout: null,
       audioSamplingRate: null,
       spatialAudio: false,
       closedCaptions: null,
     };
   }
 
+  /**
+   * @param {T} stream
+   * @return {?string} The tag of the Preselection the stream plays, or null
+   *   if it isn't one.
+   *
+   * @template T
+   * Accepts either a StreamDB or Stream type.
+   *
+   * @private
+   */
+  static preselectionTag_(stream) {
+    return stream.preselection ? stream.preselection.tag : null;
+  }
+
+  /**
+   * @param {T} a
+   * @param {T} b
+   * @return {boolean} True if both streams are meant for the same speakers, in
+   *   any channel order, or if the layout of either is unknown.
+   *
+   * @template T
+   * Accepts either a StreamDB or Stream type.
+   *
+   * @private
+   */
+  static sameChannelLayout_(a, b) {
+    if (!a.channelLayout || !b.channelLayout) {
+      return true;
+    }
+    return array_utils.hasSameElements(a.channelLayout, b.channelLayout);
+  }
+
   /**
    * Compare the best value so far with the candidate value and the output
    * value.  Decide if the candidate is better, equal, or worse than the best
@@ -3,6 +3,8 @@ class sp_events_manager {
   event_manifest_parsed = "manifest_parsed";
   event_segment_decrypted = "segments_downloaded";
   event_manifeset_updated = "manifest_updated";
+  event_timeline_region_added = "timeline_region_added";
+  event_manifest_location_changed = "manifest_location_changed";
   
   addListener(eventName, fn) {
     this.listeners[eventName] = this.listeners[eventName] || [];
@@ -16,8 +18,8 @@ class sp_events_manager {
 
   once(eventName, fn) {
     this.listeners[eventName] = this.listeners[eventName] || [];
-    const onceWrapper = () => {
-      fn();
+    const onceWrapper = (...args) => {
+      fn(...args);
       this.off(eventName, onceWrapper);
     }
     this.listeners[eventName].push(onceWrapper);
@@ -31,7 +33,7 @@ class sp_events_manager {
   removeListener (eventName, fn) {
     let lis = this.listeners[eventName];
     if (!lis) return this;
-    for(let i = lis.length; i > 0; i--) {
+    for(let i = lis.length - 1; i >= 0; i--) {
       if (lis[i] === fn) {
         lis.splice(i,1);
         break;
@@ -43,7 +45,8 @@ class sp_events_manager {
   emit(eventName, ...args) {
     let fns = this.listeners[eventName];
     if (!fns) return false;
-    fns.forEach((f) => {
+    // Iterate over a copy, once() listeners remove themselves while called.
+    fns.slice().forEach((f) => {
       f(...args);
     });
     return true;
@@ -1,3 +1,4 @@
+import assert from 'assert';
 import buffer_utils from './buffer_utils.js';
 import logger from '../util/sp_logger.js';
 import lazy from '../util/lazy.js';
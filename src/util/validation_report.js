@@ -0,0 +1,135 @@
+import error from './error.js';
+import logger from './sp_logger.js';
+import xml_utils from './xml_utils.js';
+
+const filePath = import.meta.url;
+
+/**
+ * Collects the problems found in a manifest while it is parsed, so that all
+ * of them can be reported at once instead of only the first failure.
+ *
+ * Warnings are problems the parser works around, errors are the ones it
+ * can't.  In strict mode, warnings fail the manifest as well.
+ */
+class validation_report {
+  /**
+   * @param {boolean} strict True to fail the manifest on warnings.
+   */
+  constructor(strict) {
+    /** @private {boolean} */
+    this.strict_ = strict;
+
+    /** @private {!Array.<validation_report.Finding>} */
+    this.findings_ = [];
+  }
+
+  /**
+   * Records a problem the parser works around.
+   *
+   * @param {error.Code} code
+   * @param {Node} elem The element the problem was found in.
+   * @param {string} message
+   */
+  warn(code, elem, message) {
+    this.add_(validation_report.Severity.WARNING, code, elem, message);
+  }
+
+  /**
+   * Records a problem the parser can't work around.
+   *
+   * @param {error.Code} code
+   * @param {Node} elem The element the problem was found in.
+   * @param {string} message
+   * @return {!error} The error to throw, its data is the finding.
+   */
+  fail(code, elem, message) {
+    const finding =
+      this.add_(validation_report.Severity.ERROR, code, elem, message);
+    return new error(
+      error.Severity.CRITICAL, error.Category.MANIFEST, code, finding);
+  }
+
+  /**
+   * Fails the manifest if it has warnings in strict mode.
+   *
+   * @throws {error} MANIFEST_VALIDATION_FAILED, its data is the list of
+   *   findings.
+   */
+  check() {
+    if (this.strict_ && this.findings_.length) {
+      throw new error(
+        error.Severity.CRITICAL, error.Category.MANIFEST,
+        error.Code.MANIFEST_VALIDATION_FAILED, this.getFindings());
+    }
+  }
+
+  /**
+   * @return {!Array.<validation_report.Finding>} Everything found so far, in
+   *   the order it was found.
+   */
+  getFindings() {
+    return this.findings_.slice();
+  }
+
+  /**
+   * @param {validation_report.Severity} severity
+   * @param {error.Code} code
+   * @param {Node} elem
+   * @param {string} message
+   * @return {validation_report.Finding}
+   * @private
+   */
+  add_(severity, code, elem, message) {
+    const finding = {
+      severity: severity,
+      code: code,
+      codeName: Object.keys(error.Code).find((name) => error.Code[name] == code),
+      location: xml_utils.getLocation(elem),
+      message: message,
+    };
+    this.findings_.push(finding);
+
+    if (severity == validation_report.Severity.ERROR) {
+      logger.sp_error(filePath, '%s: %s', finding.location, message);
+    } else {
+      logger.sp_warn(filePath, '%s: %s', finding.location, message);
+    }
+    return finding;
+  }
+}
+
+/**
+ * @enum {string}
+ */
+validation_report.Severity = {
+  WARNING: 'warning',
+  ERROR: 'error',
+};
+
+/**
+ * @typedef {{
+ *   severity: validation_report.Severity,
+ *   code: error.Code,
+ *   codeName: string,
+ *   location: string,
+ *   message: string
+ * }}
+ *
+ * @description
+ * A problem found in a manifest.
+ *
+ * @property {validation_report.Severity} severity
+ *   Whether the parser worked around the problem.
+ * @property {error.Code} code
+ *   What the problem is.
+ * @property {string} codeName
+ *   The name of the code in error.Code, e.g. 'DASH_PERIOD_GAP'.
+ * @property {string} location
+ *   Where in the manifest the problem is, as returned by
+ *   xml_utils.getLocation().
+ * @property {string} message
+ *   A human-readable description of the problem.
+ */
+validation_report.Finding;
+
+export default validation_report;
@@ -0,0 +1,276 @@
+import error from './error.js';
+import { node_constants } from '../constants/node_consts.js';
+
+/**
+ * Applies XML Patch operations (RFC 5261) to a DOM, as used by MPD patches.
+ *
+ * Only the selectors MPD patches need are supported: absolute paths of
+ * element names with [@attr='value'], [n] and [last()] predicates, optionally
+ * ending with an attribute (/@name).
+ */
+class xml_patch {
+  /**
+   * Applies the add, replace and remove children of the patch element in
+   * document order.  The target is modified in place.
+   *
+   * @param {!Element} root The root element of the document to patch.
+   * @param {!Element} patch The element holding the operations.
+   */
+  static apply(root, patch) {
+    for (const op of Array.from(patch.childNodes)) {
+      if (op.nodeType != node_constants.element_node) {
+        continue;
+      }
+      const sel = op.getAttribute('sel');
+      if (!sel) {
+        throw xml_patch.fail_(`<${op.nodeName}> without sel`);
+      }
+      const target = xml_patch.select_(root, sel);
+
+      switch (op.localName) {
+        case 'add':
+          xml_patch.add_(target, op);
+          break;
+        case 'replace':
+          xml_patch.replace_(target, op);
+          break;
+        case 'remove':
+          xml_patch.remove_(target);
+          break;
+        default:
+          throw xml_patch.fail_(`unknown operation <${op.nodeName}>`);
+      }
+    }
+  }
+
+  /**
+   * @param {xml_patch.Target} target
+   * @param {!Element} op
+   * @private
+   */
+  static add_(target, op) {
+    if (target.attribute) {
+      throw xml_patch.fail_('cannot add to an attribute');
+    }
+    const elem = target.element;
+
+    // type="@name" adds an attribute, whose value is the text of the
+    // operation.
+    const type = op.getAttribute('type');
+    if (type && type.startsWith('@')) {
+      const name = type.substring(1);
+      if (elem.hasAttribute(name)) {
+        throw xml_patch.fail_(`attribute ${name} already exists`);
+      }
+      elem.setAttribute(name, op.textContent);
+      return;
+    }
+
+    const nodes = xml_patch.importContent_(elem.ownerDocument, op);
+    const pos = op.getAttribute('pos');
+    const parent = elem.parentNode;
+    if (pos == 'before' || pos == 'after') {
+      if (!parent || parent.nodeType != node_constants.element_node) {
+        throw xml_patch.fail_('cannot add a sibling to the root element');
+      }
+    }
+    // Inserting every node before the same reference keeps their order.
+    const nextSibling = elem.nextSibling;
+    const firstChild = elem.firstChild;
+    for (const node of nodes) {
+      if (pos == 'before') {
+        parent.insertBefore(node, elem);
+      } else if (pos == 'after') {
+        parent.insertBefore(node, nextSibling);
+      } else if (pos == 'prepend') {
+        elem.insertBefore(node, firstChild);
+      } else {
+        elem.appendChild(node);
+      }
+    }
+  }
+
+  /**
+   * @param {xml_patch.Target} target
+   * @param {!Element} op
+   * @private
+   */
+  static replace_(target, op) {
+    if (target.attribute) {
+      target.element.setAttribute(target.attribute, op.textContent);
+      return;
+    }
+
+    const elem = target.element;
+    const parent = elem.parentNode;
+    if (!parent || parent.nodeType != node_constants.element_node) {
+      throw xml_patch.fail_('cannot replace the root element');
+    }
+    const replacements = xml_patch.importContent_(elem.ownerDocument, op)
+      .filter((node) => node.nodeType == node_constants.element_node);
+    if (replacements.length != 1) {
+      throw xml_patch.fail_('an element must be replaced by one element');
+    }
+    parent.replaceChild(replacements[0], elem);
+  }
+
+  /**
+   * @param {xml_patch.Target} target
+   * @private
+   */
+  static remove_(target) {
+    if (target.attribute) {
+      if (!target.element.hasAttribute(target.attribute)) {
+        throw xml_patch.fail_(`attribute ${target.attribute} does not exist`);
+      }
+      target.element.removeAttribute(target.attribute);
+      return;
+    }
+
+    const elem = target.element;
+    const parent = elem.parentNode;
+    if (!parent || parent.nodeType != node_constants.element_node) {
+      throw xml_patch.fail_('cannot remove the root element');
+    }
+    parent.removeChild(elem);
+  }
+
+  /**
+   * @param {!Document} doc
+   * @param {!Element} op
+   * @return {!Array.<!Node>} Copies of the children of the operation, owned
+   *   by doc.  Whitespace between elements is dropped.
+   * @private
+   */
+  static importContent_(doc, op) {
+    return Array.from(op.childNodes)
+      .filter((node) => {
+        return node.nodeType == node_constants.element_node ||
+          (node.nodeType == node_constants.text_node && node.data.trim());
+      })
+      .map((node) => doc.importNode(node, true));
+  }
+
+  /**
+   * Finds the single node the selector points to.
+   *
+   * @param {!Element} root
+   * @param {string} sel
+   * @return {xml_patch.Target}
+   * @private
+   */
+  static select_(root, sel) {
+    let rest = sel.trim();
+    let candidates = null;
+    let attribute = null;
+
+    while (rest.length) {
+      const attrMatch = /^\/@([\w.:-]+)$/.exec(rest);
+      if (attrMatch) {
+        attribute = attrMatch[1];
+        break;
+      }
+
+      const stepMatch = /^\/([\w.:-]+|\*)((?:\[[^\]]*\])*)/.exec(rest);
+      if (!stepMatch) {
+        throw xml_patch.fail_(`unsupported selector ${sel}`);
+      }
+      rest = rest.substring(stepMatch[0].length);
+
+      const name = stepMatch[1];
+      const predicates = stepMatch[2].match(/\[[^\]]*\]/g) || [];
+      // Positions count among the children of each parent, as in XPath.
+      const parents = candidates == null ? [null] : candidates;
+      candidates = [];
+      for (const parent of parents) {
+        let nodes = parent == null ? [root] : Array.from(parent.childNodes);
+        nodes = nodes.filter((node) => {
+          return node.nodeType == node_constants.element_node &&
+            (name == '*' || xml_patch.localName_(name) == node.localName);
+        });
+        for (const predicate of predicates) {
+          nodes = xml_patch.filter_(nodes, predicate.slice(1, -1).trim(), sel);
+        }
+        candidates = candidates.concat(nodes);
+      }
+    }
+
+    if (!candidates || candidates.length != 1) {
+      throw xml_patch.fail_(`${sel} matches ${candidates ?
+        candidates.length : 0} elements instead of one`);
+    }
+    if (attribute && !candidates[0].hasAttribute(attribute)) {
+      // Adding an attribute is done with type="@name" on its element.
+      throw xml_patch.fail_(`${sel} does not exist`);
+    }
+    return { element: candidates[0], attribute: attribute };
+  }
+
+  /**
+   * @param {!Array.<!Element>} nodes
+   * @param {string} predicate
+   * @param {string} sel
+   * @return {!Array.<!Element>}
+   * @private
+   */
+  static filter_(nodes, predicate, sel) {
+    if (/^\d+$/.test(predicate)) {
+      const node = nodes[Number(predicate) - 1];
+      return node ? [node] : [];
+    }
+    if (predicate == 'last()') {
+      return nodes.length ? [nodes[nodes.length - 1]] : [];
+    }
+    const attrMatch = /^@([\w.:-]+)\s*=\s*(?:'([^']*)'|"([^"]*)")$/.exec(
+      predicate);
+    if (attrMatch) {
+      const value = attrMatch[2] != undefined ? attrMatch[2] : attrMatch[3];
+      return nodes.filter((node) => {
+        return node.hasAttribute(attrMatch[1]) &&
+          node.getAttribute(attrMatch[1]) == value;
+      });
+    }
+    throw xml_patch.fail_(`unsupported predicate [${predicate}] in ${sel}`);
+  }
+
+  /**
+   * @param {string} name
+   * @return {string} The name without its namespace prefix.
+   * @private
+   */
+  static localName_(name) {
+    const colon = name.indexOf(':');
+    return colon < 0 ? name : name.substring(colon + 1);
+  }
+
+  /**
+   * @param {string} message
+   * @return {!error}
+   * @private
+   */
+  static fail_(message) {
+    return new error(
+      error.Severity.RECOVERABLE,
+      error.Category.MANIFEST,
+      error.Code.DASH_INVALID_PATCH,
+      message);
+  }
+}
+
+/**
+ * @typedef {{
+ *   element: !Element,
+ *   attribute: ?string
+ * }}
+ *
+ * @description
+ * The node a patch selector points to.
+ *
+ * @property {!Element} element
+ *   The selected element, or the element of the selected attribute.
+ * @property {?string} attribute
+ *   The name of the selected attribute, or null if an element is selected.
+ */
+xml_patch.Target;
+
+export default xml_patch;
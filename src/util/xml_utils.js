@@ -139,6 +139,33 @@ class xml_utils {
     return elem.textContent.trim();
   }
 
+  /**
+   * Describes where an element is in its document, like an XPath.  Elements
+   * with an id are identified by it, others by their position among the
+   * siblings of the same name, e.g.
+   * /MPD/Period[@id='1']/AdaptationSet[2]/Representation[@id='video-1'].
+   * @param {Node} elem The XML element.
+   * @return {string} The location, or an empty string without an element.
+   */
+  static getLocation(elem) {
+    const steps = [];
+    for (let node = elem; node && node.nodeType == node_constants.element_node;
+      node = node.parentNode) {
+      let step = node.nodeName;
+      const id = node.getAttribute('id');
+      if (id) {
+        step += `[@id='${id}']`;
+      } else if (node.parentNode) {
+        const siblings = xml_utils.findChildren(node.parentNode, node.nodeName);
+        if (siblings.length > 1) {
+          step += `[${siblings.indexOf(node) + 1}]`;
+        }
+      }
+      steps.unshift(step);
+    }
+    return steps.length ? '/' + steps.join('/') : '';
+  }
+
   /**
    * Checks if a node is of type text.
    * @param {!Node} elem The XML element.
@@ -314,6 +341,23 @@ class xml_utils {
   }
 
 
+  /**
+   * Parses an xs:boolean.
+   * @param {string} booleanString The boolean string.
+   * @return {?boolean} The parsed boolean on success; otherwise, return null.
+   */
+  static parseBoolean(booleanString) {
+    const value = booleanString.trim();
+    if (value == 'true' || value == '1') {
+      return true;
+    }
+    if (value == 'false' || value == '0') {
+      return false;
+    }
+    return null;
+  }
+
+
   /**
    * Evaluate a division expressed as a string.
    * @param {string} exprString
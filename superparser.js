@@ -1,9 +1,24 @@
-import dash_parser from './src/dash/dash_parser.js';
+// Manifest parsers register themselves with manifest_parser when imported.
+import './src/dash/dash_parser.js';
+import './src/hls/hls_parser.js';
+import './src/mss/mss_parser.js';
+import './src/text/vtt_text_parser.js';
+import './src/text/mp4_vtt_parser.js';
+import './src/text/ttml_text_parser.js';
+import './src/text/mp4_ttml_parser.js';
+import manifest_parser from './src/media/manifest_parser.js';
 import segment_saver from './src/stream/segment_saver.js';
+import { hls_master_playlist, hls_media_playlist } from './src/hls/hls_writer.js';
 import widevine_drm_parser from './src/dash/widevine_drm_parser.js';
 import appRoot from 'app-root-path';
 import fs from 'fs';
 import logger from './src/util/sp_logger.js';
+import spEventsMgr from './src/util/sp_events_manager.js';
+import uri_health from './src/net/uri_health.js';
+import language_utils from './src/util/language_utils.js';
+import mime_utils from './src/util/mime_utils.js';
+import text_engine from './src/text/text_engine.js';
+import error from './src/util/error.js';
 import { exit } from 'process';
 import commandLineArgs from 'command-line-args';
 import path from 'path';
@@ -18,10 +33,15 @@ const optionDefs = [
   { name: 'netitf', alias: 'n', type: String },
   { name: 'lang', alias: 'l', type: String, multiple: true },
   { name: 'bandwidth', alias: 'b', type: String },
+  { name: 'channels', alias: 'c', type: Number },
+  { name: 'renditions', alias: 'r', type: String, multiple: true },
   { name: 'apiformat_mpd', alias: 'p', type: String },
+  { name: 'manifest', alias: 'u', type: String },
   { name: 'apiformat_key', alias: 'k', type: String },
   { name: 'max_segment_num', alias: 'm', type: Number },
   { name: "outpath", alias: "o", type: String },
+  { name: 'strict', alias: 't', type: Boolean },
+  { name: 'validate', alias: 'v', type: Boolean },
   { name: "help", alias: "h", type: Boolean, defaultValue: false }
 ];
 
@@ -36,12 +56,25 @@ if (confArgs.help) {
   Options:
   --id -i                          channel id
   --serv -s                        service type
-  --lang -l                        language
+  --lang -l                        language, each one is published as an
+                                   audio rendition
   --bandwidth -b                   bandwidth
+  --channels -c                    maximum number of audio channels, audio
+                                   with more is only taken if nothing else
+                                   is left
+  --renditions -r                  "all" to publish every video rendition,
+                                   or the heights of the ones to publish
   --apiformat_mpd -p               format of API to get link of mpd
+  --manifest -u                    URL or local path of the manifest, instead
+                                   of asking the API for it
   --apiformat_key -k               format of API to get decryption key
   --max_segment_num -m             maximum number of segments in one track
   --outpath -o                     output path where HLS manifest is created
+  --strict -t                      fail on manifest problems which would be
+                                   worked around otherwise
+  --validate -v                    only parse the manifest and print the
+                                   problems found in it, exits with 1 if it
+                                   fails
   --help -h                        help
   `);
   exit(0);
@@ -70,9 +103,23 @@ conf.service = confArgs.serv ? confArgs.serv : confJson.service;
 conf.net_itf = confArgs.netitf ? confArgs.netitf : confJson.net_itf;
 conf.lang = confArgs.lang ? confArgs.lang.join(', ') : confJson.lang;
 conf.bandwidth = confArgs.bandwidth ? confArgs.bandwidth : confJson.bandwidth;
+conf.channels = confArgs.channels ? confArgs.channels : (confJson.channels || 0);
+// "all", a list of video heights, or null to publish the selected variant only.
+conf.renditions = confArgs.renditions ? confArgs.renditions : (confJson.renditions || null);
+if (conf.renditions && conf.renditions != 'all') {
+  conf.renditions = [].concat(conf.renditions).includes('all') ? 'all' :
+    [].concat(conf.renditions).map((height) => parseInt(height, 10));
+}
 conf.apiformat_mpd = confArgs.apiformat_mpd ? confArgs.apiformat_mpd : confJson.apiformat_mpd;
+conf.manifest = confArgs.manifest ? confArgs.manifest : confJson.manifest;
 conf.apiformat_key = confArgs.apiformat_key ? confArgs.apiformat_key : confJson.apiformat_key;
 conf.max_segment_num = confArgs.max_segment_num ? confArgs.max_segment_num : confJson.max_segment_num;
+conf.xlink_fail_gracefully = !!confJson.xlink_fail_gracefully;
+conf.strict = confArgs.strict || !!confJson.strict;
+conf.clock_sync_uri = confJson.clock_sync_uri || '';
+conf.content_steering_uri = confJson.content_steering_uri || '';
+conf.base_url_cooldown = confJson.base_url_cooldown != undefined ?
+  confJson.base_url_cooldown : 30;
 
 playlistPath = playlistPath + conf.id + "/";
 
@@ -83,12 +130,66 @@ let decryptScript = appRoot.path + "/bin/decrypt.sh";
 let masterPlaylistPath = playlistPath + "master.m3u8";
 let audioPLName = 'audioVariant.m3u8';
 let videoPLName = 'videoVariant.m3u8';
+let textPLName = 'textVariant.m3u8';
+
+// Pick the parser for the format of the manifest the API points to.  A
+// manifest given directly never expires, so the API isn't used at all.
+const manifestApi = conf.manifest ?
+  { uri: manifest_parser.toUri(conf.manifest) } :
+  await manifest_parser.requestManifestUri(
+    conf.apiformat_mpd, conf.service, conf.id);
+var manifestParser = await manifest_parser.create(manifestApi.uri,
+  conf.manifest ? null : conf.apiformat_mpd, conf.service, conf.id);
+manifestParser.configure({
+  xlinkFailGracefully: conf.xlink_fail_gracefully,
+  clockSyncUri: conf.clock_sync_uri,
+  contentSteeringUri: conf.content_steering_uri,
+  strict: conf.strict,
+});
+uri_health.setCooldown(conf.base_url_cooldown);
+// Decryption keys and key ids, by the id of the stream they were requested
+// for.
+const keys = new Map();
+
+// The parser refreshes the manifest by itself on minimumUpdatePeriod, the
+// download loop only waits for the next refresh once it is done.
+let manifestUpdated = false;
+spEventsMgr.on(spEventsMgr.event_manifeset_updated, () => {
+  manifestUpdated = true;
+});
 
-var dashParser = new dash_parser(conf.apiformat_mpd, conf.service, conf.id);
-var key = null;
-var keyId = null;
+if (confArgs.validate) {
+  if (!manifestParser.getValidationFindings) {
+    logger.sp_error(filePath, "Validation is only supported for DASH manifests.");
+    exit(1);
+  }
+  // Only parse the manifest once, and report everything found in it.
+  let valid = true;
+  try {
+    await manifestParser.start(manifestApi);
+  } catch (e) {
+    // Failures found by the validation carry their finding.
+    const finding = e.data && e.data[0];
+    if (finding && finding.codeName) {
+      logger.sp_error(filePath, "Manifest failed: %s (%d) at %s: %s",
+        finding.codeName, e.code, finding.location, finding.message);
+    } else if (e.code == error.Code.MANIFEST_VALIDATION_FAILED) {
+      logger.sp_error(filePath, "Manifest failed: MANIFEST_VALIDATION_FAILED (%d), %d finding(s) in strict mode",
+        e.code, finding.length);
+    } else {
+      logger.sp_error(filePath, `Manifest failed: ${e.message}`);
+    }
+    valid = false;
+  }
+  manifestParser.stop();
+  console.log(JSON.stringify({
+    valid: valid,
+    findings: manifestParser.getValidationFindings(),
+  }, null, 2));
+  exit(valid ? 0 : 1);
+}
 
-await dashParser.start();
+await manifestParser.start(manifestApi);
 
 // Delete all previous segments.
 const audioSegmentsPath = playlistPath + "audio/";
@@ -103,17 +204,198 @@ if (!fs.existsSync(videoSegmentsPath)) {
 } else {
   fse.emptyDirSync(playlistPath + "video");
 }
+if (fs.existsSync(playlistPath + "text/")) {
+  fse.emptyDirSync(playlistPath + "text");
+}
 
 if (!fs.existsSync(playlistPath)) {
   makeDir(playlistPath).then(() => { });
 }
 
-var audioMediaPLTemplate = [];
-var videoMediaPLTemplate = [];
-var lastSegmentURI = { audio: null, video: null };
+// The published audio renditions, by their language.
+const audioRenditions = new Map();
+// The published video renditions, by the id of their stream.
+const videoRenditions = new Map();
+// The published trick-mode renditions, by the id of their stream.
+const trickRenditions = new Map();
+// The published subtitle renditions, by the id of their stream.
+const textRenditions = new Map();
+// The closed caption groups of the video renditions, by their channels.
+const closedCaptionGroups = new Map();
+var lastSegmentURIs = {};
+
+/**
+ * Picks the variants whose video is published along with the audio of the
+ * target variant: the target variant itself first, then the rest of the
+ * ladder from the highest bandwidth down.
+ */
+function selectRenditionVariants(variants, targetVariant) {
+  if (!conf.renditions || !targetVariant.video) {
+    return [targetVariant];
+  }
+  const selected = [targetVariant];
+  const byBandwidth = variants.slice().sort((a, b) => b.bandwidth - a.bandwidth);
+  for (const variant of byBandwidth) {
+    if (variant.audio == targetVariant.audio && variant.video &&
+      (conf.renditions == 'all' || conf.renditions.includes(variant.video.height)) &&
+      !selected.some((other) => other.video.id == variant.video.id)) {
+      selected.push(variant);
+    }
+  }
+  return selected;
+}
+
+/**
+ * Gets the segment index to download of a stream.  Streams combined from
+ * several periods have a meta segment index; single-period VOD streams have
+ * their own one.
+ */
+function getSegmentIndex(stream) {
+  const segmentIndex = stream.segmentIndex;
+  return segmentIndex.indexes_ ? segmentIndex.indexes_[0] : segmentIndex;
+}
+
+/**
+ * Gets the closed caption group of a video stream, adding it if it is new.
+ * Video streams with the same channels share the same group.
+ * @return {?string} The GROUP-ID, or null if the stream has no captions.
+ */
+function getClosedCaptionGroup(video) {
+  if (!video.closedCaptions || !video.closedCaptions.size) {
+    return null;
+  }
+  // CEA-608 channels are CC1 to CC4, CEA-708 services are svc1 to svc63 in
+  // DASH and SERVICE1 to SERVICE63 in HLS.
+  const channels = new Map();
+  for (const [channel, language] of video.closedCaptions) {
+    const instreamId = channel.replace(/^svc/, 'SERVICE');
+    if (!/^(CC[1-4]|SERVICE([1-9]|[1-5]\d|6[0-3]))$/.test(instreamId)) {
+      logger.sp_warn(filePath, `Closed caption channel ${channel} ignored.`);
+      continue;
+    }
+    channels.set(instreamId, language);
+  }
+  if (!channels.size) {
+    return null;
+  }
+
+  const key = [...channels].sort().join(';');
+  if (!closedCaptionGroups.has(key)) {
+    const groupId = 'cc' + (closedCaptionGroups.size ? closedCaptionGroups.size + 1 : '');
+    const names = new Set();
+    const renditions = [];
+    for (const [instreamId, language] of channels) {
+      // Names must be unique within the group.
+      let name = language_utils.getDisplayName(language);
+      if (names.has(name)) {
+        name += ` (${instreamId})`;
+      }
+      names.add(name);
+      renditions.push({
+        'TYPE': 'CLOSED-CAPTIONS',
+        'GROUP-ID': groupId,
+        'LANGUAGE': language && language != 'und' ?
+          language_utils.normalize(language) : null,
+        'NAME': name,
+        'DEFAULT': 'NO',
+        'AUTOSELECT': 'YES',
+        'INSTREAM-ID': instreamId,
+      });
+    }
+    closedCaptionGroups.set(key, { groupId: groupId, renditions: renditions });
+  }
+  return closedCaptionGroups.get(key).groupId;
+}
+
+/**
+ * Measures the bitrate of the segments listed in a media playlist.
+ * @return {?{average: number, peak: number}} In bits per second, or null if
+ *   there are no segments yet.
+ */
+function measureBitrate(mediaPlaylist, dir) {
+  let bytes = 0;
+  let duration = 0;
+  let peak = 0;
+  for (const segment of mediaPlaylist.segments) {
+    const segmentPath = dir + segment.uri;
+    if (!fs.existsSync(segmentPath) || !segment.duration) {
+      continue;
+    }
+    const size = fs.statSync(segmentPath).size;
+    bytes += size;
+    duration += segment.duration;
+    peak = Math.max(peak, size * 8 / segment.duration);
+  }
+  return duration ? { average: bytes * 8 / duration, peak: peak } : null;
+}
+
+/**
+ * Writes the master playlist.  BANDWIDTH and AVERAGE-BANDWIDTH are the ones
+ * the manifest declares until segments are published, then the measured ones.
+ */
+function writeMasterPlaylist() {
+  const masterPlaylist = new hls_master_playlist();
+
+  // Players may switch to any audio rendition, so variants are as demanding
+  // as the most demanding one.
+  let audioBitrate = null;
+  for (const rendition of textRenditions.values()) {
+    masterPlaylist.addRendition(rendition.attributes);
+  }
+  for (const group of closedCaptionGroups.values()) {
+    for (const attributes of group.renditions) {
+      masterPlaylist.addRendition(attributes);
+    }
+  }
+  for (const rendition of audioRenditions.values()) {
+    masterPlaylist.addRendition(rendition.attributes);
+    const bitrate = measureBitrate(rendition.mediaPlaylist,
+      playlistPath + rendition.path);
+    if (bitrate) {
+      audioBitrate = {
+        average: Math.max(bitrate.average, audioBitrate ? audioBitrate.average : 0),
+        peak: Math.max(bitrate.peak, audioBitrate ? audioBitrate.peak : 0),
+      };
+    }
+  }
+  for (const rendition of [...videoRenditions.values(), ...trickRenditions.values()]) {
+    const videoBitrate = measureBitrate(rendition.mediaPlaylist,
+      playlistPath + rendition.path);
+    let bandwidth = rendition.bandwidth;
+    let averageBandwidth = rendition.bandwidth;
+    if (audioBitrate && videoBitrate) {
+      bandwidth = Math.max(bandwidth, videoBitrate.peak + audioBitrate.peak);
+      averageBandwidth = videoBitrate.average + audioBitrate.average;
+    }
+    masterPlaylist.addVariant(Object.assign({
+      'BANDWIDTH': Math.ceil(bandwidth),
+      'AVERAGE-BANDWIDTH': Math.ceil(averageBandwidth),
+    }, rendition.attributes, {
+      'SUBTITLES': textRenditions.size ? 'subs' : null,
+    }), rendition.path + videoPLName);
+  }
+  // Audio-only presentations play the default audio rendition.
+  if (!videoRenditions.size) {
+    for (const rendition of audioRenditions.values()) {
+      if (rendition.attributes['DEFAULT'] != 'YES') {
+        continue;
+      }
+      masterPlaylist.addVariant({
+        'BANDWIDTH': Math.ceil(audioBitrate ?
+          Math.max(rendition.bandwidth, audioBitrate.peak) : rendition.bandwidth),
+        'AVERAGE-BANDWIDTH': Math.ceil(audioBitrate ?
+          audioBitrate.average : rendition.bandwidth),
+        'CODECS': rendition.codecs || null,
+        'AUDIO': 'audio',
+        'SUBTITLES': textRenditions.size ? 'subs' : null,
+      }, rendition.path + audioPLName);
+    }
+  }
+  fs.writeFileSync(masterPlaylistPath, masterPlaylist.toString());
+}
 
 while (true) {
-  manifest = dashParser.manifest_;
+  manifest = manifestParser.manifest_;
   // Choose the most proper variant according to user input.
   var varaiantList = manifest.variants;
   var bandwidthFilteredList = [];
@@ -138,93 +420,314 @@ while (true) {
   // Filter by lanuage options, this will start from the
   // variant with the highest bandwidth property.
   let langOpts = conf.lang.split(', ');
-  var targetVariant = null;
-
-  for (let i = bandwidthFilteredList.length - 1; i >= 0; i--) {
-    for (const lang of langOpts) {
-      if (bandwidthFilteredList[i].audio.language == lang) {
-        targetVariant = bandwidthFilteredList[i];
-        break;
+  const findVariant = (languages, acceptAudio) => {
+    for (let i = bandwidthFilteredList.length - 1; i >= 0; i--) {
+      const audio = bandwidthFilteredList[i].audio;
+      if (audio && acceptAudio(audio) && languages.includes(audio.language)) {
+        return bandwidthFilteredList[i];
       }
     }
-    if (targetVariant != null)
-      break;
-  }
+    return null;
+  };
+  // Audio muxed into the video has no language of its own, it is taken when
+  // no audio stream matches.
+  const findMuxedVariant = () => {
+    for (let i = bandwidthFilteredList.length - 1; i >= 0; i--) {
+      if (!bandwidthFilteredList[i].audio) {
+        return bandwidthFilteredList[i];
+      }
+    }
+    return null;
+  };
+
+  // Audio description and commentary tracks are only taken when the
+  // language has nothing else, and audio with more channels than asked for
+  // only when there is nothing with fewer.
+  const isAuxiliaryAudio = (audio) => audio.audioDescription ||
+    audio.roles.includes('commentary');
+  const hasTooManyChannels = (audio) => conf.channels > 0 &&
+    audio.channelsCount > conf.channels;
+  const findLanguageVariant = (languages) =>
+    findVariant(languages, (audio) => !isAuxiliaryAudio(audio) &&
+      !hasTooManyChannels(audio)) ||
+    findVariant(languages, (audio) => !isAuxiliaryAudio(audio)) ||
+    findVariant(languages, (audio) => !hasTooManyChannels(audio)) ||
+    findVariant(languages, () => true);
+  var targetVariant = findLanguageVariant(langOpts) || findMuxedVariant();
 
   if (targetVariant == null) {
     logger.sp_error(filePath, "No language matching variants...");
     exit(1);
   }
 
-  const audioStream = targetVariant.audio;
-  const videoStream = targetVariant.video;
-
-  if (audioMediaPLTemplate.length == 0 && videoMediaPLTemplate.length == 0) {
-    // Create master playlist.
-    let template = ['#EXTM3U'];
-    template.push(`#EXT-X-VERSION:7`);
-    // Audio media playlist
-    template.push(`#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",LANGUAGE="${audioStream.language || 'en'}",NAME="${audioStream.language || 'en'}",AUTOSELECT=YES,URI="audio/${audioPLName}"`);
-    // Video media playlist
-    let vBandwdith = videoStream.bandwidth;
-    let resolution = videoStream.width + 'x' + videoStream.height;
-    let frameRate = (Math.round(eval(videoStream.frameRate) * 100) / 100).toString();
-    let codec = videoStream.codecs;
-    template.push(`#EXT-X-STREAM-INF:PROGRAM-ID=1,BANDWIDTH=${vBandwdith},RESOLUTION=${resolution},CODECS="${codec}",FRAME-RATE=${frameRate},AUDIO="audio"
-video/${videoPLName}`);
-    fs.writeFileSync(masterPlaylistPath, template.join('\n'));
-
-    // Initialize media playlist
-    audioMediaPLTemplate.push(`#EXTM3U
-#EXT-X-VERSION:7
-#EXT-X-PLAYLIST-TYPE:EVENT
-#EXT-X-TARGETDURATION:${parseInt(dashParser.updatePeriod_)}
-#EXT-X-MEDIA-SEQUENCE:0
-`);
-
-    videoMediaPLTemplate.push(`#EXTM3U
-#EXT-X-VERSION:7
-#EXT-X-PLAYLIST-TYPE:EVENT
-#EXT-X-TARGETDURATION:${parseInt(dashParser.updatePeriod_)}
-#EXT-X-MEDIA-SEQUENCE:0
-`);
-  }
-
-  // Get decryption key only when manifest is expired
-  if (dashParser.manifestExpired) {
-    // Get decryption key, will be updated after manifest is expired and updated.
-    var drmParser = new widevine_drm_parser(targetVariant.drmInfos);
-    key = await drmParser.get_decryption_key(conf.apiformat_key, conf.service, conf.id);
-    keyId = drmParser.get_keyId();
-    dashParser.manifestExpired = false;
-  }
-
-  await audioStream.createSegmentIndex();
-  await videoStream.createSegmentIndex();
-
-  const audioSegmentIndex = audioStream.segmentIndex.indexes_[0];
-  const videoSegmentIndex = videoStream.segmentIndex.indexes_[0];
-
-  const endPlayTime = manifest.presentationTimeline.getSegmentAvailabilityEnd();
-
-  var segmentMgr = new segment_saver(audioSegmentIndex, videoSegmentIndex,
-    key, keyId, decryptScript, playlistPath, endPlayTime, lastSegmentURI, conf.max_segment_num);
-
-  lastSegmentURI = await segmentMgr.download_segments(downloadPath, mergePath,
-    audioMediaPLTemplate, videoMediaPLTemplate, audioPLName, videoPLName);
-
-  /**
-   * Check if current time is before the expire time which we
-   * got from manifest API.
-   */
-  let currentTimeInSecond = Math.round((Date.now()) / 1000);
-  if (currentTimeInSecond >= dashParser.expireTime_) {
-    logger.sp_warn(filePath, 'Manifest is expired, re-fetching manifest URI...');
-    await dashParser.getManifestURI_(this.apiURLFormat_, this.serviceId_, this.id_);
-    dashParser.manifestExpired = true;
-  }
-
-  // After all segments are downloaded, then update the manifest
-  logger.sp_log(filePath, 'Updating Manifest...');
-    await dashParser.requestManifest_();
+  // Every requested language gets its own audio rendition, the one of the
+  // target variant is the default.  Muxed audio has none.
+  const audioVariants = new Map();
+  if (targetVariant.audio) {
+    audioVariants.set(targetVariant.audio.language, targetVariant);
+  }
+  for (const language of langOpts) {
+    const variant = findLanguageVariant([language]);
+    if (variant && !audioVariants.has(language)) {
+      audioVariants.set(language, variant);
+    }
+  }
+
+  if (!audioRenditions.size && !videoRenditions.size) {
+    // Audio media playlists.  CHANNELS is the channel count, followed by
+    // "/JOC" for Dolby Atmos.
+    for (const [language, variant] of audioVariants) {
+      const audio = variant.audio;
+      let channels = null;
+      if (audio.channelsCount) {
+        channels = audio.channelsCount + (audio.spatialAudio ? '/JOC' : '');
+      }
+      const renditionPath =
+        audioVariants.size > 1 ? `audio/${language}/` : 'audio/';
+      audioRenditions.set(language, {
+        path: renditionPath,
+        mediaPlaylist: new hls_media_playlist(),
+        codecs: audio.codecs,
+        bandwidth: audio.bandwidth || variant.bandwidth,
+        attributes: {
+          'TYPE': 'AUDIO',
+          'GROUP-ID': 'audio',
+          'LANGUAGE': language_utils.normalize(language),
+          'NAME': language_utils.getDisplayName(language),
+          'DEFAULT': variant == targetVariant ? 'YES' : 'NO',
+          'AUTOSELECT': 'YES',
+          'CHANNELS': channels,
+          'URI': renditionPath + audioPLName,
+        },
+      });
+    }
+    logger.sp_log(filePath, `Publishing ${audioRenditions.size} audio rendition(s).`);
+
+    // Video media playlists, the whole ladder goes to video/<id>/.  CODECS
+    // lists the codecs of all audio renditions, as players may pick any.
+    const audioCodecs = new Set(
+      [...audioRenditions.values()].map((rendition) => rendition.codecs));
+    for (const variant of selectRenditionVariants(varaiantList, targetVariant)) {
+      const video = variant.video;
+      if (!video) {
+        // Audio-only.
+        continue;
+      }
+      const frameRate = Math.round(video.frameRate * 100) / 100;
+      videoRenditions.set(video.id, {
+        path: conf.renditions ? `video/${video.id}/` : 'video/',
+        mediaPlaylist: new hls_media_playlist(),
+        bandwidth: variant.bandwidth,
+        attributes: {
+          'RESOLUTION': video.width && video.height ?
+            video.width + 'x' + video.height : null,
+          'CODECS': [video.codecs, ...audioCodecs].filter((c) => c).join(','),
+          'FRAME-RATE': isFinite(frameRate) ? frameRate : null,
+          'AUDIO': audioRenditions.size ? 'audio' : null,
+          'CLOSED-CAPTIONS': getClosedCaptionGroup(video),
+        },
+      });
+
+      // Trick-mode streams hold whole segments of I-frames, not the single
+      // I-frames #EXT-X-I-FRAMES-ONLY requires, so they are published as
+      // ordinary renditions at their low frame rate.
+      for (const trick of video.trickModeVideos || []) {
+        const trickFrameRate = Math.round(trick.frameRate * 100) / 100;
+        trickRenditions.set(trick.id, {
+          path: `video/trick/${trick.id}/`,
+          mediaPlaylist: new hls_media_playlist(),
+          bandwidth: trick.bandwidth || variant.bandwidth,
+          attributes: {
+            'RESOLUTION': trick.width && trick.height ?
+              trick.width + 'x' + trick.height : null,
+            'CODECS': [trick.codecs, ...audioCodecs].filter((c) => c).join(','),
+            'FRAME-RATE': isFinite(trickFrameRate) ? trickFrameRate : null,
+            'AUDIO': audioRenditions.size ? 'audio' : null,
+          },
+        });
+      }
+    }
+    logger.sp_log(filePath, `Publishing ${videoRenditions.size} video rendition(s), ` +
+      `${trickRenditions.size} trick-mode rendition(s).`);
+
+    // Subtitle media playlists, one for each text stream in the requested
+    // languages.  Their segments are cut to match the video segments.
+    const textNames = new Set();
+    for (const stream of manifest.textStreams) {
+      const mimeType = mime_utils.getFullType(stream.mimeType, stream.codecs);
+      if (!langOpts.includes(stream.language) ||
+        !text_engine.isTypeSupported(mimeType)) {
+        continue;
+      }
+      // Names must be unique within the group.
+      let name = language_utils.getDisplayName(stream.language) +
+        (stream.forced ? ' (forced)' : '');
+      for (let i = 2; textNames.has(name); i++) {
+        name = name.replace(/ \d+$/, '') + ' ' + i;
+      }
+      textNames.add(name);
+      const renditionPath = `text/${stream.id}/`;
+      textRenditions.set(stream.id, {
+        path: renditionPath,
+        mediaPlaylist: new hls_media_playlist(),
+        mimeType: mimeType,
+        cues: [],
+        attributes: {
+          'TYPE': 'SUBTITLES',
+          'GROUP-ID': 'subs',
+          'LANGUAGE': language_utils.normalize(stream.language),
+          'NAME': name,
+          'DEFAULT': 'NO',
+          'AUTOSELECT': 'YES',
+          'FORCED': stream.forced ? 'YES' : 'NO',
+          'URI': renditionPath + textPLName,
+        },
+      });
+    }
+    logger.sp_log(filePath, `Publishing ${textRenditions.size} subtitle rendition(s).`);
+
+    // Segments are appended by the downloader, the target duration follows
+    // the longest of them.
+    for (const rendition of [...audioRenditions.values(),
+      ...videoRenditions.values(), ...trickRenditions.values(),
+      ...textRenditions.values()]) {
+      rendition.mediaPlaylist.playlistType = 'EVENT';
+    }
+    writeMasterPlaylist();
+  }
+
+  // The variants of the published renditions which are in this manifest.
+  const renditionVariants = selectRenditionVariants(varaiantList, targetVariant)
+    .filter((variant) => variant.video && videoRenditions.has(variant.video.id));
+  const audioRenditionVariants = [...audioVariants]
+    .filter(([language]) => audioRenditions.has(language));
+  const trickStreams = renditionVariants
+    .flatMap((variant) => variant.video.trickModeVideos || [])
+    .filter((trick) => trickRenditions.has(trick.id));
+
+  // Get decryption keys only when manifest is expired, will be updated after
+  // manifest is expired and updated.  Each stream is decrypted with the key
+  // of the variant it was selected from, trick-mode streams with their own.
+  if (manifestParser.manifestExpired) {
+    keys.clear();
+    manifestParser.manifestExpired = false;
+  }
+  const streamDrmInfos = [
+    ...audioRenditionVariants.map(([, variant]) => [variant.audio, variant.drmInfos]),
+    ...renditionVariants.map((variant) => [variant.video, variant.drmInfos]),
+    ...trickStreams.map((trick) => [trick, trick.drmInfos]),
+  ];
+  for (const [stream, drmInfos] of streamDrmInfos) {
+    if (keys.has(stream.id)) {
+      continue;
+    }
+    // Streams without DRM are published as they are.
+    if (!drmInfos.length) {
+      keys.set(stream.id, { key: null, keyId: null });
+      continue;
+    }
+    if (!widevine_drm_parser.has_widevine_info(drmInfos)) {
+      logger.sp_error(filePath, `Stream ${stream.id} is encrypted without Widevine, ` +
+        `key systems: ${drmInfos.map((info) => info.keySystem).join(', ')}.`);
+      exit(1);
+    }
+    var drmParser = new widevine_drm_parser(drmInfos);
+    const key = await drmParser.get_decryption_key(conf.apiformat_key, conf.service, conf.id);
+    if (key == null) {
+      logger.sp_error(filePath, `No decryption key for stream ${stream.id}.`);
+      exit(1);
+    }
+    keys.set(stream.id, { key: key, keyId: drmParser.get_keyId() });
+  }
+
+  const tracks = [];
+  for (const [language, variant] of audioRenditionVariants) {
+    const rendition = audioRenditions.get(language);
+    await variant.audio.createSegmentIndex();
+    tracks.push({
+      type: 'audio',
+      path: rendition.path,
+      segmentIndex: getSegmentIndex(variant.audio),
+      mediaPlaylist: rendition.mediaPlaylist,
+      playlistName: audioPLName,
+      key: keys.get(variant.audio.id).key,
+      keyId: keys.get(variant.audio.id).keyId,
+    });
+  }
+  for (const variant of renditionVariants) {
+    const rendition = videoRenditions.get(variant.video.id);
+    await variant.video.createSegmentIndex();
+    tracks.push({
+      type: 'video',
+      path: rendition.path,
+      segmentIndex: getSegmentIndex(variant.video),
+      mediaPlaylist: rendition.mediaPlaylist,
+      playlistName: videoPLName,
+      key: keys.get(variant.video.id).key,
+      keyId: keys.get(variant.video.id).keyId,
+    });
+  }
+  for (const trick of trickStreams) {
+    const rendition = trickRenditions.get(trick.id);
+    await trick.createSegmentIndex();
+    tracks.push({
+      type: 'video',
+      path: rendition.path,
+      segmentIndex: getSegmentIndex(trick),
+      mediaPlaylist: rendition.mediaPlaylist,
+      playlistName: videoPLName,
+      key: keys.get(trick.id).key,
+      keyId: keys.get(trick.id).keyId,
+    });
+  }
+  for (const stream of manifest.textStreams) {
+    const rendition = textRenditions.get(stream.id);
+    if (!rendition) {
+      continue;
+    }
+    await stream.createSegmentIndex();
+    tracks.push({
+      type: 'text',
+      path: rendition.path,
+      segmentIndex: getSegmentIndex(stream),
+      mediaPlaylist: rendition.mediaPlaylist,
+      playlistName: textPLName,
+      key: null,
+      keyId: null,
+      mimeType: rendition.mimeType,
+      cues: rendition.cues,
+    });
+  }
+
+  // Start live downloading the presentation delay (the target latency of the
+  // ServiceDescription, if given) behind the live edge.
+  const endPlayTime = manifest.presentationTimeline.getSeekRangeEnd();
+
+  var segmentMgr = new segment_saver(tracks, decryptScript, playlistPath,
+    endPlayTime, lastSegmentURIs, conf.max_segment_num,
+    (uris) => manifestParser.orderUris(uris));
+
+  lastSegmentURIs = await segmentMgr.download_segments(downloadPath, mergePath);
+
+  // Publish the bitrates of the segments downloaded so far.
+  writeMasterPlaylist();
+
+  // A manifest without minimumUpdatePeriod is never refreshed, so everything
+  // it lists has been processed now.
+  if (manifestParser.updatePeriod_ < 0) {
+    logger.sp_log(filePath, 'Manifest is not updated anymore, all segments are processed.');
+    break;
+  }
+
+  // After all segments are downloaded, wait for the manifest to be updated,
+  // unless that already happened while we were downloading.
+  if (!manifestUpdated) {
+    logger.sp_log(filePath, 'Waiting for manifest update...');
+    await new Promise((resolve) => {
+      spEventsMgr.once(spEventsMgr.event_manifeset_updated, resolve);
+    });
+  }
+  manifestUpdated = false;
 }
+
+manifestParser.stop();
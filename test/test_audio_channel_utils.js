@@ -0,0 +1,78 @@
+import assert from 'assert';
+import audio_channel_utils from '../src/util/audio_channel_utils.js';
+
+const FIVE_ONE = ['L', 'R', 'C', 'Ls', 'Rs', 'LFE'];
+
+// Speaker positions.
+assert.deepStrictEqual(
+  audio_channel_utils.parse('urn:mpeg:dash:outputChannelPositionList:2012',
+    '0 1 2 3 4 5'),
+  { count: 6, layout: ['L', 'R', 'C', 'LFE', 'Ls', 'Rs'] });
+assert.deepStrictEqual(
+  audio_channel_utils.parse('urn:mpeg:dash:outputChannelPositionList:2012',
+    ' 2 40 '),
+  { count: 2, layout: ['C', 'P40'] });
+
+// Channel counts.
+assert.deepStrictEqual(
+  audio_channel_utils.parse(
+    'urn:mpeg:dash:23003:3:audio_channel_configuration:2011', '2'),
+  { count: 2, layout: null });
+assert.deepStrictEqual(
+  audio_channel_utils.parse('urn:dts:dash:audio_channel_configuration:2012',
+    '6'),
+  { count: 6, layout: null });
+assert.strictEqual(
+  audio_channel_utils.parse(
+    'urn:mpeg:dash:23003:3:audio_channel_configuration:2011', '0'),
+  null);
+
+// CICP ChannelConfiguration.
+assert.deepStrictEqual(
+  audio_channel_utils.parse('urn:mpeg:mpegB:cicp:ChannelConfiguration', '6'),
+  { count: 6, layout: ['C', 'L', 'R', 'Ls', 'Rs', 'LFE'] });
+assert.deepStrictEqual(
+  audio_channel_utils.parse('urn:mpeg:mpegB:cicp:ChannelConfiguration', '8'),
+  { count: 2, layout: null });
+assert.strictEqual(
+  audio_channel_utils.parse('urn:mpeg:mpegB:cicp:ChannelConfiguration', '0'),
+  null);
+assert.strictEqual(
+  audio_channel_utils.parse('urn:mpeg:mpegB:cicp:ChannelConfiguration', '21'),
+  null);
+
+// (E-)AC-3 channel map, from the most significant bit.
+assert.deepStrictEqual(
+  audio_channel_utils.parse(
+    'tag:dolby.com,2014:dash:audio_channel_configuration:2011', 'F801'),
+  { count: 6, layout: ['L', 'C', 'R', 'Ls', 'Rs', 'LFE'] });
+assert.deepStrictEqual(
+  audio_channel_utils.parse(
+    'urn:dolby:dash:audio_channel_configuration:2011', 'a000'),
+  { count: 2, layout: ['L', 'R'] });
+
+// AC-4 speaker groups, from the least significant bit.
+assert.deepStrictEqual(
+  audio_channel_utils.parse(
+    'tag:dolby.com,2015:dash:audio_channel_configuration:2015', '000047'),
+  { count: 6, layout: FIVE_ONE });
+
+// DTS-UHD channel mask; bits without a known speaker are ignored.
+assert.deepStrictEqual(
+  audio_channel_utils.parse('tag:dts.com,2018:uhd:audio_channel_configuration',
+    '8000003F'),
+  { count: 6, layout: ['C', 'L', 'R', 'Ls', 'Rs', 'LFE'] });
+
+// Invalid values and unknown schemes.
+assert.strictEqual(
+  audio_channel_utils.parse(
+    'tag:dolby.com,2014:dash:audio_channel_configuration:2011', 'F80G'),
+  null);
+assert.strictEqual(
+  audio_channel_utils.parse(
+    'tag:dolby.com,2015:dash:audio_channel_configuration:2015', '000000'),
+  null);
+assert.strictEqual(audio_channel_utils.parse('urn:example:channels', '2'),
+  null);
+
+console.log('audio_channel_utils parses channel configurations.');
@@ -0,0 +1,83 @@
+import assert from 'assert';
+import {
+  hls_master_playlist, hls_media_playlist, hls_media_segment,
+} from '../src/hls/hls_writer.js';
+
+// Master playlist: only quoted-string attributes are quoted, and the variant
+// URI follows its EXT-X-STREAM-INF.
+const master = new hls_master_playlist();
+master.addRendition({
+  'TYPE': 'AUDIO',
+  'GROUP-ID': 'audio',
+  'LANGUAGE': 'en',
+  'NAME': 'English',
+  'AUTOSELECT': 'YES',
+  'CHANNELS': '6',
+  'URI': 'audio/en.m3u8',
+});
+master.addVariant({
+  'BANDWIDTH': 3000000,
+  'RESOLUTION': '1280x720',
+  'CODECS': 'avc1.64001f,mp4a.40.2',
+  'FRAME-RATE': 25,
+  'AUDIO': 'audio',
+  'CLOSED-CAPTIONS': 'NONE',
+  'HDCP-LEVEL': null,
+}, 'video/720.m3u8');
+master.addIFrameVariant({
+  'BANDWIDTH': 300000,
+  'CODECS': 'avc1.64001f',
+  'URI': 'video/720_iframes.m3u8',
+});
+
+const masterText = master.toString();
+assert.strictEqual(masterText, [
+  '#EXTM3U',
+  '#EXT-X-VERSION:7',
+  '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",LANGUAGE="en",NAME="English",AUTOSELECT=YES,CHANNELS="6",URI="audio/en.m3u8"',
+  '#EXT-X-STREAM-INF:BANDWIDTH=3000000,RESOLUTION=1280x720,CODECS="avc1.64001f,mp4a.40.2",FRAME-RATE=25,AUDIO="audio",CLOSED-CAPTIONS=NONE',
+  'video/720.m3u8',
+  '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=300000,CODECS="avc1.64001f",URI="video/720_iframes.m3u8"',
+  '',
+].join('\n'));
+assert.strictEqual(hls_master_playlist.parse(masterText).toString(), masterText);
+
+// Media playlist: a sliding window keeps the media and discontinuity
+// sequence numbers.
+const media = new hls_media_playlist();
+media.playlistType = 'EVENT';
+for (let i = 0; i < 4; i++) {
+  const segment = new hls_media_segment(`${i}.mp4`, 2.002);
+  segment.discontinuity = i == 2;
+  media.addSegment(segment);
+}
+media.removeFirstSegment();
+media.removeFirstSegment();
+media.removeFirstSegment();
+
+const ranged = new hls_media_segment('all.mp4', 1.5);
+ranged.byteRange = { start: 1000, end: 1999 };
+ranged.programDateTime = new Date('2024-01-01T00:00:00.000Z');
+media.addSegment(ranged);
+media.endList = true;
+
+const mediaText = media.toString();
+assert.strictEqual(mediaText, [
+  '#EXTM3U',
+  '#EXT-X-VERSION:7',
+  '#EXT-X-PLAYLIST-TYPE:EVENT',
+  '#EXT-X-TARGETDURATION:2',
+  '#EXT-X-MEDIA-SEQUENCE:3',
+  '#EXT-X-DISCONTINUITY-SEQUENCE:1',
+  '#EXTINF:2.002,',
+  '3.mp4',
+  '#EXT-X-PROGRAM-DATE-TIME:2024-01-01T00:00:00.000Z',
+  '#EXTINF:1.5,',
+  '#EXT-X-BYTERANGE:1000@1000',
+  'all.mp4',
+  '#EXT-X-ENDLIST',
+  '',
+].join('\n'));
+assert.strictEqual(hls_media_playlist.parse(mediaText).toString(), mediaText);
+
+console.log('hls_writer round-trips.');
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import error from '../src/util/error.js';
+import xml_patch from '../src/util/xml_patch.js';
+import xml_utils from '../src/util/xml_utils.js';
+
+const MPD = [
+  '<MPD type="dynamic" publishTime="2024-01-01T00:00:00Z">',
+  '<Period id="p0" start="PT0S"/>',
+  '<Period id="p1" start="PT10S"><AdaptationSet id="1"/></Period>',
+  '</MPD>',
+].join('');
+
+/**
+ * @param {string} operations
+ * @return {string} The MPD patched with the operations.
+ */
+function patch(operations) {
+  const mpd = xml_utils.parseXmlString(MPD, 'MPD');
+  const patchElem = xml_utils.parseXmlString(
+    `<Patch>${operations}</Patch>`, 'Patch');
+  xml_patch.apply(mpd, patchElem);
+  return mpd.toString();
+}
+
+/**
+ * @param {string} operations
+ * @param {RegExp} message
+ */
+function assertInvalid(operations, message) {
+  assert.throws(() => patch(operations), (e) => {
+    return e.code == error.Code.DASH_INVALID_PATCH && message.test(e.data[0]);
+  });
+}
+
+// Elements: appended by default, or placed with pos.
+assert.strictEqual(
+  patch('<add sel="/MPD/Period[@id=\'p0\']"><AdaptationSet id="0"/></add>'),
+  MPD.replace('<Period id="p0" start="PT0S"/>',
+    '<Period id="p0" start="PT0S"><AdaptationSet id="0"/></Period>'));
+assert.strictEqual(
+  patch('<add sel="/MPD/Period[1]" pos="before"><Period id="a"/>' +
+    '<Period id="b"/></add>'),
+  MPD.replace('<Period id="p0"', '<Period id="a"/><Period id="b"/><Period id="p0"'));
+assert.strictEqual(
+  patch('<add sel="/MPD/Period[last()]" pos="after"><Period id="p2"/></add>'),
+  MPD.replace('</MPD>', '<Period id="p2"/></MPD>'));
+assert.strictEqual(
+  patch('<add sel="/MPD/Period[2]" pos="prepend"><BaseURL>b/</BaseURL></add>'),
+  MPD.replace('<AdaptationSet id="1"/>', '<BaseURL>b/</BaseURL><AdaptationSet id="1"/>'));
+assert.strictEqual(
+  patch('<replace sel="/MPD/Period[2]/AdaptationSet"><AdaptationSet id="2"/></replace>'),
+  MPD.replace('<AdaptationSet id="1"/>', '<AdaptationSet id="2"/>'));
+assert.strictEqual(
+  patch('<remove sel="/MPD/Period[@id=\'p0\']"/>'),
+  MPD.replace('<Period id="p0" start="PT0S"/>', ''));
+
+// Attributes.
+assert.strictEqual(
+  patch('<add sel="/MPD/Period[1]" type="@duration">PT10S</add>'),
+  MPD.replace('start="PT0S"', 'start="PT0S" duration="PT10S"'));
+assert.strictEqual(
+  patch('<replace sel="/MPD/@publishTime">2024-01-01T00:00:10Z</replace>'),
+  MPD.replace('00:00:00Z', '00:00:10Z'));
+assert.strictEqual(
+  patch('<remove sel="/MPD/Period[2]/@start"/>'),
+  MPD.replace(' start="PT10S"', ''));
+
+// Operations apply in document order.
+assert.strictEqual(
+  patch('<remove sel="/MPD/Period[1]"/><remove sel="/MPD/Period[1]"/>'),
+  '<MPD type="dynamic" publishTime="2024-01-01T00:00:00Z"/>');
+
+// Errors.
+assertInvalid('<add/>', /without sel/);
+assertInvalid('<move sel="/MPD"/>', /unknown operation/);
+assertInvalid('<remove sel="/MPD/Period"/>', /matches 2 elements/);
+assertInvalid('<remove sel="/MPD/Period[3]"/>', /matches 0 elements/);
+assertInvalid('<remove sel="//Period"/>', /unsupported selector/);
+assertInvalid('<remove sel="/MPD/Period[@start>1]"/>', /unsupported predicate/);
+assertInvalid('<remove sel="/MPD/@duration"/>', /does not exist/);
+assertInvalid('<add sel="/MPD/@type">static</add>', /cannot add to an attribute/);
+assertInvalid('<add sel="/MPD" type="@type">static</add>', /already exists/);
+assertInvalid('<add sel="/MPD" pos="before"><MPD/></add>',
+  /sibling to the root element/);
+assertInvalid('<replace sel="/MPD"><MPD/></replace>', /root element/);
+assertInvalid('<replace sel="/MPD/Period[1]"><Period/><Period/></replace>',
+  /replaced by one element/);
+assertInvalid('<remove sel="/MPD"/>', /root element/);
+
+console.log('xml_patch applies patches.');